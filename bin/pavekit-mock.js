@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * PaveKit mock server
+ * Answers the PaveKit API on http://localhost:8000 for local development.
+ *
+ * Usage: npx pavekit-mock [options]
+ */
+
+const MockServer = require("../src/testing/mock-server.js");
+
+const USAGE = `Usage: pavekit-mock [options]
+
+Runs a local PaveKit API for development and integration tests.
+
+Options:
+  --port <port>           Port to listen on (default: 8000, or $PORT)
+  --host <host>           Interface to listen on (default: 127.0.0.1)
+  --api-key <key>         Only accept this API key (default: any key)
+  --data <file>           Load users from and save them to a JSON file
+  --latency <ms|min-max>  Delay every API request, e.g. 200 or 50-500
+  --failure-rate <0-1>    Answer this share of API requests with a 503
+  --rate-limit <n[/ms]>   Allow n requests per API key per window (default window: 1000ms)
+  --quiet                 Don't log requests
+  --help                  Show this help
+
+Inspect and control the server under /__pavekit:
+  GET    /__pavekit/requests   Requests received
+  GET    /__pavekit/tracked    Tracked payloads
+  GET    /__pavekit/events     Custom events
+  GET    /__pavekit/users      Known users
+  POST   /__pavekit/fail       Fail upcoming requests, e.g. {"status":503,"times":2}
+  DELETE /__pavekit/fail       Stop failing requests
+  POST   /__pavekit/config     Change latency, failureRate or rateLimit
+  POST   /__pavekit/reset      Forget users, requests and failures
+`;
+
+/**
+ * Parse command line flags into MockServer options
+ * @param {string[]} args - process.argv without node and the script
+ * @returns {Object} Options, or { help: true }
+ */
+function parseArgs(args) {
+  const options = {
+    port: process.env.PORT ? Number(process.env.PORT) : 8000,
+    log: (line) => console.log(line),
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split("=", 2);
+    const value = () => {
+      const next = inline !== undefined ? inline : args[++i];
+      if (next === undefined) {
+        throw new Error(`${flag} needs a value`);
+      }
+      return next;
+    };
+
+    switch (flag) {
+      case "--port":
+        options.port = toNumber(flag, value());
+        break;
+      case "--host":
+        options.host = value();
+        break;
+      case "--api-key":
+        options.apiKey = value();
+        break;
+      case "--data":
+        options.dataFile = value();
+        break;
+      case "--latency": {
+        const range = value().split("-").map((part) => toNumber(flag, part));
+        options.latency = range.length > 1 ? range : range[0];
+        break;
+      }
+      case "--failure-rate":
+        options.failureRate = toNumber(flag, value());
+        break;
+      case "--rate-limit": {
+        const [requests, window] = value().split("/");
+        options.rateLimit = {
+          requests: toNumber(flag, requests),
+          window: window ? toNumber(flag, window.replace(/ms$/, "")) : 1000,
+        };
+        break;
+      }
+      case "--quiet":
+        options.log = null;
+        break;
+      case "--help":
+      case "-h":
+        return { help: true };
+      default:
+        throw new Error(`Unknown option ${flag}`);
+    }
+  }
+
+  return options;
+}
+
+function toNumber(flag, text) {
+  const number = Number(text);
+  if (text === "" || Number.isNaN(number)) {
+    throw new Error(`${flag} expects a number, got '${text}'`);
+  }
+  return number;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`pavekit-mock: ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const server = new MockServer(options);
+  const { url } = await server.start();
+
+  console.log(`PaveKit mock server listening on ${url}`);
+  console.log(`Inspect received requests at ${url}/__pavekit/requests`);
+
+  const shutdown = () => {
+    server.stop().then(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`pavekit-mock: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
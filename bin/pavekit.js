@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * PaveKit command-line tool
+ * Validate keys, track users and bulk-import or export them.
+ *
+ * Usage: npx pavekit <command> [options]
+ */
+
+const { run } = require("../src/cli/index.js");
+
+run(process.argv.slice(2)).then(
+  (status) => {
+    process.exitCode = status;
+  },
+  (error) => {
+    console.error(`pavekit: ${error.message}`);
+    process.exitCode = 1;
+  },
+);
@@ -19,7 +19,7 @@ export default [
         browser: true,
         preferBuiltins: false,
       }),
-      commonjs(),
+      commonjs({ ignore: ["crypto", "http", "https"] }),
       babel({
         babelHelpers: "bundled",
         exclude: "node_modules/**",
@@ -62,7 +62,7 @@ export default [
         browser: true,
         preferBuiltins: false,
       }),
-      commonjs(),
+      commonjs({ ignore: ["crypto", "http", "https"] }),
       babel({
         babelHelpers: "bundled",
         exclude: "node_modules/**",
@@ -0,0 +1,76 @@
+/**
+ * PaveKit CLI - CSV
+ * Minimal RFC 4180 reading and writing: quoted fields, escaped quotes ("")
+ * and line breaks inside quotes.
+ */
+
+/**
+ * Whether a line ends inside a quoted field, i.e. the record continues on the next line
+ * @param {string} text - Record text read so far
+ * @returns {boolean} True when quotes are unbalanced
+ */
+function isOpenRecord(text) {
+  let open = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') open = !open;
+  }
+  return open;
+}
+
+/**
+ * Split one CSV record into fields
+ * @param {string} text - Complete record (may contain line breaks inside quotes)
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string[]} Fields
+ */
+function parseRecord(text, delimiter = ",") {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.replace(/\r$/, ""));
+  return fields;
+}
+
+/**
+ * Format values as one CSV record
+ * @param {Array} values - Field values; objects are written as JSON
+ * @returns {string} Record without a trailing line break
+ */
+function formatRecord(values) {
+  return values
+    .map((value) => {
+      if (value === null || value === undefined) return "";
+
+      const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { isOpenRecord, parseRecord, formatRecord };
+}
@@ -0,0 +1,395 @@
+/**
+ * PaveKit CLI - Importer
+ * Bulk-loads users from a CSV or JSON Lines file through trackBatch().
+ *
+ * Rows are read as a stream, mapped to track() data and sent in batches with
+ * a bounded number of batch requests in flight. Progress is saved to a
+ * checkpoint file so an interrupted import resumes where it stopped, and rows
+ * the API rejected are written to a JSON Lines failure report.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
+const { isOpenRecord, parseRecord } = require("./csv.js");
+
+/**
+ * Columns read for each track() field when no mapping is given
+ * @private
+ */
+const DEFAULT_COLUMNS = {
+  email: ["email", "email_address"],
+  name: ["name", "full_name"],
+  user_state: ["user_state", "state"],
+  user_id: ["user_id"],
+  idempotency_key: ["idempotency_key"],
+};
+
+class Importer {
+  /**
+   * @param {PaveKitAPI} client - Initialized API client
+   * @param {Object} options - Import options
+   * @param {string} options.file - CSV or JSON Lines file
+   * @param {string} [options.format] - 'csv' or 'jsonl'; guessed from the file extension
+   * @param {Object} [options.mapping] - track() field => column, e.g. { email: 'Email Address' }
+   * @param {string[]|null} [options.metadataColumns] - Columns copied into metadata;
+   *   every column not mapped to a field when omitted, none when empty
+   * @param {string} [options.state] - user_state for rows without one
+   * @param {number} [options.batchSize=100] - Rows per batch request
+   * @param {number} [options.concurrency=4] - Batch requests in flight
+   * @param {boolean} [options.dryRun=false] - Validate rows without sending them
+   * @param {string} [options.checkpointFile] - Progress file (default: <file>.checkpoint.json)
+   * @param {string} [options.reportFile] - Failure report (default: <file>.failures.jsonl)
+   * @param {Function} [options.onProgress] - Called with the running summary after each batch
+   */
+  constructor(client, options = {}) {
+    if (!options.file) {
+      throw new Error("A file to import is required");
+    }
+
+    this.client = client;
+    this.file = path.resolve(options.file);
+    this.format = options.format || (/\.jsonl?$|\.ndjson$/i.test(this.file) ? "jsonl" : "csv");
+    this.mapping = options.mapping || {};
+    this.metadataColumns = options.metadataColumns || null;
+    this.state = options.state || null;
+    this.batchSize = Math.max(1, Math.min(options.batchSize || 100, client.maxBatchSize));
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.dryRun = !!options.dryRun;
+    this.checkpointFile = options.checkpointFile || `${this.file}.checkpoint.json`;
+    this.reportFile = options.reportFile || `${this.file}.failures.jsonl`;
+    this.onProgress = options.onProgress || null;
+    this.stopped = null;
+  }
+
+  /**
+   * Run the import
+   * @returns {Promise<Object>} Summary: { rows, imported, failed, skipped, dryRun,
+   *   resumed, reportFile, stopped } where stopped is the error that ended the
+   *   import early (the checkpoint is kept so the next run resumes)
+   */
+  async run() {
+    const checkpoint = this.dryRun ? null : this.readCheckpoint();
+    const summary = {
+      rows: 0,
+      imported: checkpoint ? checkpoint.imported : 0,
+      failed: checkpoint ? checkpoint.failed : 0,
+      skipped: checkpoint ? checkpoint.row : 0,
+      dryRun: this.dryRun,
+      resumed: !!checkpoint,
+      reportFile: null,
+      stopped: null,
+    };
+
+    if (!checkpoint && fs.existsSync(this.reportFile)) {
+      fs.unlinkSync(this.reportFile);
+    }
+
+    const inFlight = new Set();
+    const batches = [];
+    let batch = [];
+
+    const dispatch = async () => {
+      const entry = { rows: batch, imported: 0, failed: 0, failures: [], done: false };
+      batch = [];
+      batches.push(entry);
+
+      const promise = this.sendBatch(entry, summary)
+        // The batch stays unfinished, so the checkpoint stops before it and
+        // the next run sends it again
+        .catch((error) => this.stop(error))
+        .then(() => {
+          inFlight.delete(promise);
+          this.saveCheckpoint(checkpoint, batches, summary);
+        });
+      inFlight.add(promise);
+
+      if (inFlight.size >= this.concurrency) {
+        await Promise.race(inFlight);
+      }
+    };
+
+    for await (const record of this.readRecords()) {
+      if (this.stopped) break;
+
+      summary.rows += 1;
+      if (record.row <= summary.skipped) continue;
+
+      batch.push(record);
+      if (batch.length >= this.batchSize) {
+        await dispatch();
+      }
+    }
+
+    if (batch.length > 0 && !this.stopped) {
+      await dispatch();
+    }
+    await Promise.all(inFlight);
+
+    summary.stopped = this.stopped;
+    if (!this.stopped && !this.dryRun && fs.existsSync(this.checkpointFile)) {
+      fs.unlinkSync(this.checkpointFile);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Stop after the batches in flight, keeping the checkpoint (e.g. on Ctrl-C)
+   * @param {Error} [reason] - Why the import stopped
+   */
+  stop(reason) {
+    this.stopped = this.stopped || reason || new Error("Import interrupted");
+  }
+
+  /**
+   * Map a row to track() data
+   * @param {Object} data - Row as column => value
+   * @returns {Object} Activity data
+   */
+  toActivity(data) {
+    const columns = Object.keys(data);
+    const used = new Set();
+    const activity = {};
+
+    Object.keys(DEFAULT_COLUMNS).forEach((field) => {
+      const column = this.mapping[field]
+        ? columns.find((name) => name === this.mapping[field])
+        : columns.find((name) => DEFAULT_COLUMNS[field].includes(normalizeColumn(name)));
+
+      if (column !== undefined) {
+        used.add(column);
+        if (!isBlank(data[column])) activity[field] = String(data[column]).trim();
+      }
+    });
+
+    const metadata = isPlainObject(data.metadata) ? { ...data.metadata } : {};
+    used.add("metadata");
+
+    (this.metadataColumns || columns.filter((column) => !used.has(column))).forEach(
+      (column) => {
+        if (!isBlank(data[column])) metadata[column] = data[column];
+      },
+    );
+
+    if (Object.keys(metadata).length > 0) activity.metadata = metadata;
+    if (!activity.user_state && this.state) activity.user_state = this.state;
+
+    // Content-derived keys make re-running an import safe
+    if (!activity.idempotency_key) {
+      activity.idempotency_key = `import-${crypto
+        .createHash("sha256")
+        .update(JSON.stringify(activity))
+        .digest("hex")
+        .slice(0, 32)}`;
+    }
+
+    return activity;
+  }
+
+  /**
+   * Read rows from the file as { row, data }, row counting from 1 after the header
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *readRecords() {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    let header = null;
+    let pending = "";
+    let row = 0;
+
+    for await (const line of lines) {
+      if (this.format === "jsonl") {
+        if (!line.trim()) continue;
+        row += 1;
+
+        let record;
+        try {
+          record = { row, data: JSON.parse(line) };
+        } catch (error) {
+          record = { row, data: null, error: `Invalid JSON: ${error.message}` };
+        }
+        yield record;
+        continue;
+      }
+
+      pending = pending ? `${pending}\n${line}` : line;
+      if (isOpenRecord(pending)) continue;
+
+      const text = pending;
+      pending = "";
+      if (!text.trim()) continue;
+
+      const fields = parseRecord(text);
+      if (!header) {
+        header = fields.map((field, index) =>
+          index === 0 ? field.replace(/^\uFEFF/, "").trim() : field.trim(),
+        );
+        continue;
+      }
+
+      row += 1;
+      const data = {};
+      header.forEach((column, index) => {
+        data[column] = fields[index] !== undefined ? fields[index] : "";
+      });
+      yield { row, data };
+    }
+  }
+
+  /**
+   * Validate or send one batch and update the summary
+   * @private
+   */
+  async sendBatch(entry, summary) {
+    const items = entry.rows.map((record) => {
+      if (record.error) return { record, error: record.error };
+
+      const activity = this.toActivity(record.data || {});
+      try {
+        this.client.validateActivity(activity);
+        return { record, activity };
+      } catch (error) {
+        return { record, activity, error: error.message };
+      }
+    });
+
+    const valid = items.filter((item) => !item.error);
+    let results = [];
+
+    if (!this.dryRun && valid.length > 0) {
+      const report = await this.client.trackBatch(valid.map((item) => item.activity));
+      results = report.results;
+
+      // The API could not be reached: leave the batch for the next run
+      if (results.every((result) => !result.success && result.retryable)) {
+        this.stop(new Error(results[0].error));
+        return;
+      }
+    }
+
+    valid.forEach((item, index) => {
+      const result = results[index];
+      if (result && !result.success) {
+        item.error = result.error;
+        item.status = result.status || null;
+      }
+    });
+
+    items.forEach((item) => {
+      if (item.error) {
+        entry.failed += 1;
+        entry.failures.push(item);
+      } else {
+        entry.imported += 1;
+      }
+    });
+
+    summary.imported += entry.imported;
+    summary.failed += entry.failed;
+    entry.done = true;
+    if (this.onProgress) this.onProgress({ ...summary });
+  }
+
+  /**
+   * Append a failed row to the failure report
+   * @private
+   */
+  report(item, summary) {
+    const line = {
+      row: item.record.row,
+      email: item.activity ? item.activity.email : null,
+      error: item.error,
+      status: item.status || null,
+      data: item.record.data,
+    };
+
+    fs.appendFileSync(this.reportFile, `${JSON.stringify(line)}\n`);
+    summary.reportFile = this.reportFile;
+  }
+
+  /**
+   * @private
+   */
+  readCheckpoint() {
+    if (!fs.existsSync(this.checkpointFile)) return null;
+
+    const checkpoint = JSON.parse(fs.readFileSync(this.checkpointFile, "utf8"));
+    if (checkpoint.file !== this.file) {
+      throw new Error(
+        `Checkpoint ${this.checkpointFile} belongs to ${checkpoint.file}; ` +
+          "remove it or pass another --checkpoint",
+      );
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Save the last row of the leading run of finished batches; batches finish
+   * out of order with concurrency above 1
+   *
+   * Failed rows are reported once the checkpoint covers their batch: a resumed
+   * import sends every batch after the checkpoint again and would otherwise
+   * report their failures twice.
+   * @private
+   */
+  saveCheckpoint(previous, batches, summary) {
+    let { row, imported, failed } = previous || { row: 0, imported: 0, failed: 0 };
+    for (const batch of batches) {
+      if (!batch.done) break;
+      batch.failures.forEach((item) => this.report(item, summary));
+      batch.failures = [];
+      row = batch.rows[batch.rows.length - 1].row;
+      imported += batch.imported;
+      failed += batch.failed;
+    }
+
+    if (this.dryRun) return;
+
+    fs.writeFileSync(
+      this.checkpointFile,
+      `${JSON.stringify(
+        {
+          file: this.file,
+          row,
+          imported,
+          failed,
+          updated_at: new Date().toISOString(),
+        },
+        null,
+        2,
+      )}\n`,
+    );
+  }
+}
+
+/**
+ * 'Full Name' and 'full-name' read as full_name
+ * @private
+ */
+function normalizeColumn(name) {
+  return name.trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+/**
+ * @private
+ */
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Importer;
+}
@@ -0,0 +1,491 @@
+/**
+ * PaveKit CLI
+ * `pavekit` command: validate a key, track one user, bulk-import users from
+ * CSV or JSON Lines, and export users. Built on PaveKitAPI.
+ */
+
+const fs = require("fs");
+const PaveKitAPI = require("../core/api.js");
+const Importer = require("./importer.js");
+const { formatRecord } = require("./csv.js");
+
+const USAGE = `Usage: pavekit <command> [options]
+
+Commands:
+  validate                 Check that the API key works
+  track --email <email>    Track one user
+  import <file>            Bulk-load users from a CSV or JSON Lines file
+  export                   Write users as JSON Lines or CSV
+
+Options:
+  --api-key <key>          API key (default: $PAVEKIT_API_KEY)
+  --base-url <url>         API URL (default: $PAVEKIT_API_URL or http://localhost:8000)
+  --help                   Show help for a command
+
+Run 'pavekit <command> --help' for command options.
+`;
+
+const COMMANDS = {
+  validate: {
+    usage: `Usage: pavekit validate
+
+Checks the API key and exits with status 1 when it is rejected.
+`,
+    flags: {},
+  },
+
+  track: {
+    usage: `Usage: pavekit track --email <email> [options]
+
+Options:
+  --email <email>            User email (required)
+  --state <state>            user_state, e.g. converted (default: created)
+  --name <name>              User name
+  --metadata <json>          Metadata as a JSON object
+  --user-id <id>             Your user ID
+  --idempotency-key <key>    Key that makes re-running the command safe
+`,
+    flags: {
+      email: "string",
+      state: "string",
+      name: "string",
+      metadata: "string",
+      "user-id": "string",
+      "idempotency-key": "string",
+    },
+  },
+
+  import: {
+    usage: `Usage: pavekit import <file> [options]
+
+Reads CSV (with a header row) or JSON Lines. Columns named email, name,
+user_state (or state), user_id and idempotency_key are used as-is; all other
+columns become metadata.
+
+Options:
+  --map <field=column>       Read a field from another column, e.g. --map email="Email Address"
+                             (repeatable; fields: email, name, user_state, user_id, idempotency_key)
+  --metadata-columns <list>  Comma-separated columns copied into metadata, or 'none'
+  --state <state>            user_state for rows without one
+  --format <csv|jsonl>       File format (default: from the extension)
+  --batch-size <n>           Rows per request (default: 100)
+  --concurrency <n>          Requests in flight (default: 4)
+  --dry-run                  Validate every row without sending anything
+  --checkpoint <file>        Progress file (default: <file>.checkpoint.json)
+  --report <file>            Failed rows as JSON Lines (default: <file>.failures.jsonl)
+
+An interrupted import resumes from the checkpoint when run again.
+`,
+    flags: {
+      map: "list",
+      "metadata-columns": "string",
+      state: "string",
+      format: "string",
+      "batch-size": "number",
+      concurrency: "number",
+      "dry-run": "boolean",
+      checkpoint: "string",
+      report: "string",
+    },
+  },
+
+  export: {
+    usage: `Usage: pavekit export [options]
+
+Options:
+  --state <state>            Only users in this state
+  --format <jsonl|csv>       Output format (default: jsonl)
+  --output <file>            Write to a file instead of stdout
+  --email <email>            Request PaveKit's data export for one user and
+                             print its download URL instead
+`,
+    flags: {
+      state: "string",
+      format: "string",
+      output: "string",
+      email: "string",
+    },
+  },
+};
+
+const GLOBAL_FLAGS = {
+  "api-key": "string",
+  "base-url": "string",
+  help: "boolean",
+};
+
+const EXPORT_COLUMNS = [
+  "user_id",
+  "email",
+  "name",
+  "user_state",
+  "created_at",
+  "updated_at",
+  "converted_at",
+  "metadata",
+];
+
+/**
+ * Error for bad command lines; printed with usage and exit status 2
+ * @private
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after `pavekit`
+ * @param {Object} [io] - Environment, replaceable in tests
+ * @param {Object} [io.stdout=process.stdout] - Output stream ({ write })
+ * @param {Object} [io.stderr=process.stderr] - Error and progress stream ({ write })
+ * @param {Object} [io.env=process.env] - Environment variables
+ * @param {PaveKitAPI} [io.client] - Client to use instead of one built from the options
+ * @returns {Promise<number>} Exit status: 0 on success, 1 on failure, 2 on usage errors
+ */
+async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const env = io.env || process.env;
+
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    stdout.write(USAGE);
+    return name ? 0 : 2;
+  }
+
+  try {
+    if (!command) {
+      throw new UsageError(`Unknown command '${name}'`);
+    }
+
+    const { flags, positionals } = parseArgs(rest, { ...GLOBAL_FLAGS, ...command.flags });
+    if (flags.help) {
+      stdout.write(command.usage);
+      return 0;
+    }
+
+    const client = io.client || createClient(flags, env);
+    const context = { client, flags, positionals, stdout, stderr };
+
+    switch (name) {
+      case "validate":
+        return await validateCommand(context);
+      case "track":
+        return await trackCommand(context);
+      case "import":
+        return await importCommand(context);
+      default:
+        return await exportCommand(context);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`pavekit: ${error.message}\n\n${command ? command.usage : USAGE}`);
+      return 2;
+    }
+
+    stderr.write(`pavekit: ${error.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * @private
+ */
+async function validateCommand({ client, stdout }) {
+  await client.validate();
+  stdout.write(`API key is valid (${client.baseURL})\n`);
+  return 0;
+}
+
+/**
+ * @private
+ */
+async function trackCommand({ client, flags, stdout }) {
+  if (!flags.email) {
+    throw new UsageError("--email is required");
+  }
+
+  const result = await client.track({
+    email: flags.email,
+    user_state: flags.state,
+    name: flags.name,
+    metadata:
+      flags.metadata !== undefined
+        ? parseJsonObject("--metadata", flags.metadata)
+        : undefined,
+    user_id: flags["user-id"],
+    idempotency_key: flags["idempotency-key"],
+  });
+
+  stdout.write(`Tracked ${flags.email}${result.user_id ? ` (${result.user_id})` : ""}\n`);
+  return 0;
+}
+
+/**
+ * @private
+ */
+async function importCommand({ client, flags, positionals, stdout, stderr }) {
+  if (positionals.length !== 1) {
+    throw new UsageError("Expected one file to import");
+  }
+
+  const format = flags.format;
+  if (format && format !== "csv" && format !== "jsonl") {
+    throw new UsageError(`--format must be csv or jsonl, got '${format}'`);
+  }
+
+  const importer = new Importer(client, {
+    file: positionals[0],
+    format,
+    mapping: parseMapping(flags.map || []),
+    metadataColumns: parseColumns(flags["metadata-columns"]),
+    state: flags.state,
+    batchSize: flags["batch-size"],
+    concurrency: flags.concurrency,
+    dryRun: flags["dry-run"],
+    checkpointFile: flags.checkpoint,
+    reportFile: flags.report,
+    // Live counter on terminals only; the summary below is what scripts read
+    onProgress: stderr.isTTY
+      ? (progress) => {
+          stderr.write(
+            `\r${progress.dryRun ? "Checked" : "Imported"} ${progress.imported} rows, ` +
+              `${progress.failed} failed`,
+          );
+        }
+      : null,
+  });
+
+  const interrupt = () => importer.stop();
+  process.once("SIGINT", interrupt);
+
+  let summary;
+  try {
+    summary = await importer.run();
+  } finally {
+    process.removeListener("SIGINT", interrupt);
+  }
+
+  if (stderr.isTTY) {
+    stderr.write("\n");
+  }
+
+  if (summary.resumed) {
+    stdout.write(`Resumed after row ${summary.skipped}\n`);
+  }
+
+  stdout.write(
+    summary.dryRun
+      ? `Dry run: ${summary.imported} rows valid, ${summary.failed} invalid\n`
+      : `Imported ${summary.imported} rows, ${summary.failed} failed\n`,
+  );
+
+  if (summary.reportFile) {
+    stdout.write(`Failed rows written to ${summary.reportFile}\n`);
+  }
+
+  if (summary.stopped) {
+    stderr.write(
+      `pavekit: import stopped: ${summary.stopped.message}\n` +
+        "Run the same command again to resume.\n",
+    );
+    return 1;
+  }
+
+  return summary.failed > 0 ? 1 : 0;
+}
+
+/**
+ * @private
+ */
+async function exportCommand({ client, flags, stdout, stderr }) {
+  if (flags.email) {
+    const job = await client.waitForJob(await client.exportUser(flags.email));
+    if (job.status !== "completed") {
+      stderr.write(`pavekit: export ${job.id} ${job.status}\n`);
+      return 1;
+    }
+
+    stdout.write(`${job.downloadUrl}\n`);
+    return 0;
+  }
+
+  const format = flags.format || "jsonl";
+  if (format !== "csv" && format !== "jsonl") {
+    throw new UsageError(`--format must be csv or jsonl, got '${format}'`);
+  }
+
+  const output = flags.output ? fs.createWriteStream(flags.output) : stdout;
+  const write = (line) => output.write(`${line}\n`);
+
+  if (format === "csv") {
+    write(formatRecord(EXPORT_COLUMNS));
+  }
+
+  let count = 0;
+  try {
+    for await (const user of await client.listUsers({ state: flags.state, limit: 100 })) {
+      const row = {
+        user_id: user.id,
+        email: user.email,
+        name: user.name,
+        user_state: user.state,
+        created_at: toISO(user.createdAt),
+        updated_at: toISO(user.updatedAt),
+        converted_at: toISO(user.convertedAt),
+        metadata: user.metadata,
+      };
+
+      write(
+        format === "csv"
+          ? formatRecord(EXPORT_COLUMNS.map((column) => row[column]))
+          : JSON.stringify(row),
+      );
+      count += 1;
+    }
+  } finally {
+    if (flags.output) {
+      await new Promise((resolve) => output.end(resolve));
+    }
+  }
+
+  if (flags.output) {
+    stderr.write(`Exported ${count} users to ${flags.output}\n`);
+  }
+  return 0;
+}
+
+/**
+ * Parse flags and positional arguments
+ * @param {string[]} args - Arguments
+ * @param {Object} spec - flag name => 'string' | 'number' | 'boolean' | 'list'
+ * @returns {Object} { flags, positionals }
+ */
+function parseArgs(args, spec) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf("=");
+    const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    const type = spec[name];
+
+    if (!type) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+
+    if (type === "boolean") {
+      flags[name] = true;
+      continue;
+    }
+
+    const value = separator === -1 ? args[++i] : arg.slice(separator + 1);
+    if (value === undefined) {
+      throw new UsageError(`--${name} needs a value`);
+    }
+
+    if (type === "number") {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} expects a positive whole number, got '${value}'`);
+      }
+      flags[name] = number;
+    } else if (type === "list") {
+      flags[name] = (flags[name] || []).concat(value);
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+/**
+ * @private
+ */
+function createClient(flags, env) {
+  const apiKey = flags["api-key"] || env.PAVEKIT_API_KEY;
+  if (!apiKey) {
+    throw new UsageError("Missing API key: pass --api-key or set PAVEKIT_API_KEY");
+  }
+
+  const client = new PaveKitAPI();
+  client.init({ apiKey, baseURL: flags["base-url"] || env.PAVEKIT_API_URL });
+  return client;
+}
+
+/**
+ * @private
+ */
+function parseMapping(entries) {
+  const fields = ["email", "name", "user_state", "user_id", "idempotency_key"];
+  const mapping = {};
+
+  entries.forEach((entry) => {
+    const separator = entry.indexOf("=");
+    const field = entry.slice(0, separator);
+
+    if (separator === -1 || !fields.includes(field)) {
+      throw new UsageError(
+        `--map expects field=column with a field of ${fields.join(", ")}, got '${entry}'`,
+      );
+    }
+    mapping[field] = entry.slice(separator + 1);
+  });
+
+  return mapping;
+}
+
+/**
+ * @private
+ */
+function parseColumns(list) {
+  if (list === undefined) return null;
+  if (list === "none") return [];
+  return list
+    .split(",")
+    .map((column) => column.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function parseJsonObject(flag, text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`${flag} is not valid JSON: ${error.message}`);
+  }
+
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new UsageError(`${flag} must be a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function toISO(date) {
+  return date ? date.toISOString() : null;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { run, parseArgs };
+}
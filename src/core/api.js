@@ -6,229 +6,1476 @@
  * Use it in your Node.js, Express, Next.js API routes, or other backend services.
  *
  * NEW in v1.3: State-based user tracking (created, converted)
+ *
+ * The client keeps no per-user state: one instance can safely be shared by
+ * concurrent requests for different users (see forUser()).
+ *
+ * Builds on PaveKitClient (client.js), the request pipeline shared with the
+ * browser SDK, and adds the server-side features.
  */
 
-class PaveKitAPI {
+const PaveKitClient = require("./client.js");
+const Batcher = require("./batcher.js");
+const RetryPolicy = require("./retry-policy.js");
+const CircuitBreaker = require("./circuit-breaker.js");
+const CircuitQueue = require("./circuit-queue.js");
+const RateLimiter = require("./rate-limiter.js");
+const HealthMonitor = require("./health-monitor.js");
+const InterceptorChain = require("./interceptors.js");
+const PaveKitUserHandle = require("./user-handle.js");
+const transports = require("./transports.js");
+const nodeTransports = require("./node-transports.js");
+const errors = require("./errors.js");
+const models = require("./models.js");
+const SuppressionList = require("./suppression.js");
+const Lifecycle = require("./lifecycle.js");
+const MetadataNormalizer = require("./metadata.js");
+const EmailHasher = require("./email-hasher.js");
+
+const {
+  PaveKitError,
+  PaveKitConfigurationError,
+  PaveKitValidationError,
+  PaveKitTimeoutError,
+  PaveKitSuppressedError,
+  PaveKitCircuitOpenError,
+} = errors;
+const { PaveKitUser, PaveKitUserEvent, PaveKitJob, PaveKitPage } = models;
+
+// Writes the circuit queue may hold back; reads and privacy calls still fail fast
+const QUEUEABLE_ENDPOINTS = ["/v1/activity", "/v1/events", "/v1/activity/batch", "/v1/events/batch"];
+
+class PaveKitAPI extends PaveKitClient {
   constructor() {
-    this.baseURL = "http://localhost:8000";
-    this.apiKey = null;
-    this.timeout = 10000; // 10 second timeout for backend
-    this.retryAttempts = 3;
-    this.retryDelay = 1000;
-    this.userId = null;
+    super();
+    this.maxBatchSize = 100;
+    this.retryPolicy = null;
+    this.idempotencyKeyGenerator = null;
+    this.onError = null;
+    this.health = new HealthMonitor();
+    this.circuitBreaker = null;
+    this.circuitQueue = null;
+    this.rateLimiter = null;
+    this.batcher = null;
+    this.eventBatcher = null;
+    this.interceptors = new InterceptorChain();
+    this.suppression = new SuppressionList();
+    this.lifecycle = new Lifecycle();
+    this.metadataNormalizer = new MetadataNormalizer();
+    this.pending = new Set();
+    this.flushing = 0;
+    this.closed = false;
+    this.removeShutdownHooks = null;
   }
 
   /**
    * Initialize the API client
-   * @param {Object} config - Configuration
+   * @param {Object} config - Configuration; see PaveKitClient#init for the connection,
+   *   transport and hashEmails options
    * @param {string} config.apiKey - Your PaveKit API key (required)
-   * @param {string} config.baseURL - API endpoint URL
-   * @param {number} config.timeout - Request timeout in milliseconds
+   * @param {Object|RetryPolicy} [config.retry] - Retry policy, or options for the default
+   *   RetryPolicy (maxAttempts, baseDelay, maxDelay, deadline, respectRetryAfter, onRetry)
+   * @param {Object} [config.health] - Health thresholds (window, degradedErrorRate,
+   *   degradedLatency, minSamples, offlineAfter)
+   * @param {boolean|Object|CircuitBreaker} [config.circuitBreaker] - Turns on the circuit
+   *   breaker, with its options (failureThreshold, cooldown, halfOpenRequests, onStateChange);
+   *   off by default
+   * @param {boolean|Object} [config.circuitBreaker.queue] - Hold track(), trackEvent() and
+   *   batch calls back in memory while the circuit is open instead of failing them, and send
+   *   them once the API answers again; or options for the queue (maxSize, default 1000)
+   * @param {Function} [config.generateIdempotencyKey] - (data) => string, derives idempotency keys
+   *   from the tracked data instead of generating random ones (keys then survive process restarts)
+   * @param {Function} [config.onError] - Receives a structured report for every failed call
+   * @param {Object} [config.rateLimit] - Client-side token bucket (requestsPerSecond, burst, maxWait)
+   * @param {number} [config.maxBatchSize=100] - Maximum events per batch request
+   * @param {boolean|Object} [config.batching] - Buffer track() calls and send them in batches
+   * @param {number} [config.batching.maxItems=50] - Flush after this many buffered events
+   * @param {number} [config.batching.maxBytes=262144] - Flush before the buffer exceeds this size
+   * @param {number} [config.batching.flushInterval=1000] - Flush this many ms after the first buffered event
+   * @param {Object} [config.agent] - Node http.Agent / https.Agent (e.g. with keepAlive);
+   *   sends through Node's http module instead of fetch
+   * @param {Object} [config.suppressionStore] - Store for the suppression list of erased users,
+   *   { has, add, remove } (sync or async); defaults to memory
+   * @param {string} [config.suppressionSalt] - Secret salt for the digests kept in the
+   *   suppression list; required with suppressionStore
+   * @param {Lifecycle|Object} [config.lifecycle] - User states and allowed transitions,
+   *   or options for a new Lifecycle (states, transitions, initial)
+   * @param {Object} [config.metadata] - Metadata limits and schema (maxDepth, maxKeys,
+   *   maxKeyLength, maxValueSize, maxSize, schema, onViolation, onWarning)
+   * @param {boolean|Object} [config.shutdownHooks=false] - Flush on beforeExit and close on
+   *   SIGTERM in Node, or options for registerShutdownHooks() (signals, timeout)
    */
   init(config) {
-    if (!config.apiKey) {
-      throw new Error("API key is required");
+    super.init(config);
+
+    this.maxBatchSize = config.maxBatchSize || this.maxBatchSize;
+
+    if (config.retry) {
+      this.retryPolicy =
+        typeof config.retry.shouldRetry === "function"
+          ? config.retry
+          : new RetryPolicy({
+              maxAttempts: this.retryAttempts,
+              baseDelay: this.retryDelay,
+              ...config.retry,
+            });
+    }
+
+    this.idempotencyKeyGenerator =
+      config.generateIdempotencyKey || this.idempotencyKeyGenerator;
+    this.onError = config.onError || this.onError;
+
+    // Reconfigured in place, so listeners added with on() stay registered
+    if (config.health) {
+      this.health.configure(config.health);
+    }
+
+    if (config.circuitBreaker === false) {
+      this.circuitBreaker = null;
+      this.circuitQueue = null;
+    } else if (config.circuitBreaker instanceof CircuitBreaker) {
+      this.circuitBreaker = config.circuitBreaker;
+    } else if (config.circuitBreaker) {
+      const { queue, ...breakerOptions } =
+        config.circuitBreaker === true ? {} : config.circuitBreaker;
+
+      this.circuitBreaker = new CircuitBreaker(breakerOptions);
+      this.circuitQueue = queue ? new CircuitQueue(queue === true ? {} : queue) : null;
+    }
+
+    if (config.rateLimit) {
+      this.rateLimiter = new RateLimiter(config.rateLimit);
     }
 
-    this.apiKey = config.apiKey;
-    this.baseURL = config.baseURL || this.baseURL;
-    this.timeout = config.timeout || this.timeout;
+    if (!config.transport && config.agent) {
+      this.transport = nodeTransports.createNodeTransport({ agent: config.agent });
+    }
+
+    if (config.lifecycle) {
+      this.lifecycle =
+        config.lifecycle instanceof Lifecycle
+          ? config.lifecycle
+          : new Lifecycle(config.lifecycle);
+    }
+
+    if (config.metadata) {
+      this.metadataNormalizer = new MetadataNormalizer(config.metadata);
+    }
 
-    if (config.debug) {
-      console.log("[PaveKit] Initialized:", {
-        baseURL: this.baseURL,
-        hasApiKey: !!this.apiKey,
+    if (config.suppressionStore) {
+      this.suppression = new SuppressionList(config.suppressionStore, {
+        salt: config.suppressionSalt,
       });
     }
+
+    if (config.batching) {
+      const batching = config.batching === true ? {} : config.batching;
+      this.discardBatched("init");
+      this.batcher = new Batcher((payloads) => this.sendBatch(payloads), batching);
+      this.eventBatcher = new Batcher(
+        (payloads) => this.sendBatch(payloads, "/v1/events/batch", "trackEvent"),
+        batching,
+      );
+    }
+
+    if (config.shutdownHooks) {
+      this.registerShutdownHooks(
+        config.shutdownHooks === true ? {} : config.shutdownHooks,
+      );
+    }
+  }
+
+  /**
+   * Add a middleware around every API request
+   *
+   * @param {Object} middleware - Request hooks
+   * @param {Function} [middleware.onRequest] - (context) => void | result; mutate
+   *   context.url, context.headers or context.body, or return a result to skip the request
+   * @param {Function} [middleware.onResponse] - (context, result) => void | result
+   * @param {Function} [middleware.onError] - (context, error) => void | result; return a
+   *   value to recover, or throw to replace the error
+   * @returns {PaveKitAPI} The client, for chaining
+   *
+   * @example
+   * client.use({
+   *   onRequest(context) {
+   *     context.headers['X-Trace-ID'] = tracer.currentId();
+   *     context.url = context.url.replace('https://api.pavekit.com', 'http://egress-proxy');
+   *   },
+   *   onResponse(context, result) {
+   *     logger.info('PaveKit', context.operation, result);
+   *   }
+   * });
+   */
+  use(middleware) {
+    this.interceptors.use(middleware);
+    return this;
+  }
+
+  /**
+   * Run a request through the middleware added with use()
+   * @private
+   */
+  intercept(context, send) {
+    return this.interceptors.run(context, send);
+  }
+
+  /**
+   * Apply the circuit breaker and rate limiter before each attempt
+   * @private
+   */
+  async beforeAttempt() {
+    // Wait for the token first: a half-open probe is only taken once the
+    // request is sure to go out, so a rate limit error cannot leak it
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire();
+    }
+
+    // Fails fast while the circuit is open, so retries stop piling up too
+    if (this.circuitBreaker) {
+      this.circuitBreaker.assertCanRequest();
+    }
   }
 
   /**
-   * Make HTTP request with retry logic
+   * Record an attempt with the health monitor and the circuit breaker
    * @private
    */
-  async makeRequest(endpoint, options = {}) {
-    const url = `${this.baseURL}/api${endpoint}`;
+  recordAttempt(latency, error) {
+    this.health.record({ latency, error });
 
-    const requestOptions = {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-API-Key": this.apiKey,
-        ...options.headers,
-      },
-      ...options,
-    };
+    if (this.circuitBreaker) {
+      if (error) {
+        this.circuitBreaker.recordFailure(error);
+      } else {
+        this.circuitBreaker.recordSuccess();
+      }
+    }
 
-    // Add timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-    requestOptions.signal = controller.signal;
+    // The API answered: send what the circuit queue held back
+    if (!error && this.circuitQueue && this.circuitQueue.size() > 0) {
+      this.replayQueued().catch(() => {});
+    }
+  }
 
-    let lastError = null;
+  /**
+   * Send a request, queueing writes the open circuit refused (see config.circuitBreaker.queue)
+   * @private
+   */
+  async sendWithRetry(context) {
+    try {
+      return await super.sendWithRetry(context);
+    } catch (error) {
+      if (
+        !this.circuitQueue ||
+        context.state.replay ||
+        !(error instanceof PaveKitCircuitOpenError) ||
+        !QUEUEABLE_ENDPOINTS.includes(context.endpoint)
+      ) {
+        throw error;
+      }
+
+      const { endpoint, operation, headers, body } = context;
+      this.circuitQueue.add({ endpoint, operation, headers, body });
 
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      // Batch calls get one result per event, like the API's own answer
+      const events = body && Array.isArray(body.events) ? body.events : null;
+      return events
+        ? { results: events.map(() => ({ success: true, queued: true })) }
+        : { success: true, queued: true };
+    }
+  }
+
+  /**
+   * Send the calls the circuit queue held back, in order
+   * Stops at the first retryable failure; calls the API rejects for good are dropped.
+   * @returns {Promise<Object>} { sent, dropped, remaining }
+   * @private
+   */
+  replayQueued() {
+    const queue = this.circuitQueue;
+
+    return this.whilePending(() =>
+      queue.replay(
+        (entry) =>
+          this.makeRequest(entry.endpoint, {
+            operation: entry.operation,
+            method: "POST",
+            headers: entry.headers,
+            body: entry.body,
+            state: { replay: true },
+          }),
+        RetryPolicy.isRetryableError,
+      ),
+    );
+  }
+
+  /**
+   * Get the retry policy for requests
+   * Falls back to a default policy built from retryAttempts and retryDelay.
+   * @returns {RetryPolicy} Retry policy
+   * @private
+   */
+  getRetryPolicy() {
+    return this.retryPolicy || super.getRetryPolicy();
+  }
+
+  /**
+   * Report a failed call to the onError hook (or the console in debug mode)
+   * @param {string} operation - Client method that failed
+   * @param {Error} error - The error being thrown to the caller
+   * @private
+   */
+  reportError(operation, error) {
+    const report = {
+      operation,
+      ...(error instanceof PaveKitError
+        ? error.toJSON()
+        : { name: error.name, message: error.message }),
+    };
+
+    if (this.onError) {
       try {
-        const response = await fetch(url, requestOptions);
-        clearTimeout(timeoutId);
+        this.onError(report, error);
+      } catch (hookError) {
+        // A broken reporting hook must not mask the original error
+      }
+    } else if (this.debug) {
+      console.error("[PaveKit] Request failed:", report);
+    }
+  }
+
+  /**
+   * Pick the idempotency key for a tracked item
+   * @param {Object} data - Activity data
+   * @returns {string} Caller key, configured key or a random one
+   * @private
+   */
+  resolveIdempotencyKey(data) {
+    if (!data.idempotency_key && this.idempotencyKeyGenerator) {
+      return String(this.idempotencyKeyGenerator(data));
+    }
+
+    return super.resolveIdempotencyKey(data);
+  }
+
+  /**
+   * Get the transport requests are sent through
+   * Falls back to the default for the environment (fetch, or Node's http module).
+   * @returns {Function} Transport
+   * @private
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodeTransports.createDefaultTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Track user activity (see PaveKitClient#track)
+   * flush() and close() wait for the call; with auto-batching enabled it
+   * resolves once its batch is sent.
+   *
+   * Without a user_state the lifecycle's initial state is sent ('created'
+   * unless configured otherwise), as track() always did.
+   *
+   * When the lifecycle declares transitions, the state change is checked
+   * against the user's current state first (see transition()); a call without
+   * a user_state then keeps the current state instead.
+   * @param {Object} data - Activity data
+   * @param {Object} [options] - Request options
+   * @param {string|null} [options.from] - Known current state; skips the lookup
+   * @returns {Promise<Object>} Response with user_id
+   * @throws {PaveKitValidationError} When the lifecycle does not allow the move
+   */
+  async track(data, options = {}) {
+    return await this.whilePending(async () => {
+      this.assertOpen("track");
+
+      const { from, ...requestOptions } = options;
+      return await super.track(await this.checkTransition(data, from), requestOptions);
+    });
+  }
+
+  /**
+   * Check track() data without sending it
+   * Runs the same validation, lifecycle state check and metadata limits as
+   * track(); the transition graph and the suppression list need the API and are
+   * only checked when the call is made.
+   * @param {Object} data - Activity data, same shape as track()
+   * @returns {Object} The payload track() would send, before email hashing
+   * @throws {PaveKitValidationError} When track() would reject the data
+   *
+   * @example
+   * rows.forEach((row) => pavekit.validateActivity(row));
+   */
+  validateActivity(data) {
+    return this.buildPayload(data || {});
+  }
+
+  /**
+   * Track a named event a user performed (see PaveKitClient#trackEvent)
+   * @param {string} email - User email (required)
+   * @param {string} eventName - Event name
+   * @param {Object} [properties] - Event properties
+   * @param {Object} [options] - Event options
+   * @returns {Promise<Object>} Response with event_id and user_id
+   */
+  async trackEvent(email, eventName, properties = {}, options = {}) {
+    return await this.whilePending(async () => {
+      this.assertOpen("trackEvent");
+      return await super.trackEvent(email, eventName, properties, options);
+    });
+  }
+
+  /**
+   * Buffer the payload when auto-batching is on, otherwise send it
+   * @private
+   */
+  async dispatch(endpoint, operation, payload, options = {}) {
+    const batcher = operation === "track" ? this.batcher : this.eventBatcher;
 
-        if (response.ok) {
-          return await response.json();
+    if (batcher && !options.transport) {
+      return await this.addToBatch(batcher, payload);
+    }
+
+    return await super.dispatch(endpoint, operation, payload, options);
+  }
+
+  /**
+   * Track many users in as few requests as possible
+   *
+   * Items are validated individually; invalid items are reported as failures
+   * without being sent. Valid items are sent in chunks of `maxBatchSize`.
+   *
+   * @param {Object[]} items - Activity data objects, same shape as track()
+   * @returns {Promise<Object>} { success, succeeded, failed, results }, where
+   *   results[i] is { index, success, user_id?, error? } for items[i]
+   *
+   * @example
+   * const report = await client.trackBatch([
+   *   { email: 'a@example.com', user_state: 'created' },
+   *   { email: 'b@example.com', user_state: 'converted' }
+   * ]);
+   * report.results.filter(r => !r.success).forEach(r => retryLater(items[r.index]));
+   */
+  async trackBatch(items) {
+    return await this.whilePending(async () => {
+      if (!this.apiKey) {
+        throw new PaveKitConfigurationError(
+          "API key not configured. Call init() first.",
+        );
+      }
+
+      this.assertOpen("trackBatch");
+
+      if (!Array.isArray(items)) {
+        throw new PaveKitValidationError("trackBatch() expects an array of items");
+      }
+
+      const results = new Array(items.length);
+      const pending = [];
+
+      for (let index = 0; index < items.length; index++) {
+        try {
+          const payload = await this.protectEmail(
+            this.buildPayload(await this.checkTransition(items[index] || {})),
+          );
+          pending.push({ index, payload });
+        } catch (error) {
+          results[index] = { index, success: false, error: error.message };
         }
+      }
 
-        const errorData = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorData}`);
-      } catch (error) {
-        clearTimeout(timeoutId);
-        lastError = error;
+      for (let start = 0; start < pending.length; start += this.maxBatchSize) {
+        const chunk = pending.slice(start, start + this.maxBatchSize);
+
+        try {
+          const chunkResults = await this.sendBatch(
+            chunk.map((entry) => entry.payload),
+          );
+
+          chunk.forEach((entry, offset) => {
+            const result = chunkResults[offset];
+            results[entry.index] = {
+              ...result,
+              index: entry.index,
+              success: result.success !== false,
+            };
+          });
+        } catch (error) {
+          this.reportError("trackBatch", error);
+          chunk.forEach((entry) => {
+            results[entry.index] = {
+              index: entry.index,
+              success: false,
+              error: error.message,
+              status: error.status || null,
+              retryable: !!error.retryable,
+            };
+          });
+        }
+      }
+
+      const succeeded = results.filter((result) => result.success).length;
+
+      return {
+        success: succeeded === results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      };
+    });
+  }
+
+  /**
+   * Send prepared payloads to a batch endpoint
+   * @param {Object[]} payloads - Payloads built by buildPayload() or buildEventPayload()
+   * @param {string} [endpoint='/v1/activity/batch'] - Batch endpoint
+   * @param {string} [operation='trackBatch'] - Operation name for interceptors and errors
+   * @returns {Promise<Object[]>} One result per payload, in order
+   * @private
+   */
+  async sendBatch(payloads, endpoint = "/v1/activity/batch", operation = "trackBatch") {
+    const response = await this.makeRequest(endpoint, {
+      operation,
+      method: "POST",
+      headers: { "Idempotency-Key": PaveKitAPI.generateIdempotencyKey() },
+      body: { events: payloads },
+    });
+
+    const results = Array.isArray(response.results) ? response.results : [];
+
+    return payloads.map(
+      (payload, index) =>
+        results[index] || {
+          success: false,
+          error: "No result returned for batch item",
+        },
+    );
+  }
+
+  /**
+   * Send any events buffered by auto-batching right away
+   * @returns {Promise<void>} Resolves once the buffered batch settled
+   */
+  async flushBatch() {
+    if (this.batcher) {
+      await Promise.all([this.batcher.flush(), this.eventBatcher.flush()]);
+    }
+  }
+
+  /**
+   * Reject the calls auto-batching still buffers, before the batchers are replaced
+   * @param {string} operation - Method dropping the batchers
+   * @private
+   */
+  discardBatched(operation) {
+    if (!this.batcher) return;
+
+    const error = new PaveKitConfigurationError(
+      `Call was not sent: ${operation}() was called while it waited for its batch`,
+    );
+    this.batcher.discard(error);
+    this.eventBatcher.discard(error);
+  }
+
+  /**
+   * Wait until every pending call was sent, sending buffered batches right away
+   *
+   * Serverless platforms may freeze the process once a handler returns, which
+   * drops calls still in flight; await this first (or see withFlush()).
+   * Failed calls still reject their own promises; flush() never rejects.
+   * Calls held in the circuit queue are sent too, unless the circuit is still open.
+   *
+   * After a timeout, calls still in flight carry on in the background, but
+   * flush() stops sending new calls right away and their timers no longer keep
+   * Node running.
+   *
+   * @param {Object} [options] - Flush options
+   * @param {number} [options.timeout] - Stop waiting after this many ms
+   * @param {Promise[]} [options.calls] - Wait for these calls only instead of every
+   *   pending one, e.g. the calls of one request; buffered batches are still sent
+   * @returns {Promise<boolean>} True once everything settled, false when the timeout
+   *   elapsed first
+   *
+   * @example
+   * exports.handler = async (event) => {
+   *   pavekit.track({ email: event.email });
+   *   await pavekit.flush({ timeout: 2000 });
+   * };
+   */
+  async flush(options = {}) {
+    this.flushing += 1;
+
+    let finished = false;
+    const finish = () => {
+      if (!finished) {
+        finished = true;
+        this.flushing -= 1;
+      }
+    };
+
+    const drain = (async () => {
+      try {
+        // One more go for the circuit queue; it stays queued while the circuit is open
+        if (this.circuitQueue && this.circuitQueue.size() > 0) {
+          this.replayQueued().catch(() => {});
+        }
 
-        // Don't retry on auth errors
-        if (error.message && error.message.includes("401")) {
-          throw error;
+        // Calls made while draining skip the batch timer (see addToBatch())
+        if (options.calls) {
+          await this.flushBatch();
+          await Promise.all(
+            options.calls.map((call) => Promise.resolve(call).catch(() => {})),
+          );
+          return true;
         }
 
-        // Wait before retrying
-        if (attempt < this.retryAttempts) {
-          await this.delay(this.retryDelay * attempt);
+        while (!finished && this.pending.size > 0) {
+          await this.flushBatch();
+          await Promise.all(Array.from(this.pending));
         }
+        return true;
+      } finally {
+        finish();
       }
+    })();
+
+    if (!options.timeout) {
+      return await drain;
     }
 
-    throw lastError;
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        finish();
+        resolve(false);
+      }, options.timeout);
+    });
+
+    try {
+      return await Promise.race([drain, expired]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
-   * Track user activity (unified method)
+   * Refuse new calls and wait for pending ones (see flush())
+   * track(), trackEvent(), trackBatch() and the read and privacy methods throw
+   * PaveKitConfigurationError once the client is closed; reset() reopens it.
+   * @param {Object} [options] - Flush options
+   * @param {number} [options.timeout] - Stop waiting after this many ms
+   * @returns {Promise<boolean>} True once everything settled, false on timeout
+   */
+  async close(options = {}) {
+    this.closed = true;
+    return await this.flush(options);
+  }
+
+  /**
+   * Flush before the process exits
    *
-   * @param {Object} data - Activity data
-   * @param {string} data.email - User email (required)
-   * @param {string} [data.name] - User's full name
-   * @param {Object} [data.metadata] - Custom metadata object
-   * @param {string} [data.user_state='created'] - User state: 'created' or 'converted'
-   * @returns {Promise<Object>} Response with user_id
+   * Node: on beforeExit (the event loop ran dry, e.g. with batch timers still
+   * pending) pending calls are flushed. On the signals the client is closed and,
+   * unless another listener handles the signal, the signal is raised again so the
+   * process exits as it would have. Does nothing outside Node.
+   *
+   * @param {Object} [options] - Hook options
+   * @param {string[]} [options.signals=['SIGTERM']] - Signals that close the client
+   * @param {number} [options.timeout=5000] - Longest wait for pending calls in ms
+   * @returns {Function} Call to remove the hooks
+   */
+  registerShutdownHooks(options = {}) {
+    if (typeof process === "undefined" || typeof process.on !== "function") {
+      return () => {};
+    }
+
+    if (this.removeShutdownHooks) {
+      this.removeShutdownHooks();
+    }
+
+    const signals = options.signals || ["SIGTERM"];
+    const timeout = options.timeout !== undefined ? options.timeout : 5000;
+
+    const onBeforeExit = () => {
+      if (this.pending.size > 0) {
+        this.flush({ timeout });
+      }
+    };
+
+    const onSignal = (signal) => {
+      remove();
+
+      this.close({ timeout }).then(() => {
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal);
+        }
+      });
+    };
+
+    const remove = () => {
+      process.removeListener("beforeExit", onBeforeExit);
+      signals.forEach((signal) => process.removeListener(signal, onSignal));
+
+      if (this.removeShutdownHooks === remove) {
+        this.removeShutdownHooks = null;
+      }
+    };
+
+    process.on("beforeExit", onBeforeExit);
+    signals.forEach((signal) => process.on(signal, onSignal));
+    this.removeShutdownHooks = remove;
+
+    return remove;
+  }
+
+  /**
+   * Wrap a serverless handler so pending calls are sent before it freezes
+   *
+   * After the handler finished, flush() is handed to `options.waitUntil`, or to
+   * the `waitUntil()` of a handler argument (Cloudflare Workers' ctx, the event of
+   * Vercel Edge and Next.js middleware), so the response is not delayed. Without
+   * one (e.g. AWS Lambda) the wrapper waits for the flush before returning.
+   *
+   * @param {Function} handler - Platform handler
+   * @param {Object} [options] - Wrapper options
+   * @param {Function} [options.waitUntil] - Keeps the function alive for a promise
+   *   (e.g. `waitUntil` from @vercel/functions)
+   * @param {number} [options.timeout] - Longest wait for pending calls in ms
+   * @returns {Function} Wrapped handler
    *
    * @example
-   * // Track new user signup
-   * await client.track({
-   *   email: 'user@example.com',
-   *   name: 'John Doe',
-   *   user_state: 'created',
-   *   metadata: {
-   *     signup_source: 'api',
-   *     plan: 'premium'
-   *   }
+   * exports.handler = pavekit.withFlush(async (event) => {
+   *   pavekit.track({ email: JSON.parse(event.body).email });
+   *   return { statusCode: 202 };
    * });
+   */
+  withFlush(handler, options = {}) {
+    return async (...args) => {
+      try {
+        return await handler(...args);
+      } finally {
+        const flushing = this.flush({ timeout: options.timeout });
+        const waitUntil = options.waitUntil || findWaitUntil(args);
+
+        if (waitUntil) {
+          waitUntil(flushing);
+        } else {
+          await flushing;
+        }
+      }
+    };
+  }
+
+  /**
+   * Validate a named event and build the request payload
+   * Properties get the same limits as metadata.
+   * @private
+   */
+  buildEventPayload(email, eventName, properties, options = {}) {
+    const payload = super.buildEventPayload(email, eventName, properties, options);
+
+    if (properties !== undefined && properties !== null) {
+      payload.properties = this.metadataNormalizer.normalize(properties, {
+        field: "properties",
+        schema: false,
+      });
+    }
+
+    return payload;
+  }
+
+  /**
+   * Validate activity data against the lifecycle and metadata limits
+   * Calls without a user_state get the lifecycle's initial state.
+   * @private
+   */
+  buildPayload(data) {
+    const payload = super.buildPayload({
+      ...data,
+      user_state: data.user_state || this.lifecycle.initial,
+    });
+
+    this.lifecycle.assertState(payload.user_state);
+
+    if (payload.metadata !== undefined) {
+      payload.metadata = this.metadataNormalizer.normalize(payload.metadata);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Check a state change against the lifecycle's transition graph
+   * Lifecycles without transitions allow any move and are not checked. The
+   * current state is read with getUser() unless passed as `from`.
+   * @param {Object} data - Activity data
+   * @param {string|null} [from] - Known current state
+   * @returns {Promise<Object>} Activity data; without a user_state it gets the
+   *   current state, or the initial state for users PaveKit does not know yet
+   * @throws {PaveKitValidationError} When the lifecycle does not allow the move
+   * @private
+   */
+  async checkTransition(data, from) {
+    if (!this.lifecycle.transitions || !data.email) {
+      return data;
+    }
+
+    if (data.user_state) {
+      this.lifecycle.assertState(data.user_state);
+    }
+
+    // Erased users are refused before their state is looked up
+    await this.assertNotSuppressed(data.email);
+
+    if (from === undefined) {
+      const user = await this.getUser(data.email);
+      from = user ? user.state : null;
+    }
+
+    if (!data.user_state) {
+      return { ...data, user_state: from || this.lifecycle.initial };
+    }
+
+    this.lifecycle.assertTransition(from, data.user_state);
+    return data;
+  }
+
+  /**
+   * Refuse suppressed users, then hash the email when hashEmails is on
+   * @private
+   */
+  async protectEmail(payload, options) {
+    await this.assertNotSuppressed(payload.email);
+    return await super.protectEmail(payload, options);
+  }
+
+  /**
+   * Build the path of a user resource
+   * Emails are looked up by the identifier track() sends: with hashEmails on,
+   * that is the digest of the normalized email. user_ids and digests pass through.
+   * @param {string} emailOrId - User email, digest or PaveKit user_id
+   * @param {string} [suffix=''] - Sub-resource such as '/events'
+   * @returns {Promise<string>} Request path
+   * @private
+   */
+  async userPath(emailOrId, suffix = "") {
+    const id =
+      this.emailHasher && String(emailOrId).includes("@")
+        ? await this.emailHasher.hash(emailOrId)
+        : emailOrId;
+
+    return `/v1/users/${encodeURIComponent(id)}${suffix}`;
+  }
+
+  /**
+   * Fetch a user's state and metadata
+   *
+   * @param {string} emailOrId - User email or PaveKit user_id
+   * @returns {Promise<PaveKitUser|null>} The user, or null if PaveKit does not know them
    *
    * @example
-   * // Mark user as converted
-   * await client.track({
-   *   email: 'user@example.com',
-   *   user_state: 'converted',
-   *   metadata: {
-   *     plan: 'enterprise',
-   *     value: 999
-   *   }
-   * });
+   * const user = await client.getUser('user@example.com');
+   * if (user && user.isConverted()) {
+   *   // skip the trial reminder
+   * }
    */
-  async track(data) {
-    if (!this.apiKey) {
-      throw new Error("API key not configured. Call init() first.");
+  async getUser(emailOrId) {
+    this.requireReady("getUser");
+
+    if (!emailOrId) {
+      throw new PaveKitValidationError("Email or user_id is required");
     }
 
-    if (!data.email) {
-      throw new Error("Email is required");
+    try {
+      const response = await this.makeRequest(
+        await this.userPath(emailOrId),
+        { operation: "getUser", method: "GET" },
+      );
+
+      return new PaveKitUser(response.user || response);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+
+      this.reportError("getUser", error);
+      throw error;
     }
+  }
+
+  /**
+   * List users, newest first
+   *
+   * @param {Object} [params] - Filters
+   * @param {string} [params.state] - Only users in this lifecycle state
+   * @param {string} [params.cursor] - Cursor from a previous page's nextCursor
+   * @param {number} [params.limit=50] - Users per page (1-100)
+   * @returns {Promise<PaveKitPage>} Page of PaveKitUser; iterate it with `for await`
+   *   to walk every following page
+   *
+   * @example
+   * for await (const user of await client.listUsers({ state: 'created' })) {
+   *   await sendOnboardingEmail(user.email);
+   * }
+   */
+  async listUsers(params = {}) {
+    this.requireReady("listUsers");
 
-    // Validate user_state if provided
-    const userState = data.user_state || 'created';
-    if (!['created', 'converted'].includes(userState)) {
-      throw new Error("user_state must be 'created' or 'converted'");
+    if (params.state) {
+      this.lifecycle.assertState(params.state, "state");
     }
 
-    const payload = {
-      email: data.email,
-      name: data.name || undefined,
-      metadata: data.metadata || undefined,
-      user_state: userState,
-      user_id: this.userId || undefined,
+    const query = {
+      state: params.state,
+      limit: this.pageLimit(params.limit),
     };
 
-    // Remove undefined values
-    Object.keys(payload).forEach(
-      (key) => payload[key] === undefined && delete payload[key],
+    const fetchPage = async (cursor) => {
+      try {
+        const response = await this.makeRequest(
+          `/v1/users${buildQuery({ ...query, cursor })}`,
+          { operation: "listUsers", method: "GET" },
+        );
+
+        return new PaveKitPage(
+          (response.users || []).map((user) => new PaveKitUser(user)),
+          response.next_cursor,
+          fetchPage,
+        );
+      } catch (error) {
+        this.reportError("listUsers", error);
+        throw error;
+      }
+    };
+
+    return await fetchPage(params.cursor);
+  }
+
+  /**
+   * Fetch a user's history (state changes and tracked activity), newest first
+   *
+   * @param {string} email - User email
+   * @param {Object} [params] - Paging
+   * @param {string} [params.cursor] - Cursor from a previous page's nextCursor
+   * @param {number} [params.limit=50] - Events per page (1-100)
+   * @returns {Promise<PaveKitPage>} Page of PaveKitUserEvent
+   */
+  async getUserEvents(email, params = {}) {
+    this.requireReady("getUserEvents");
+
+    if (!email) {
+      throw new PaveKitValidationError("Email is required");
+    }
+
+    const path = await this.userPath(email, "/events");
+    const limit = this.pageLimit(params.limit);
+
+    const fetchPage = async (cursor) => {
+      try {
+        const response = await this.makeRequest(
+          `${path}${buildQuery({ cursor, limit })}`,
+          { operation: "getUserEvents", method: "GET" },
+        );
+
+        return new PaveKitPage(
+          (response.events || []).map((event) => new PaveKitUserEvent(event)),
+          response.next_cursor,
+          fetchPage,
+        );
+      } catch (error) {
+        this.reportError("getUserEvents", error);
+        throw error;
+      }
+    };
+
+    return await fetchPage(params.cursor);
+  }
+
+  /**
+   * Move a user to another lifecycle state
+   *
+   * The move is checked against the lifecycle's transition graph first. The
+   * current state is read with getUser() unless passed as `options.from`;
+   * users PaveKit does not know yet may start in any state.
+   *
+   * @param {string} email - User email
+   * @param {string} state - Next state
+   * @param {Object} [options] - Transition options
+   * @param {Object} [options.metadata] - Metadata sent with the change
+   * @param {string} [options.from] - Known current state; skips the lookup
+   * @returns {Promise<Object>} Response with user_id
+   * @throws {PaveKitValidationError} When the lifecycle does not allow the move
+   *
+   * @example
+   * await client.transition('user@example.com', 'paying', { metadata: { plan: 'pro' } });
+   */
+  async transition(email, state, options = {}) {
+    this.requireReady("transition");
+
+    if (!email) {
+      throw new PaveKitValidationError("Email is required");
+    }
+
+    this.lifecycle.assertState(state);
+
+    let from = options.from;
+    if (from === undefined) {
+      const user = await this.getUser(email);
+      from = user ? user.state : null;
+    }
+
+    this.lifecycle.assertTransition(from, state);
+
+    return await this.track(
+      { email, user_state: state, metadata: options.metadata },
+      { from },
     );
+  }
+
+  /**
+   * Start a user's trial
+   * @param {string} email - User email
+   * @param {Object} [metadata] - Metadata sent with the change
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async startTrial(email, metadata) {
+    return await this.moveTo("startTrial", email, "trial", { metadata });
+  }
+
+  /**
+   * Mark a user as activated (reached the product's first value moment)
+   * @param {string} email - User email
+   * @param {Object} [metadata] - Metadata sent with the change
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async activate(email, metadata) {
+    return await this.moveTo("activate", email, "activated", { metadata });
+  }
+
+  /**
+   * Mark a user as converted
+   * @param {string} email - User email
+   * @param {Object} [metadata] - Metadata sent with the change
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async convert(email, metadata) {
+    return await this.moveTo("convert", email, "converted", { metadata });
+  }
+
+  /**
+   * Mark a user as churned
+   * @param {string} email - User email
+   * @param {string} [reason] - Why the user left; sent as metadata.churn_reason
+   * @param {Object} [metadata] - Metadata sent with the change
+   * @returns {Promise<Object>} Response with user_id
+   *
+   * @example
+   * await client.churn('user@example.com', 'too_expensive');
+   */
+  async churn(email, reason, metadata) {
+    return await this.moveTo("churn", email, "churned", {
+      metadata: reason ? { ...metadata, churn_reason: reason } : metadata,
+    });
+  }
+
+  /**
+   * Bring a churned user back
+   * @param {string} email - User email
+   * @param {Object} [metadata] - Metadata sent with the change
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async reactivate(email, metadata) {
+    return await this.moveTo("reactivate", email, "reactivated", { metadata });
+  }
+
+  /**
+   * Run a state helper's transition
+   * @param {string} helper - Helper name used in the error message
+   * @param {string} email - User email
+   * @param {string} state - Next state
+   * @param {Object} options - Transition options
+   * @returns {Promise<Object>} Response with user_id
+   * @throws {PaveKitConfigurationError} When the lifecycle has no such state
+   * @private
+   */
+  async moveTo(helper, email, state, options) {
+    if (!this.lifecycle.has(state)) {
+      throw new PaveKitConfigurationError(
+        `${helper}() needs a lifecycle with a '${state}' state, ` +
+          "e.g. init({ lifecycle: Lifecycle.onboarding() })",
+      );
+    }
+
+    return await this.transition(email, state, options);
+  }
+
+  /**
+   * Ask PaveKit to erase everything it holds about a user (GDPR right to erasure)
+   *
+   * The email is added to the suppression list first, so later track() calls
+   * for it are refused until recordConsent() is called. Events buffered by
+   * auto-batching are flushed before the erasure request.
+   *
+   * @param {string} email - User email
+   * @returns {Promise<PaveKitJob>} Erasure job; see waitForJob()
+   *
+   * @example
+   * const job = await client.deleteUser('user@example.com');
+   * await client.waitForJob(job);
+   */
+  async deleteUser(email) {
+    this.requireReady("deleteUser");
+
+    if (!email) {
+      throw new PaveKitValidationError("Email is required");
+    }
+
+    await this.suppression.add(email);
+    await this.flushBatch();
 
     try {
-      const result = await this.makeRequest("/v1/activity", {
-        method: "POST",
-        body: JSON.stringify(payload),
-      });
+      const response = await this.makeRequest(
+        await this.userPath(email),
+        { operation: "deleteUser", method: "DELETE" },
+      );
 
-      // Store user_id for future requests
-      if (result.user_id) {
-        this.userId = result.user_id;
-      }
+      return new PaveKitJob({ type: "erasure", email, ...response });
+    } catch (error) {
+      this.reportError("deleteUser", error);
+      throw error;
+    }
+  }
 
-      return result;
+  /**
+   * Ask PaveKit for a copy of everything it holds about a user (GDPR right of access)
+   *
+   * @param {string} email - User email
+   * @returns {Promise<PaveKitJob>} Export job; once completed, job.downloadUrl
+   *   points to the export
+   *
+   * @example
+   * const job = await client.waitForJob(await client.exportUser('user@example.com'));
+   * if (job.status === 'completed') {
+   *   await mailExportLink(job.email, job.downloadUrl);
+   * }
+   */
+  async exportUser(email) {
+    this.requireReady("exportUser");
+
+    if (!email) {
+      throw new PaveKitValidationError("Email is required");
+    }
+
+    try {
+      const response = await this.makeRequest(
+        await this.userPath(email, "/export"),
+        { operation: "exportUser", method: "POST" },
+      );
+
+      return new PaveKitJob({ type: "export", email, ...response });
     } catch (error) {
-      console.error("[PaveKit] Track failed:", error.message);
+      this.reportError("exportUser", error);
       throw error;
     }
   }
 
   /**
-   * Validate API key
-   * @returns {Promise<Object>} Validation response
+   * Fetch the current state of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<PaveKitJob>} Job
    */
-  async validate() {
-    if (!this.apiKey) {
-      throw new Error("API key not configured");
+  async getJob(jobId) {
+    this.requireReady("getJob");
+
+    if (!jobId) {
+      throw new PaveKitValidationError("Job ID is required");
     }
 
     try {
-      return await this.makeRequest("/v1/validate", {
-        method: "GET",
-      });
+      const response = await this.makeRequest(
+        `/v1/jobs/${encodeURIComponent(jobId)}`,
+        { operation: "getJob", method: "GET" },
+      );
+
+      return new PaveKitJob(response);
     } catch (error) {
-      console.error("[PaveKit] Validation failed:", error.message);
+      this.reportError("getJob", error);
       throw error;
     }
   }
 
+  /**
+   * Poll a job until it completed or failed
+   * @param {PaveKitJob|string} job - Job or job ID
+   * @param {Object} [options] - Polling options
+   * @param {number} [options.interval=2000] - Milliseconds between polls
+   * @param {number} [options.timeout=120000] - Give up after this many milliseconds
+   * @returns {Promise<PaveKitJob>} Finished job; check job.status for 'failed'
+   * @throws {PaveKitTimeoutError} When the job is still running at the timeout
+   */
+  async waitForJob(job, options = {}) {
+    const interval = options.interval !== undefined ? options.interval : 2000;
+    const timeout = options.timeout !== undefined ? options.timeout : 120000;
+    const jobId = typeof job === "string" ? job : job.id;
+    const deadlineAt = Date.now() + timeout;
+
+    let current = typeof job === "string" ? await this.getJob(jobId) : job;
+
+    while (!current.isDone()) {
+      if (Date.now() + interval > deadlineAt) {
+        throw new PaveKitTimeoutError(
+          `Job ${jobId} did not finish within ${timeout}ms`,
+        );
+      }
+
+      await this.delay(interval);
+      current = await this.getJob(jobId);
+    }
+
+    return current;
+  }
+
+  /**
+   * Record renewed consent and allow tracking a previously erased user again
+   * @param {string} email - User email
+   */
+  async recordConsent(email) {
+    await this.suppression.remove(email);
+  }
+
+  /**
+   * Check whether tracking a user is refused after an erasure request
+   * @param {string} email - User email
+   * @returns {Promise<boolean>} True if suppressed
+   */
+  async isSuppressed(email) {
+    return await this.suppression.has(email);
+  }
+
+  /**
+   * Refuse to track suppressed users
+   * @param {string} email - User email
+   * @private
+   */
+  async assertNotSuppressed(email) {
+    if (await this.suppression.has(email)) {
+      throw new PaveKitSuppressedError(
+        "User was erased and has not consented again; call recordConsent() before tracking them",
+      );
+    }
+  }
+
+  /**
+   * Throw unless init() was called
+   * @param {string} operation - Calling method
+   * @private
+   */
+  requireReady(operation) {
+    if (!this.apiKey) {
+      throw new PaveKitConfigurationError(
+        `API key not configured. Call init() before ${operation}().`,
+      );
+    }
+
+    this.assertOpen(operation);
+  }
+
+  /**
+   * Throw once close() was called
+   * @param {string} operation - Calling method
+   * @private
+   */
+  assertOpen(operation) {
+    if (this.closed) {
+      throw new PaveKitConfigurationError(
+        `Client is closed. ${operation}() was called after close().`,
+      );
+    }
+  }
+
+  /**
+   * Run a call so flush() and close() wait for it
+   * The call is registered before its first await, so a flush() right after
+   * track() already includes it.
+   * @param {Function} call - async () => result
+   * @returns {Promise<*>} The call's result
+   * @private
+   */
+  whilePending(call) {
+    const promise = call();
+    const settled = promise.then(
+      () => this.pending.delete(settled),
+      () => this.pending.delete(settled),
+    );
+
+    this.pending.add(settled);
+    return promise;
+  }
+
+  /**
+   * Buffer a payload, sending it right away while flush() runs
+   * @private
+   */
+  addToBatch(batcher, payload) {
+    const result = batcher.add(payload);
+
+    if (this.flushing > 0) {
+      batcher.flush();
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate a page size
+   * @param {number} [limit] - Requested page size
+   * @returns {number|undefined} Page size to send
+   * @private
+   */
+  pageLimit(limit) {
+    if (limit === undefined) return undefined;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new PaveKitValidationError(
+        "limit must be an integer between 1 and 100",
+      );
+    }
+
+    return limit;
+  }
+
+  /**
+   * Get a handle bound to a single user
+   *
+   * The handle fills in the email and remembers the user_id returned by the
+   * API, without storing anything on the shared client.
+   *
+   * @param {string} email - User email
+   * @param {Object} [options] - Handle options
+   * @param {string} [options.userId] - Known PaveKit user_id
+   * @returns {PaveKitUserHandle} Per-user handle
+   *
+   * @example
+   * app.post('/api/upgrade', async (req, res) => {
+   *   const user = pavekit.forUser(req.user.email);
+   *   await user.track({ user_state: 'converted' });
+   * });
+   */
+  forUser(email, options = {}) {
+    return new PaveKitUserHandle(this, email, options);
+  }
+
   /**
    * Get current client status
-   * @returns {Object} Status information
+   * @returns {Object} Status information, with the number of calls waiting in batches
+   *   or in the circuit queue
    */
   getStatus() {
+    const circuit = this.circuitBreaker ? this.circuitBreaker.getStatus() : null;
+    const health = this.health.getStatus();
+
     return {
-      initialized: !!this.apiKey,
-      baseURL: this.baseURL,
-      userId: this.userId,
-      connected: true,
+      ...super.getStatus(),
+      connected: health.status !== "offline" && !(circuit && circuit.state === "open"),
+      status: health.status,
+      circuit,
+      health,
+      queueDepth:
+        (this.batcher ? this.batcher.size() + this.eventBatcher.size() : 0) +
+        (this.circuitQueue ? this.circuitQueue.size() : 0),
     };
   }
 
   /**
-   * Delay helper for retries
-   * @private
+   * Listen for client events
+   * Listeners stay registered across init() and reset().
+   * @param {string} event - 'statusChange', called with { from, to, health } when the
+   *   computed status moves between 'healthy', 'degraded' and 'offline'
+   * @param {Function} listener - Event listener
+   * @returns {Function} Call to remove the listener
+   *
+   * @example
+   * client.on('statusChange', ({ from, to, health }) => {
+   *   logger.warn(`PaveKit ${from} -> ${to}`, health.lastError);
+   * });
    */
-  delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  on(event, listener) {
+    return this.health.on(event, listener);
   }
 
   /**
    * Reset client state
+   * Calls still buffered by auto-batching reject with PaveKitConfigurationError;
+   * flush() first to send them.
    */
   reset() {
-    this.apiKey = null;
-    this.baseURL = "http://localhost:8000";
-    this.timeout = 10000;
-    this.retryAttempts = 3;
-    this.retryDelay = 1000;
-    this.userId = null;
+    super.reset();
+    this.maxBatchSize = 100;
+    this.retryPolicy = null;
+    this.idempotencyKeyGenerator = null;
+    this.onError = null;
+    this.health.configure();
+    this.health.clear();
+    this.circuitBreaker = null;
+    this.circuitQueue = null;
+    this.rateLimiter = null;
+    this.discardBatched("reset");
+    this.batcher = null;
+    this.eventBatcher = null;
+    this.interceptors = new InterceptorChain();
+    this.suppression = new SuppressionList();
+    this.lifecycle = new Lifecycle();
+    this.metadataNormalizer = new MetadataNormalizer();
+    this.closed = false;
+    if (this.removeShutdownHooks) {
+      this.removeShutdownHooks();
+    }
   }
 }
 
+/**
+ * waitUntil() of the first handler argument that has one
+ * @private
+ */
+function findWaitUntil(args) {
+  const holder = args.find((arg) => arg && typeof arg.waitUntil === "function");
+  return holder ? (promise) => holder.waitUntil(promise) : null;
+}
+
+/**
+ * Build a query string, skipping empty values
+ * @private
+ */
+function buildQuery(params) {
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null)
+    .map(
+      (key) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`,
+    )
+    .join("&");
+
+  return query ? `?${query}` : "";
+}
+
 // Export for CommonJS and ES modules
 if (typeof module !== "undefined" && module.exports) {
   module.exports = PaveKitAPI;
+  module.exports.PaveKitClient = PaveKitClient;
+  Object.assign(module.exports, errors);
+  module.exports.PaveKitUserHandle = PaveKitUserHandle;
+  Object.assign(module.exports, models);
+  module.exports.SuppressionList = SuppressionList;
+  module.exports.Lifecycle = Lifecycle;
+  module.exports.MetadataNormalizer = MetadataNormalizer;
+  module.exports.CircuitBreaker = CircuitBreaker;
+  module.exports.CircuitQueue = CircuitQueue;
+  module.exports.RateLimiter = RateLimiter;
+  module.exports.HealthMonitor = HealthMonitor;
+  module.exports.EmailHasher = EmailHasher;
+  module.exports.transports = Object.assign({}, transports, nodeTransports);
 }
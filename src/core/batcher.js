@@ -0,0 +1,151 @@
+/**
+ * PaveKit Backend SDK - Batcher
+ * Buffers payloads and delivers them in batches, flushing by item count,
+ * serialized size or time interval. Each add() resolves with its own result.
+ */
+
+const byteLength = require("./byte-length.js");
+const { PaveKitError } = require("./errors.js");
+
+class Batcher {
+  /**
+   * @param {Function} send - async (payloads) => results, one result per payload
+   * @param {Object} config - Batching configuration
+   * @param {number} [config.maxItems=50] - Flush when this many items are buffered
+   * @param {number} [config.maxBytes=262144] - Flush before the buffer exceeds this many bytes
+   * @param {number} [config.flushInterval=1000] - Flush this many ms after the first buffered item
+   */
+  constructor(send, config = {}) {
+    this.send = send;
+    this.config = {
+      maxItems: 50,
+      maxBytes: 256 * 1024,
+      flushInterval: 1000,
+      ...config,
+    };
+
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.timer = null;
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Add a payload to the buffer
+   * @param {Object} payload - Payload to deliver
+   * @returns {Promise<Object>} Resolves with the payload's own result
+   */
+  add(payload) {
+    const bytes = byteLength(JSON.stringify(payload));
+
+    if (
+      this.buffer.length > 0 &&
+      this.bufferBytes + bytes > this.config.maxBytes
+    ) {
+      this.flush();
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.buffer.push({ payload, resolve, reject });
+    });
+    this.bufferBytes += bytes;
+
+    if (this.buffer.length >= this.config.maxItems) {
+      this.flush();
+    } else if (!this.timer) {
+      // Kept ref'd: a Node process must not exit with items still buffered.
+      // The timer only exists while the buffer is non-empty.
+      this.timer = setTimeout(() => this.flush(), this.config.flushInterval);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Send everything currently buffered
+   * @returns {Promise<void>} Resolves once the batch settled
+   */
+  flush() {
+    this.clearTimer();
+
+    if (this.buffer.length === 0) {
+      return Promise.resolve();
+    }
+
+    const items = this.buffer;
+    this.buffer = [];
+    this.bufferBytes = 0;
+
+    const delivery = this.deliver(items);
+    this.inFlight.add(delivery);
+    delivery.finally(() => this.inFlight.delete(delivery));
+
+    return delivery;
+  }
+
+  /**
+   * Send a batch and settle each item's promise
+   * @private
+   */
+  async deliver(items) {
+    let results;
+
+    try {
+      results = await this.send(items.map((item) => item.payload));
+    } catch (error) {
+      items.forEach((item) => item.reject(error));
+      return;
+    }
+
+    items.forEach((item, index) => {
+      const result = results[index];
+
+      if (result && result.success !== false) {
+        item.resolve(result);
+      } else {
+        const error = PaveKitError.fromBatchResult(result);
+        error.result = result;
+        item.reject(error);
+      }
+    });
+  }
+
+  /**
+   * Drop everything buffered, rejecting each item's promise
+   * Batches already being sent still settle on their own.
+   * @param {Error} error - Error the buffered items reject with
+   */
+  discard(error) {
+    this.clearTimer();
+
+    const items = this.buffer;
+    this.buffer = [];
+    this.bufferBytes = 0;
+
+    items.forEach((item) => item.reject(error));
+  }
+
+  /**
+   * Number of buffered (not yet sent) items
+   * @returns {number} Buffer size
+   */
+  size() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Stop the flush timer
+   * @private
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Batcher;
+}
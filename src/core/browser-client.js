@@ -0,0 +1,355 @@
+/**
+ * BrowserAPIClient - Browser-facing API client used by PaveKitSDK and the detectors
+ * Maps signup, conversion, activity and profile calls onto the /v1/activity state model,
+ * sends named events to /v1/events, and queues both for later delivery while the
+ * backend is unreachable
+ */
+import PaveKitClient from "./client.js";
+import OfflineQueue from "./offline-queue.js";
+import RetryPolicy from "./retry-policy.js";
+import { PaveKitValidationError } from "./errors.js";
+import { createBeaconTransport } from "./transports.js";
+
+class BrowserAPIClient extends PaveKitClient {
+  constructor() {
+    super();
+    this.offline = false;
+    this.onOffline = null;
+    this.queue = new OfflineQueue();
+    this.beaconTransport = createBeaconTransport();
+  }
+
+  /**
+   * Initialize the API client
+   * @param {Object} config - Configuration (see PaveKitClient#init)
+   * @param {Object} [config.queue] - Offline queue options (maxSize, ttl)
+   * @param {Function} [config.onOffline] - Called with the error when a send fails with a
+   *   retryable error and its payload is queued
+   */
+  init(config) {
+    super.init(config);
+    this.onOffline = config.onOffline || null;
+
+    if (config.queue) {
+      this.queue = new OfflineQueue(config.queue);
+    }
+
+    this.queue.load();
+  }
+
+  /**
+   * Register a detected or manual signup
+   * @param {Object} signupData - Signup data from a detector or trackSignup()
+   * @param {string} signupData.email - User email (required)
+   * @param {string} [signupData.signup_method] - How the signup was detected
+   * @param {string} [signupData.page_url] - Page the signup happened on
+   * @param {string} [signupData.referrer] - Document referrer
+   * @param {Object} [signupData.form_data] - Sanitized form fields
+   * @param {Object} [signupData.metadata] - Additional metadata
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async registerSignup(signupData = {}) {
+    return await this.send("signup", "signup", {
+      email: signupData.email,
+      name: signupData.name || this.extractName(signupData.form_data),
+      user_state: "created",
+      metadata: this.compactMetadata({
+        ...signupData.metadata,
+        signup_method: signupData.signup_method,
+        page_url: signupData.page_url,
+        referrer: signupData.referrer,
+        form_data: signupData.form_data,
+      }),
+    });
+  }
+
+  /**
+   * Mark a user as converted
+   * @param {Object} conversionData - Conversion data from trackConversion()
+   * @param {string} conversionData.email - User email (required)
+   * @param {string} [conversionData.conversion_type] - Conversion type (e.g. purchase)
+   * @param {number} [conversionData.value] - Conversion value
+   * @param {string} [conversionData.currency] - Currency code
+   * @param {Object} [conversionData.metadata] - Additional metadata
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async trackConversion(conversionData = {}) {
+    const dedupKey = `conversion:${conversionData.conversion_type || ""}`;
+
+    return await this.send("conversion", dedupKey, {
+      email: conversionData.email,
+      user_state: "converted",
+      metadata: this.compactMetadata({
+        ...conversionData.metadata,
+        conversion_type: conversionData.conversion_type,
+        value: conversionData.value,
+        currency: conversionData.currency,
+      }),
+    });
+  }
+
+  /**
+   * Send an activity update for a known user
+   * Activity is stored as metadata and never changes the user's state.
+   * @param {Object} activityData - Activity data from ActivityDetector
+   * @param {string} activityData.email - User email (required)
+   * @param {string} [activityData.page_url] - Current page URL
+   * @param {Object} [activityData.activity_data] - Engagement metrics
+   * @param {Object} [options] - Delivery options
+   * @param {boolean} [options.beacon] - Send with navigator.sendBeacon so the update
+   *   survives page unload (falls back to the normal transport when unavailable)
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async trackActivity(activityData = {}, options = {}) {
+    const data = {
+      email: activityData.email,
+      metadata: this.compactMetadata({
+        page_url: activityData.page_url,
+        activity: activityData.activity_data,
+        last_active_at: new Date().toISOString(),
+      }),
+    };
+
+    const transport =
+      options.beacon && this.canUseBeacon() ? this.beaconTransport : undefined;
+
+    return await this.send("activity", "activity", data, {
+      transport,
+    });
+  }
+
+  /**
+   * Track a named event, queueing it while offline or after a transient failure
+   * @param {string} email - User email (required)
+   * @param {string} eventName - Event name
+   * @param {Object} [properties] - Event properties
+   * @param {Object} [options] - Event options (see PaveKitClient#trackEvent)
+   * @returns {Promise<Object>} Response with event_id, or { success, queued } when queued
+   */
+  async trackEvent(email, eventName, properties = {}, options = {}) {
+    const { transport, ...eventOptions } = options;
+
+    // Validates and stamps the timestamp so a queued replay keeps the original time.
+    // Every event counts, so queued events are never deduplicated.
+    const payload = this.buildEventPayload(email, eventName, properties, eventOptions);
+
+    return await this.send("event", null, payload, { transport });
+  }
+
+  /**
+   * Update user profile information
+   * @param {Object} userData - User data
+   * @param {string} userData.email - User email (required)
+   * @param {string} [userData.name] - User's display name
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async updateUser(userData = {}) {
+    return await this.send("user", "user", {
+      email: userData.email,
+      name: userData.name || undefined,
+    });
+  }
+
+  /**
+   * Validate the configured API key with the backend
+   * @returns {Promise<Object>} Validation response
+   */
+  async validateAPIKey() {
+    return await this.validate();
+  }
+
+  /**
+   * Update client configuration after init
+   * @param {Object} config - Configuration
+   * @param {string} [config.apiKey] - New API key
+   * @param {string} [config.baseURL] - New API endpoint URL
+   */
+  updateConfig(config = {}) {
+    if (config.apiKey) {
+      this.apiKey = config.apiKey;
+    }
+
+    if (config.baseURL) {
+      this.baseURL = config.baseURL;
+    }
+  }
+
+  /**
+   * Deliver a payload now, or queue it while offline or after a transient failure
+   * @param {string} type - Payload type
+   * @param {string|null} dedupKey - Key identifying duplicate queued payloads of
+   *   one user; the email is appended
+   * @param {Object} data - track() payload, or an event payload for type 'event'
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} Response with user_id, or { success, queued } when queued
+   * @private
+   */
+  async send(type, dedupKey, data, options = {}) {
+    if (!data.email) {
+      throw new PaveKitValidationError("Email is required");
+    }
+
+    // Fix the idempotency key up front so a queued replay reuses it
+    const payload = {
+      ...data,
+      idempotency_key: this.resolveIdempotencyKey(data),
+    };
+
+    // With hashEmails on, only the digest may reach the queue's storage
+    if (this.emailHasher) {
+      payload.email = await this.emailHasher.hash(data.email);
+      payload.email_hashed = true;
+    }
+
+    const key = dedupKey && `${dedupKey}:${payload.email}`;
+
+    if (this.offline) {
+      return await this.enqueue(type, key, payload);
+    }
+
+    try {
+      return await this.deliver(type, payload, options);
+    } catch (error) {
+      if (!this.isRetryableError(error)) {
+        throw error;
+      }
+
+      if (this.onOffline) {
+        this.onOffline(error);
+      }
+
+      return await this.enqueue(type, key, payload);
+    }
+  }
+
+  /**
+   * Add a payload to the offline queue
+   * @private
+   */
+  async enqueue(type, dedupKey, data) {
+    await this.queue.enqueue(type, data, { dedupKey });
+
+    return {
+      success: true,
+      queued: true,
+      queueDepth: this.queue.size(),
+    };
+  }
+
+  /**
+   * Send a prepared payload to the endpoint for its type
+   * @private
+   */
+  async deliver(type, data, options = {}) {
+    const { email_hashed: emailHashed, ...payload } = data;
+
+    if (type === "event") {
+      const { email, event, properties, timestamp, idempotency_key } = payload;
+      return await super.trackEvent(email, event, properties, {
+        ...options,
+        timestamp,
+        idempotency_key,
+        emailHashed,
+      });
+    }
+
+    return await this.track(payload, { ...options, emailHashed });
+  }
+
+  /**
+   * Replay queued payloads in order
+   * @returns {Promise<Object>} { sent, dropped, remaining }
+   */
+  async flushQueue() {
+    return await this.queue.replay(
+      (entry) => this.deliver(entry.type, entry.data),
+      (error) => this.isRetryableError(error),
+    );
+  }
+
+  /**
+   * Check whether navigator.sendBeacon can be used
+   * @returns {boolean} True if available
+   * @private
+   */
+  canUseBeacon() {
+    return (
+      typeof navigator !== "undefined" &&
+      typeof navigator.sendBeacon === "function"
+    );
+  }
+
+  /**
+   * Check whether a failed request is worth delivering again later
+   * Network failures, timeouts, rate limits and server errors are retryable;
+   * other HTTP errors (bad key, invalid payload) are not.
+   * @param {Error} error - Request error
+   * @returns {boolean} True if retryable
+   */
+  isRetryableError(error) {
+    return RetryPolicy.isRetryableError(error);
+  }
+
+  /**
+   * Get current client status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      connected: !this.offline,
+      offline: this.offline,
+      queueDepth: this.queue.size(),
+    };
+  }
+
+  /**
+   * Reset client state
+   * Queued events are kept so they can still be delivered later.
+   */
+  reset() {
+    super.reset();
+    this.offline = false;
+  }
+
+  /**
+   * Derive a display name from sanitized form data
+   * @param {Object} formData - Sanitized form fields
+   * @returns {string|undefined} Name if one could be found
+   * @private
+   */
+  extractName(formData) {
+    if (!formData) return undefined;
+
+    const fullName =
+      formData.name || formData.full_name || formData.fullname || "";
+    if (fullName) return fullName;
+
+    const parts = [
+      formData.first_name || formData.firstname,
+      formData.last_name || formData.lastname,
+    ].filter(Boolean);
+
+    return parts.length > 0 ? parts.join(" ") : undefined;
+  }
+
+  /**
+   * Drop undefined values and return undefined for an empty object
+   * @param {Object} metadata - Metadata object
+   * @returns {Object|undefined} Compacted metadata
+   * @private
+   */
+  compactMetadata(metadata) {
+    const compacted = {};
+
+    Object.keys(metadata).forEach((key) => {
+      if (metadata[key] !== undefined) {
+        compacted[key] = metadata[key];
+      }
+    });
+
+    return Object.keys(compacted).length > 0 ? compacted : undefined;
+  }
+}
+
+export default BrowserAPIClient;
@@ -0,0 +1,22 @@
+/**
+ * PaveKit Backend SDK - Byte Length
+ * UTF-8 size of serialized payloads, shared by the batcher and the metadata limits.
+ */
+
+/**
+ * Byte length of a string (UTF-8)
+ * @param {string} text - Serialized payload
+ * @returns {number} Size in bytes
+ */
+function byteLength(text) {
+  if (typeof TextEncoder !== "undefined") {
+    return new TextEncoder().encode(text).length;
+  }
+
+  return text.length;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = byteLength;
+}
@@ -0,0 +1,151 @@
+/**
+ * PaveKit Backend SDK - Circuit Breaker
+ * Stops sending requests while the PaveKit API is down.
+ *
+ * closed    - requests go out; consecutive failures are counted
+ * open      - after `failureThreshold` consecutive failures every request fails
+ *             fast with PaveKitCircuitOpenError until `cooldown` has passed
+ * half-open - a limited number of probe requests go out; a success closes the
+ *             circuit, a failure opens it for another cool-down
+ *
+ * Only errors that say the API is unhealthy (network errors, timeouts, 429 and
+ * 5xx) count as failures. A 4xx answer means the API is up and resets the count.
+ */
+
+const RetryPolicy = require("./retry-policy.js");
+const { PaveKitCircuitOpenError } = require("./errors.js");
+
+class CircuitBreaker {
+  /**
+   * @param {Object} [config] - Breaker configuration
+   * @param {number} [config.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [config.cooldown=30000] - Milliseconds to stay open before probing again
+   * @param {number} [config.halfOpenRequests=1] - Probe requests allowed while half-open
+   * @param {Function} [config.isFailure] - (error) => boolean, defaults to retryable errors
+   * @param {Function} [config.onStateChange] - Called with { from, to, failures }
+   * @param {Function} [config.now=Date.now] - Clock
+   */
+  constructor(config = {}) {
+    this.failureThreshold = config.failureThreshold || 5;
+    this.cooldown = config.cooldown !== undefined ? config.cooldown : 30000;
+    this.halfOpenRequests = config.halfOpenRequests || 1;
+    this.isFailure = config.isFailure || RetryPolicy.isRetryableError;
+    this.onStateChange = config.onStateChange || null;
+    this.now = config.now || Date.now;
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.probes = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Current state, moving from open to half-open once the cool-down has passed
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  getState() {
+    if (this.state === "open" && this.now() - this.openedAt >= this.cooldown) {
+      this.transition("half-open");
+    }
+    return this.state;
+  }
+
+  /**
+   * Reserve the right to send a request
+   * @throws {PaveKitCircuitOpenError} While open, or when all half-open probes are in flight
+   */
+  assertCanRequest() {
+    const state = this.getState();
+
+    if (state === "closed") return;
+
+    if (state === "half-open" && this.probes < this.halfOpenRequests) {
+      this.probes++;
+      return;
+    }
+
+    const retryIn = Math.max(0, this.openedAt + this.cooldown - this.now());
+    throw new PaveKitCircuitOpenError(
+      `PaveKit API unavailable, requests paused for ${Math.ceil(retryIn / 1000)}s ` +
+        `after ${this.failures} consecutive failures`,
+      { cause: this.lastError, retryAfter: String(Math.ceil(retryIn / 1000)) },
+    );
+  }
+
+  /**
+   * Record a request that got an answer from the API
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+
+    if (this.state !== "closed") {
+      this.transition("closed");
+    }
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - Request error
+   */
+  recordFailure(error) {
+    if (!this.isFailure(error)) {
+      this.recordSuccess();
+      return;
+    }
+
+    this.failures++;
+    this.lastError = error;
+
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this.transition("open");
+    }
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.failures = 0;
+    this.lastError = null;
+    this.transition("closed");
+  }
+
+  /**
+   * @returns {Object} { state, failures, openedAt, retryAt }
+   */
+  getStatus() {
+    const state = this.getState();
+
+    return {
+      state,
+      failures: this.failures,
+      openedAt: state === "closed" ? null : this.openedAt,
+      retryAt: state === "open" ? this.openedAt + this.cooldown : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  transition(to) {
+    const from = this.state;
+    this.state = to;
+    this.probes = 0;
+
+    if (to === "closed") {
+      this.openedAt = null;
+    }
+
+    if (from !== to && this.onStateChange) {
+      this.onStateChange({ from, to, failures: this.failures });
+    }
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CircuitBreaker;
+}
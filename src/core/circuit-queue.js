@@ -0,0 +1,90 @@
+/**
+ * PaveKit Backend SDK - Circuit Queue
+ * Holds write requests back while the circuit breaker is open and sends them
+ * again, in order, once the PaveKit API answers.
+ *
+ * The queue lives in memory: calls still queued when the process exits are
+ * lost. Each entry keeps its Idempotency-Key header, so a replay of a call the
+ * API did receive is not applied twice.
+ */
+
+class CircuitQueue {
+  /**
+   * @param {Object} [config] - Queue configuration
+   * @param {number} [config.maxSize=1000] - Most requests held; the oldest are dropped first
+   */
+  constructor(config = {}) {
+    this.maxSize = config.maxSize || 1000;
+    this.entries = [];
+    this.replaying = null;
+  }
+
+  /**
+   * Queue a request
+   * @param {Object} entry - { endpoint, operation, headers, body }
+   */
+  add(entry) {
+    this.entries.push(entry);
+
+    if (this.entries.length > this.maxSize) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Send queued requests in order, stopping at the first retryable failure
+   * Requests that fail for good are dropped. Concurrent calls share one replay.
+   * @param {Function} send - async (entry) => result
+   * @param {Function} isRetryable - (error) => boolean
+   * @returns {Promise<Object>} { sent, dropped, remaining }
+   */
+  replay(send, isRetryable) {
+    if (!this.replaying) {
+      this.replaying = this.drain(send, isRetryable).finally(() => {
+        this.replaying = null;
+      });
+    }
+
+    return this.replaying;
+  }
+
+  /**
+   * Replay worker
+   * @private
+   */
+  async drain(send, isRetryable) {
+    let sent = 0;
+    let dropped = 0;
+
+    while (this.entries.length > 0) {
+      const entry = this.entries[0];
+
+      try {
+        await send(entry);
+        sent += 1;
+      } catch (error) {
+        if (isRetryable(error)) break;
+        dropped += 1;
+      }
+
+      // add() may have dropped it meanwhile
+      const index = this.entries.indexOf(entry);
+      if (index !== -1) this.entries.splice(index, 1);
+    }
+
+    return { sent, dropped, remaining: this.entries.length };
+  }
+
+  /**
+   * Number of queued requests
+   * @returns {number} Queue size
+   */
+  size() {
+    return this.entries.length;
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CircuitQueue;
+}
@@ -0,0 +1,626 @@
+/**
+ * PaveKit SDK - Core Client
+ * Request pipeline (retries, transports) and the track() and trackEvent()
+ * calls, shared by the Node client (PaveKitAPI) and the browser client.
+ *
+ * Server-only features live in PaveKitAPI so they stay out of the browser
+ * bundle: batching, interceptors, health monitoring, the circuit breaker and
+ * rate limiter, lifecycles, metadata limits, the read and privacy APIs, and
+ * flush() / close().
+ */
+
+const RetryPolicy = require("./retry-policy.js");
+const transports = require("./transports.js");
+const EmailHasher = require("./email-hasher.js");
+const {
+  PaveKitError,
+  PaveKitConfigurationError,
+  PaveKitValidationError,
+  PaveKitNetworkError,
+  PaveKitTimeoutError,
+} = require("./errors.js");
+
+const MAX_EVENT_NAME_LENGTH = 255;
+
+class PaveKitClient {
+  constructor() {
+    this.baseURL = "http://localhost:8000";
+    this.apiKey = null;
+    this.timeout = 10000; // 10 second timeout for backend
+    this.retryAttempts = 3;
+    this.retryDelay = 1000;
+    this.debug = false;
+    this.transport = null;
+    this.emailHasher = null;
+  }
+
+  /**
+   * Initialize the client
+   * @param {Object} config - Configuration
+   * @param {string} config.apiKey - Your PaveKit API key (required)
+   * @param {string} config.baseURL - API endpoint URL
+   * @param {number} config.timeout - Per-attempt request timeout in milliseconds
+   * @param {boolean} [config.debug] - Log initialization and failures to the console
+   * @param {Function} [config.transport] - fetch-compatible (url, init) => Promise<Response>
+   *   used for every request; see transports.js for the built-in ones
+   * @param {boolean|Object} [config.hashEmails=false] - Send a SHA-256 digest instead of the
+   *   email, or options for the hasher (salt, stripPlusAddress, normalizeGmail)
+   */
+  init(config) {
+    if (!config.apiKey) {
+      throw new PaveKitConfigurationError("API key is required");
+    }
+
+    this.apiKey = config.apiKey;
+    this.baseURL = config.baseURL || this.baseURL;
+    this.timeout = config.timeout || this.timeout;
+
+    this.debug = !!config.debug;
+
+    if (config.transport) {
+      this.transport = config.transport;
+    }
+
+    if (config.hashEmails) {
+      this.emailHasher = new EmailHasher(
+        config.hashEmails === true ? {} : config.hashEmails,
+      );
+    }
+
+    if (config.debug) {
+      console.log("[PaveKit] Initialized:", {
+        baseURL: this.baseURL,
+        hasApiKey: !!this.apiKey,
+      });
+    }
+  }
+
+  /**
+   * Make HTTP request
+   * @param {string} endpoint - API path below /api
+   * @param {Object} [options] - Request options
+   * @param {string} [options.operation] - Client method making the request
+   * @param {string} [options.method='POST'] - HTTP method
+   * @param {Object} [options.headers] - Extra headers
+   * @param {Object|string} [options.body] - Request body; objects are sent as JSON
+   * @param {Function} [options.transport] - Transport for this request only
+   * @param {Object} [options.state] - Initial middleware state
+   * @private
+   */
+  async makeRequest(endpoint, options = {}) {
+    const { operation, method, headers, body, transport, state } = options;
+
+    const context = {
+      operation: operation || null,
+      endpoint,
+      url: `${this.baseURL}/api${endpoint}`,
+      method: method || "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-API-Key": this.apiKey,
+        ...headers,
+      },
+      body,
+      transport: transport || null,
+      // Free-form space for middleware to share state between hooks
+      state: state || {},
+    };
+
+    return await this.intercept(context, (ctx) => this.sendWithRetry(ctx));
+  }
+
+  /**
+   * Hand a request to the request hooks
+   * The core client has none; PaveKitAPI runs its middleware (see use()).
+   * @param {Object} context - Request context from makeRequest()
+   * @param {Function} send - (context) => Promise<Object>
+   * @returns {Promise<Object>} Parsed JSON response
+   * @private
+   */
+  intercept(context, send) {
+    return send(context);
+  }
+
+  /**
+   * Send a request with retry logic
+   * @param {Object} context - Request context from makeRequest()
+   * @returns {Promise<Object>} Parsed JSON response
+   * @private
+   */
+  async sendWithRetry(context) {
+    const url = context.url;
+
+    // The same options (including any Idempotency-Key header) go out on every attempt
+    const requestOptions = {
+      method: context.method,
+      headers: context.headers,
+    };
+
+    if (context.body !== undefined) {
+      requestOptions.body =
+        typeof context.body === "string"
+          ? context.body
+          : JSON.stringify(context.body);
+    }
+
+    const transport = context.transport || this.getTransport();
+    const policy = this.getRetryPolicy();
+    const deadlineAt = policy.deadline ? Date.now() + policy.deadline : null;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.beforeAttempt();
+
+      // Every attempt gets its own timeout, capped by the overall deadline
+      const timeout = deadlineAt
+        ? Math.max(0, Math.min(this.timeout, deadlineAt - Date.now()))
+        : this.timeout;
+
+      const startedAt = Date.now();
+
+      try {
+        const result = await this.sendRequest(url, requestOptions, timeout, transport);
+        this.recordAttempt(Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        error.attempts = attempt;
+
+        this.recordAttempt(Date.now() - startedAt, error);
+
+        if (!policy.shouldRetry(error, attempt)) {
+          throw error;
+        }
+
+        const delay = policy.getDelay(error, attempt);
+        if (deadlineAt && Date.now() + delay >= deadlineAt) {
+          throw error;
+        }
+
+        if (typeof policy.onRetry === "function") {
+          policy.onRetry({ attempt, error, delay });
+        }
+
+        await this.delay(delay);
+      }
+    }
+  }
+
+  /**
+   * Wait until a request attempt may be sent
+   * The core client sends right away; PaveKitAPI applies its circuit breaker
+   * and rate limiter here.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async beforeAttempt() {}
+
+  /**
+   * Record the outcome of a request attempt
+   * The core client keeps no statistics; PaveKitAPI feeds its health monitor
+   * and circuit breaker here.
+   * @param {number} latency - Attempt duration in milliseconds
+   * @param {Error} [error] - Error the attempt failed with
+   * @private
+   */
+  recordAttempt(latency, error) {}
+
+  /**
+   * Send a single request attempt
+   * @param {string} url - Request URL
+   * @param {Object} requestOptions - fetch options
+   * @param {number} timeout - Timeout for this attempt in milliseconds
+   * @param {Function} [transport] - Transport to send through
+   * @returns {Promise<Object>} Parsed JSON response
+   * @private
+   */
+  async sendRequest(url, requestOptions, timeout, transport = this.getTransport()) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    // The transport keeps Node alive while the request can still finish; the
+    // timeout alone must not, e.g. after flush() gave up on a stuck request
+    if (timeoutId.unref) timeoutId.unref();
+
+    let response;
+    try {
+      response = await transport(url, {
+        ...requestOptions,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new PaveKitTimeoutError(`Request timed out after ${timeout}ms`, {
+          cause: error,
+        });
+      }
+
+      throw new PaveKitNetworkError(error.message, { cause: error });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (response.ok) {
+      try {
+        return await response.json();
+      } catch (error) {
+        // The request succeeded; sending it again would not help
+        throw new PaveKitError(`Invalid JSON response: ${error.message}`, {
+          status: response.status,
+          cause: error,
+        });
+      }
+    }
+
+    const errorData = await response.text();
+    throw PaveKitError.fromResponse(
+      response.status,
+      errorData,
+      response.headers,
+    );
+  }
+
+  /**
+   * Get the transport requests are sent through
+   * Falls back to the global fetch.
+   * @returns {Function} Transport
+   * @private
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = transports.createFetchTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Get the retry policy for requests
+   * Builds a default policy from retryAttempts and retryDelay.
+   * @returns {RetryPolicy} Retry policy
+   * @private
+   */
+  getRetryPolicy() {
+    return new RetryPolicy({
+      maxAttempts: this.retryAttempts,
+      baseDelay: this.retryDelay,
+    });
+  }
+
+  /**
+   * Track user activity (unified method)
+   *
+   * @param {Object} data - Activity data
+   * @param {string} data.email - User email (required)
+   * @param {string} [data.name] - User's full name
+   * @param {Object} [data.metadata] - Custom metadata object
+   * @param {string} [data.user_state] - User state: 'created' or 'converted', or any state
+   *   of the configured lifecycle. The core client leaves it out when omitted, which keeps
+   *   the user's current state; PaveKitAPI sends the lifecycle's initial state instead.
+   * @param {string} [data.user_id] - PaveKit user_id, if already known for this user
+   * @param {string} [data.idempotency_key] - Key that makes retries safe (e.g. a DB row ID);
+   *   generated when omitted and sent on every attempt
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.transport] - Send this call through another transport
+   *   (e.g. a beacon transport during page unload); bypasses auto-batching
+   * @returns {Promise<Object>} Response with user_id
+   *
+   * @example
+   * // Track new user signup
+   * await client.track({
+   *   email: 'user@example.com',
+   *   name: 'John Doe',
+   *   user_state: 'created',
+   *   metadata: {
+   *     signup_source: 'api',
+   *     plan: 'premium'
+   *   }
+   * });
+   *
+   * @example
+   * // Mark user as converted
+   * await client.track({
+   *   email: 'user@example.com',
+   *   user_state: 'converted',
+   *   metadata: {
+   *     plan: 'enterprise',
+   *     value: 999
+   *   }
+   * });
+   */
+  async track(data, options = {}) {
+    if (!this.apiKey) {
+      throw new PaveKitConfigurationError(
+        "API key not configured. Call init() first.",
+      );
+    }
+
+    const payload = await this.protectEmail(this.buildPayload(data), options);
+
+    try {
+      return await this.dispatch("/v1/activity", "track", payload, options);
+    } catch (error) {
+      this.reportError("track", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Track a named event a user performed
+   *
+   * Events record what a user did (e.g. 'project_created') without changing
+   * their user_state, so onboarding emails can react to product usage.
+   * Validation, suppression, email hashing, retries and auto-batching work
+   * as for track().
+   *
+   * @param {string} email - User email (required)
+   * @param {string} eventName - Event name, at most 255 characters
+   * @param {Object} [properties] - Event properties; same limits as metadata
+   * @param {Object} [options] - Event options
+   * @param {string} [options.idempotency_key] - Key that makes retries safe;
+   *   generated when omitted and sent on every attempt
+   * @param {Date|string} [options.timestamp] - When the event happened (defaults to now)
+   * @param {Function} [options.transport] - Send this call through another transport;
+   *   bypasses auto-batching
+   * @returns {Promise<Object>} Response with event_id and user_id
+   *
+   * @example
+   * await client.trackEvent('user@example.com', 'teammate_invited', {
+   *   role: 'admin',
+   *   team_size: 4
+   * });
+   */
+  async trackEvent(email, eventName, properties = {}, options = {}) {
+    if (!this.apiKey) {
+      throw new PaveKitConfigurationError(
+        "API key not configured. Call init() first.",
+      );
+    }
+
+    const payload = await this.protectEmail(
+      this.buildEventPayload(email, eventName, properties, options),
+      options,
+    );
+
+    try {
+      return await this.dispatch("/v1/events", "trackEvent", payload, options);
+    } catch (error) {
+      this.reportError("trackEvent", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a payload built for track() or trackEvent()
+   * Its idempotency key goes out as the Idempotency-Key header.
+   * @param {string} endpoint - API path below /api
+   * @param {string} operation - Calling method
+   * @param {Object} payload - Payload from buildPayload() or buildEventPayload()
+   * @param {Object} [options] - Request options (transport)
+   * @returns {Promise<Object>} Parsed JSON response
+   * @private
+   */
+  async dispatch(endpoint, operation, payload, options = {}) {
+    const { idempotency_key: idempotencyKey, ...body } = payload;
+
+    return await this.makeRequest(endpoint, {
+      operation,
+      method: "POST",
+      headers: { "Idempotency-Key": idempotencyKey },
+      body,
+      transport: options.transport,
+    });
+  }
+
+  /**
+   * Validate a named event and build the request payload
+   * @param {string} email - User email
+   * @param {string} eventName - Event name
+   * @param {Object} properties - Event properties
+   * @param {Object} options - trackEvent() options
+   * @returns {Object} Payload with email, event, properties, timestamp and idempotency_key
+   * @private
+   */
+  buildEventPayload(email, eventName, properties, options = {}) {
+    if (!email) {
+      throw new PaveKitValidationError("Email is required");
+    }
+
+    if (typeof eventName !== "string" || !eventName.trim()) {
+      throw new PaveKitValidationError("Event name must be a non-empty string");
+    }
+
+    if (eventName.length > MAX_EVENT_NAME_LENGTH) {
+      throw new PaveKitValidationError(
+        `Event name must be at most ${MAX_EVENT_NAME_LENGTH} characters`,
+      );
+    }
+
+    const timestamp = options.timestamp ? new Date(options.timestamp) : new Date();
+    if (isNaN(timestamp.getTime())) {
+      throw new PaveKitValidationError("timestamp must be a valid date");
+    }
+
+    const event = {
+      email,
+      event: eventName.trim(),
+      properties: properties !== undefined && properties !== null ? properties : {},
+      // Stamped now so batched and queued events keep the time they happened
+      timestamp: timestamp.toISOString(),
+    };
+
+    return {
+      ...event,
+      idempotency_key: this.resolveIdempotencyKey({
+        ...event,
+        idempotency_key: options.idempotency_key,
+      }),
+    };
+  }
+
+  /**
+   * Validate activity data and build the request payload
+   * @param {Object} data - Activity data (see track())
+   * @returns {Object} Payload without undefined values
+   * @private
+   */
+  buildPayload(data) {
+    if (!data.email) {
+      throw new PaveKitValidationError("Email is required");
+    }
+
+    const payload = {
+      email: data.email,
+      name: data.name || undefined,
+      metadata:
+        data.metadata !== undefined && data.metadata !== null
+          ? data.metadata
+          : undefined,
+      // Without a state the API keeps the user's current one, so activity and
+      // profile updates never move a converted user back
+      user_state: data.user_state || undefined,
+      user_id: data.user_id || undefined,
+      idempotency_key: this.resolveIdempotencyKey(data),
+    };
+
+    // Remove undefined values
+    Object.keys(payload).forEach(
+      (key) => payload[key] === undefined && delete payload[key],
+    );
+
+    return payload;
+  }
+
+  /**
+   * Hash the email when hashEmails is on
+   * @param {Object} payload - Payload built by buildPayload()
+   * @param {Object} [options] - Request options; emailHashed marks an email
+   *   that is already a digest
+   * @returns {Promise<Object>} Payload to send
+   * @private
+   */
+  async protectEmail(payload, options = {}) {
+    if (!this.emailHasher && !options.emailHashed) {
+      return payload;
+    }
+
+    return {
+      ...payload,
+      email: options.emailHashed
+        ? payload.email
+        : await this.emailHasher.hash(payload.email),
+      email_hashed: true,
+      hash_algorithm: "sha256",
+    };
+  }
+
+  /**
+   * Hash an email the way tracked payloads are hashed
+   * PaveKitAPI's user lookups hash emails themselves; use the digest to match
+   * PaveKit users against your own records.
+   * @param {string} email - Email address
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  async hashEmail(email) {
+    return await (this.emailHasher || new EmailHasher()).hash(email);
+  }
+
+  /**
+   * Validate API key
+   * @returns {Promise<Object>} Validation response
+   */
+  async validate() {
+    if (!this.apiKey) {
+      throw new PaveKitConfigurationError("API key not configured");
+    }
+
+    try {
+      return await this.makeRequest("/v1/validate", {
+        operation: "validate",
+        method: "GET",
+      });
+    } catch (error) {
+      this.reportError("validate", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Report a failed call
+   * The core client only throws; PaveKitAPI hands a report to its onError hook.
+   * @param {string} operation - Client method that failed
+   * @param {Error} error - The error being thrown to the caller
+   * @private
+   */
+  reportError(operation, error) {}
+
+  /**
+   * Pick the idempotency key for a tracked item
+   * @param {Object} data - Activity data
+   * @returns {string} Caller key or a random one
+   * @private
+   */
+  resolveIdempotencyKey(data) {
+    if (data.idempotency_key) {
+      return String(data.idempotency_key);
+    }
+
+    return PaveKitClient.generateIdempotencyKey();
+  }
+
+  /**
+   * Generate a random idempotency key
+   * @returns {string} UUID v4
+   */
+  static generateIdempotencyKey() {
+    const cryptoImpl = typeof crypto !== "undefined" ? crypto : null;
+
+    if (cryptoImpl && typeof cryptoImpl.randomUUID === "function") {
+      return cryptoImpl.randomUUID();
+    }
+
+    const bytes =
+      cryptoImpl && typeof cryptoImpl.getRandomValues === "function"
+        ? Array.from(cryptoImpl.getRandomValues(new Uint8Array(16)))
+        : Array.from({ length: 16 }, () => Math.floor(Math.random() * 256));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytes.map((byte) => byte.toString(16).padStart(2, "0")).join("");
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Get current client status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      initialized: !!this.apiKey,
+      baseURL: this.baseURL,
+    };
+  }
+
+  /**
+   * Delay helper for retries
+   * @private
+   */
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Reset client state
+   */
+  reset() {
+    this.apiKey = null;
+    this.baseURL = "http://localhost:8000";
+    this.timeout = 10000;
+    this.retryAttempts = 3;
+    this.retryDelay = 1000;
+    this.debug = false;
+    this.transport = null;
+    this.emailHasher = null;
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PaveKitClient;
+}
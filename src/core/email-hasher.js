@@ -0,0 +1,99 @@
+/**
+ * PaveKit Backend SDK - Email Hashing
+ * Sends a SHA-256 digest instead of the email address when privacy mode asks for it.
+ *
+ * Emails are normalized first so the same mailbox always produces the same
+ * digest: surrounding whitespace is trimmed and the address is lowercased.
+ * Plus-address tags ('jane+news@example.com') and Gmail's ignored dots
+ * ('j.ane@gmail.com') can optionally be folded as well.
+ *
+ * The digest is computed with WebCrypto where available (browsers, Node 20+,
+ * edge runtimes) and with Node's crypto module otherwise.
+ */
+
+const { PaveKitConfigurationError } = require("./errors.js");
+
+const GMAIL_DOMAINS = ["gmail.com", "googlemail.com"];
+
+class EmailHasher {
+  /**
+   * @param {Object} [config] - Hashing options
+   * @param {string} [config.salt=''] - Secret prepended to the normalized email before hashing;
+   *   use the same value everywhere digests need to match
+   * @param {boolean} [config.stripPlusAddress=false] - Drop '+tag' from the local part
+   * @param {boolean} [config.normalizeGmail=false] - Drop dots from Gmail local parts and
+   *   treat googlemail.com as gmail.com
+   */
+  constructor(config = {}) {
+    this.salt = config.salt || "";
+    this.stripPlusAddress = !!config.stripPlusAddress;
+    this.normalizeGmail = !!config.normalizeGmail;
+  }
+
+  /**
+   * Normalize an email the way it is hashed
+   * @param {string} email - Email address
+   * @returns {string} Normalized email
+   */
+  normalize(email) {
+    const normalized = String(email).trim().toLowerCase();
+    const at = normalized.lastIndexOf("@");
+    if (at === -1) return normalized;
+
+    let local = normalized.slice(0, at);
+    let domain = normalized.slice(at + 1);
+
+    if (this.stripPlusAddress && local.indexOf("+") > 0) {
+      local = local.slice(0, local.indexOf("+"));
+    }
+
+    if (this.normalizeGmail && GMAIL_DOMAINS.includes(domain)) {
+      local = local.replace(/\./g, "");
+      domain = "gmail.com";
+    }
+
+    return `${local}@${domain}`;
+  }
+
+  /**
+   * Hash an email
+   * @param {string} email - Email address
+   * @returns {Promise<string>} Lowercase hex SHA-256 digest of salt + normalized email
+   */
+  async hash(email) {
+    return await EmailHasher.sha256(this.salt + this.normalize(email));
+  }
+
+  /**
+   * SHA-256 of a UTF-8 string
+   * @param {string} text - Input
+   * @returns {Promise<string>} Lowercase hex digest
+   * @throws {PaveKitConfigurationError} When neither WebCrypto nor Node crypto is available
+   */
+  static async sha256(text) {
+    const subtle =
+      typeof crypto !== "undefined" && crypto.subtle ? crypto.subtle : null;
+
+    if (subtle && typeof TextEncoder !== "undefined") {
+      const digest = await subtle.digest("SHA-256", new TextEncoder().encode(text));
+      return Array.from(new Uint8Array(digest))
+        .map((byte) => byte.toString(16).padStart(2, "0"))
+        .join("");
+    }
+
+    // Required lazily so browser bundles never pull in Node's crypto module
+    const nodeCrypto = require("crypto");
+    if (!nodeCrypto || typeof nodeCrypto.createHash !== "function") {
+      throw new PaveKitConfigurationError(
+        "hashEmails needs WebCrypto or Node's crypto module",
+      );
+    }
+
+    return nodeCrypto.createHash("sha256").update(text, "utf8").digest("hex");
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EmailHasher;
+}
@@ -0,0 +1,251 @@
+/**
+ * PaveKit Backend SDK - Errors
+ * Typed errors thrown by PaveKitAPI. Every error carries the HTTP status,
+ * parsed response body, request ID, attempt count and whether a retry may help.
+ */
+
+class PaveKitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code
+   * @param {*} [details.body] - Parsed response body (JSON when possible, otherwise text)
+   * @param {string} [details.requestId] - Request ID reported by the API
+   * @param {number} [details.attempts] - Number of attempts made
+   * @param {boolean} [details.retryable] - Whether retrying may succeed
+   * @param {string} [details.retryAfter] - Raw Retry-After header, if any
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "PaveKitError";
+    this.status = details.status || null;
+    this.body = details.body !== undefined ? details.body : null;
+    this.requestId = details.requestId || null;
+    this.attempts = details.attempts || 0;
+    this.retryable = !!details.retryable;
+    this.retryAfter = details.retryAfter || null;
+    this.cause = details.cause;
+  }
+
+  /**
+   * Build the matching error for a failed HTTP response
+   * @param {number} status - HTTP status code
+   * @param {string} text - Raw response body
+   * @param {Object} [headers] - Response headers (fetch Headers or plain object)
+   * @returns {PaveKitError} Typed error
+   */
+  static fromResponse(status, text, headers = null) {
+    const details = {
+      status,
+      body: parseBody(text),
+      requestId: readHeader(headers, "X-Request-ID"),
+      retryAfter: readHeader(headers, "Retry-After"),
+    };
+    const ErrorClass = errorClassFor(status);
+
+    return new ErrorClass(`HTTP ${status}: ${text}`, details);
+  }
+
+  /**
+   * Build the matching error for an item a batch request did not process
+   * Items that report a status map like whole responses. Without one the API
+   * refused the item itself; a missing result means it never got to it.
+   * @param {Object} [result] - The item's result, e.g. { success: false, error, status }
+   * @returns {PaveKitError} Typed error, with the result as its body
+   */
+  static fromBatchResult(result) {
+    if (!result) {
+      return new PaveKitServerError("Batch item was not processed");
+    }
+
+    const ErrorClass = result.status ? errorClassFor(result.status) : PaveKitValidationError;
+
+    return new ErrorClass(result.error || "Batch item was not processed", {
+      status: result.status,
+      body: result,
+    });
+  }
+
+  /**
+   * Plain object for structured logging
+   * @returns {Object} Serializable error details
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      body: this.body,
+      requestId: this.requestId,
+      attempts: this.attempts,
+      retryable: this.retryable,
+      retryAfter: this.retryAfter,
+    };
+  }
+}
+
+/**
+ * Missing or invalid client configuration (e.g. no API key)
+ */
+class PaveKitConfigurationError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PaveKitConfigurationError";
+  }
+}
+
+/**
+ * Invalid API key or insufficient permissions (401, 403)
+ */
+class PaveKitAuthError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PaveKitAuthError";
+  }
+}
+
+/**
+ * Rejected input, either client-side or by the API (400, 409, 422)
+ */
+class PaveKitValidationError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PaveKitValidationError";
+  }
+}
+
+/**
+ * Too many requests (429); retryAfter holds the raw Retry-After header
+ */
+class PaveKitRateLimitError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "PaveKitRateLimitError";
+  }
+}
+
+/**
+ * The API answered with a server error (5xx)
+ */
+class PaveKitServerError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "PaveKitServerError";
+  }
+}
+
+/**
+ * The request never got a response (DNS, connection reset, offline)
+ */
+class PaveKitNetworkError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "PaveKitNetworkError";
+  }
+}
+
+/**
+ * The request timed out, client-side or with a 408
+ */
+class PaveKitTimeoutError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "PaveKitTimeoutError";
+  }
+}
+
+/**
+ * The circuit breaker is open after repeated failures; the request was not sent
+ */
+class PaveKitCircuitOpenError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "PaveKitCircuitOpenError";
+  }
+}
+
+/**
+ * The user asked to be forgotten; tracking is refused until they consent again
+ */
+class PaveKitSuppressedError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PaveKitSuppressedError";
+  }
+}
+
+/**
+ * A webhook failed signature or timestamp verification
+ */
+class PaveKitWebhookSignatureError extends PaveKitError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PaveKitWebhookSignatureError";
+  }
+}
+
+/**
+ * Error class for a failed HTTP status
+ * @private
+ */
+function errorClassFor(status) {
+  if (status === 401 || status === 403) return PaveKitAuthError;
+  if (status === 400 || status === 409 || status === 422) return PaveKitValidationError;
+  if (status === 429) return PaveKitRateLimitError;
+  if (status === 408) return PaveKitTimeoutError;
+  if (status >= 500) return PaveKitServerError;
+  return PaveKitError;
+}
+
+/**
+ * Read a header from fetch Headers or a plain object
+ * Node's request headers may repeat; the first value wins.
+ * @private
+ */
+function readHeader(headers, name) {
+  if (!headers) return null;
+
+  if (typeof headers.get === "function") {
+    return headers.get(name);
+  }
+
+  const key = Object.keys(headers).find(
+    (header) => header.toLowerCase() === name.toLowerCase(),
+  );
+  const value = key ? headers[key] : null;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Parse a response body as JSON, falling back to the raw text
+ * @private
+ */
+function parseBody(text) {
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PaveKitError,
+    PaveKitConfigurationError,
+    PaveKitAuthError,
+    PaveKitValidationError,
+    PaveKitRateLimitError,
+    PaveKitServerError,
+    PaveKitNetworkError,
+    PaveKitTimeoutError,
+    PaveKitCircuitOpenError,
+    PaveKitWebhookSignatureError,
+    PaveKitSuppressedError,
+  };
+  // Shared with webhooks.js; not enumerable, so it stays off the SDK's exports
+  Object.defineProperty(module.exports, "readHeader", { value: readHeader });
+}
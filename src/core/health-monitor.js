@@ -0,0 +1,220 @@
+/**
+ * PaveKit Backend SDK - Health Monitor
+ * Tracks how API requests are doing and turns that into a single status.
+ *
+ * healthy  - requests succeed at normal latency
+ * degraded - the rolling error rate or p95 latency crossed its threshold
+ * offline  - the last `offlineAfter` requests all failed
+ *
+ * Only network errors, timeouts, 429 and 5xx count as failures; a 4xx answer
+ * shows the API is reachable. Listeners registered with on('statusChange')
+ * are called whenever the status changes.
+ */
+
+const RetryPolicy = require("./retry-policy.js");
+
+class HealthMonitor {
+  /**
+   * @param {Object} [config] - Monitor configuration
+   * @param {number} [config.window=60000] - Rolling window for error rate and latency, in ms
+   * @param {number} [config.maxSamples=500] - Most requests kept in the window
+   * @param {number} [config.degradedErrorRate=0.25] - Error rate that marks the API degraded
+   * @param {number} [config.degradedLatency=3000] - p95 latency in ms that marks it degraded
+   * @param {number} [config.minSamples=5] - Requests needed before the error rate counts
+   * @param {number} [config.offlineAfter=3] - Consecutive failures that mark the API offline
+   * @param {Function} [config.now=Date.now] - Clock
+   */
+  constructor(config = {}) {
+    this.listeners = {};
+    this.configure(config);
+    this.clear();
+  }
+
+  /**
+   * Replace the thresholds (see the constructor); samples and listeners are kept
+   * Options left out go back to their defaults.
+   * @param {Object} [config] - Monitor configuration
+   */
+  configure(config = {}) {
+    this.window = config.window || 60000;
+    this.maxSamples = config.maxSamples || 500;
+    this.degradedErrorRate =
+      config.degradedErrorRate !== undefined ? config.degradedErrorRate : 0.25;
+    this.degradedLatency = config.degradedLatency || 3000;
+    this.minSamples = config.minSamples || 5;
+    this.offlineAfter = config.offlineAfter || 3;
+    this.now = config.now || Date.now;
+  }
+
+  /**
+   * Record the outcome of one request attempt
+   * @param {Object} outcome - Request outcome
+   * @param {number} outcome.latency - Time until the response (or failure) in ms
+   * @param {Error} [outcome.error] - Request error, if it failed
+   */
+  record(outcome) {
+    const failed = !!outcome.error && RetryPolicy.isRetryableError(outcome.error);
+    const at = this.now();
+
+    this.samples.push({ at, failed, latency: outcome.latency });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    if (failed) {
+      this.lastFailureAt = at;
+      this.lastError = outcome.error.message;
+      this.consecutiveFailures++;
+    } else {
+      this.lastSuccessAt = at;
+      this.consecutiveFailures = 0;
+    }
+
+    this.evaluate();
+  }
+
+  /**
+   * Current health
+   * The status is recomputed first: once traffic stops, failures leave the
+   * rolling window and a degraded API reads as healthy again.
+   * @returns {Object} { status, lastSuccessAt, lastFailureAt, lastError,
+   *   consecutiveFailures, requests, errorRate, latency: { p50, p95, p99 } }
+   */
+  getStatus() {
+    return { ...this.evaluate(), status: this.status };
+  }
+
+  /**
+   * Measure the rolling window, with the status as last computed
+   * @private
+   */
+  measure() {
+    const samples = this.recentSamples();
+    const failures = samples.filter((sample) => sample.failed).length;
+    const latencies = samples
+      .filter((sample) => !sample.failed)
+      .map((sample) => sample.latency)
+      .sort((a, b) => a - b);
+
+    return {
+      status: this.status,
+      lastSuccessAt: toISO(this.lastSuccessAt),
+      lastFailureAt: toISO(this.lastFailureAt),
+      lastError: this.lastError,
+      consecutiveFailures: this.consecutiveFailures,
+      requests: samples.length,
+      errorRate: samples.length > 0 ? failures / samples.length : 0,
+      latency: {
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99),
+      },
+    };
+  }
+
+  /**
+   * Listen for health events
+   * @param {string} event - 'statusChange', called with { from, to, health }
+   * @param {Function} listener - Event listener
+   * @returns {Function} Call to remove the listener
+   */
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Remove a listener added with on()
+   * @param {string} event - Event name
+   * @param {Function} listener - Event listener
+   */
+  off(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).filter(
+      (registered) => registered !== listener,
+    );
+  }
+
+  /**
+   * Forget all recorded requests (listeners are kept)
+   */
+  clear() {
+    this.samples = [];
+    this.status = "healthy";
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Recompute the status and notify listeners when it changed
+   * @returns {Object} Measured health (see measure())
+   * @private
+   */
+  evaluate() {
+    const health = this.measure();
+    let status = "healthy";
+
+    if (this.consecutiveFailures >= this.offlineAfter) {
+      status = "offline";
+    } else if (
+      (health.requests >= this.minSamples &&
+        health.errorRate >= this.degradedErrorRate) ||
+      (health.latency.p95 !== null && health.latency.p95 >= this.degradedLatency)
+    ) {
+      status = "degraded";
+    }
+
+    if (status === this.status) return health;
+
+    const from = this.status;
+    this.status = status;
+    this.emit("statusChange", { from, to: status, health: { ...health, status } });
+    return health;
+  }
+
+  /**
+   * @private
+   */
+  emit(event, data) {
+    (this.listeners[event] || []).forEach((listener) => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`[PaveKit] ${event} listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Samples inside the rolling window
+   * @private
+   */
+  recentSamples() {
+    const since = this.now() - this.window;
+    return this.samples.filter((sample) => sample.at >= since);
+  }
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @private
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * @private
+ */
+function toISO(timestamp) {
+  return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HealthMonitor;
+}
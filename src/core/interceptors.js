@@ -0,0 +1,126 @@
+/**
+ * PaveKit Backend SDK - Interceptors
+ * Ordered middleware chain around every API request.
+ *
+ * A middleware is an object with any of these hooks:
+ *   onRequest(context)          - mutate the request, or return a value to short-circuit it
+ *   onResponse(context, result) - observe the parsed response, or return a replacement
+ *   onError(context, error)     - observe a failure, or return a value to recover from it
+ *
+ * onRequest hooks run in registration order; onResponse and onError hooks
+ * run in reverse, so the first middleware registered wraps all the others.
+ */
+
+class InterceptorChain {
+  constructor() {
+    this.middlewares = [];
+  }
+
+  /**
+   * Register a middleware
+   * @param {Object} middleware - { onRequest?, onResponse?, onError? }
+   */
+  use(middleware) {
+    if (
+      !middleware ||
+      !["onRequest", "onResponse", "onError"].some(
+        (hook) => typeof middleware[hook] === "function",
+      )
+    ) {
+      throw new Error(
+        "Middleware must define onRequest, onResponse or onError",
+      );
+    }
+
+    this.middlewares.push(middleware);
+  }
+
+  /**
+   * Remove a registered middleware
+   * @param {Object} middleware - Middleware passed to use()
+   */
+  eject(middleware) {
+    this.middlewares = this.middlewares.filter((entry) => entry !== middleware);
+  }
+
+  /**
+   * Run a request through the chain
+   * @param {Object} context - Mutable request context
+   * @param {Function} send - async (context) => result, performs the request
+   * @returns {Promise<*>} Result after onResponse hooks
+   */
+  async run(context, send) {
+    const entered = [];
+    let result;
+
+    try {
+      let shortCircuited = false;
+
+      for (const middleware of this.middlewares) {
+        entered.push(middleware);
+
+        if (middleware.onRequest) {
+          const value = await middleware.onRequest(context);
+          if (value !== undefined) {
+            result = value;
+            shortCircuited = true;
+            break;
+          }
+        }
+      }
+
+      if (!shortCircuited) {
+        result = await send(context);
+      }
+    } catch (error) {
+      return await this.recover(entered, context, error);
+    }
+
+    for (const middleware of entered.slice().reverse()) {
+      if (middleware.onResponse) {
+        const value = await middleware.onResponse(context, result);
+        if (value !== undefined) {
+          result = value;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Give onError hooks a chance to recover, otherwise rethrow
+   * @private
+   */
+  async recover(entered, context, error) {
+    let currentError = error;
+
+    for (const middleware of entered.slice().reverse()) {
+      if (!middleware.onError) continue;
+
+      try {
+        const value = await middleware.onError(context, currentError);
+        if (value !== undefined) {
+          return value;
+        }
+      } catch (hookError) {
+        currentError = hookError;
+      }
+    }
+
+    throw currentError;
+  }
+
+  /**
+   * Number of registered middlewares
+   * @returns {number} Count
+   */
+  size() {
+    return this.middlewares.length;
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = InterceptorChain;
+}
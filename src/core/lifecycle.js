@@ -0,0 +1,176 @@
+/**
+ * PaveKit Backend SDK - Lifecycle
+ * The user states a workspace uses and the transitions allowed between them.
+ *
+ * The default lifecycle only knows 'created' and 'converted' and allows any
+ * move between them. Declare your own states and a transition graph to have
+ * track(), transition() and the state helpers reject invalid moves (e.g.
+ * 'churned' straight back to 'created') before anything is sent.
+ */
+
+const {
+  PaveKitConfigurationError,
+  PaveKitValidationError,
+} = require("./errors.js");
+
+class Lifecycle {
+  /**
+   * @param {Object} [config] - Lifecycle definition
+   * @param {string[]} [config.states=['created', 'converted']] - Allowed user states
+   * @param {Object<string, string[]>} [config.transitions] - Allowed next states per state;
+   *   states without an entry cannot be left. Omit to allow any move.
+   * @param {string} [config.initial] - State new users start in (defaults to the first state)
+   *
+   * @example
+   * new Lifecycle({
+   *   states: ['created', 'activated', 'churned', 'reactivated'],
+   *   transitions: {
+   *     created: ['activated', 'churned'],
+   *     activated: ['churned'],
+   *     churned: ['reactivated'],
+   *     reactivated: ['activated', 'churned']
+   *   }
+   * });
+   */
+  constructor(config = {}) {
+    this.states = config.states ? config.states.slice() : ["created", "converted"];
+
+    if (this.states.length === 0) {
+      throw new PaveKitConfigurationError("A lifecycle needs at least one state");
+    }
+
+    this.initial = config.initial || this.states[0];
+    if (!this.has(this.initial)) {
+      throw new PaveKitConfigurationError(
+        `Initial state '${this.initial}' is not a lifecycle state`,
+      );
+    }
+
+    this.transitions = config.transitions || null;
+    if (this.transitions) {
+      Object.keys(this.transitions).forEach((from) => {
+        [from, ...this.transitions[from]].forEach((state) => {
+          if (!this.has(state)) {
+            throw new PaveKitConfigurationError(
+              `Transition references unknown state '${state}'`,
+            );
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * @param {string} state - User state
+   * @returns {boolean} True if the state belongs to this lifecycle
+   */
+  has(state) {
+    return this.states.includes(state);
+  }
+
+  /**
+   * Throw unless the state belongs to this lifecycle
+   * @param {string} state - User state
+   * @param {string} [field='user_state'] - Field name used in the error message
+   * @throws {PaveKitValidationError} For unknown states
+   */
+  assertState(state, field = "user_state") {
+    if (!this.has(state)) {
+      throw new PaveKitValidationError(
+        `${field} must be ${listStates(this.states)}`,
+      );
+    }
+  }
+
+  /**
+   * States a user may move to from the given state
+   * @param {string} from - Current state
+   * @returns {string[]} Allowed next states
+   */
+  allowedFrom(from) {
+    if (!this.transitions) {
+      return this.states.slice();
+    }
+
+    return this.transitions[from] ? this.transitions[from].slice() : [];
+  }
+
+  /**
+   * Check a move between two states
+   * Staying in the same state is always allowed.
+   * @param {string|null} from - Current state, or null for a user PaveKit does not know yet
+   * @param {string} to - Next state
+   * @returns {boolean} True if allowed
+   */
+  canTransition(from, to) {
+    if (!this.has(to)) return false;
+    if (!from || from === to) return true;
+
+    return this.allowedFrom(from).includes(to);
+  }
+
+  /**
+   * Throw unless a move between two states is allowed
+   * @param {string|null} from - Current state
+   * @param {string} to - Next state
+   * @throws {PaveKitValidationError} For unknown states and forbidden moves
+   */
+  assertTransition(from, to) {
+    this.assertState(to);
+
+    if (!this.canTransition(from, to)) {
+      const allowed = this.allowedFrom(from);
+      throw new PaveKitValidationError(
+        `Cannot move user from '${from}' to '${to}'; ` +
+          (allowed.length > 0
+            ? `allowed next states: ${listStates(allowed)}`
+            : `'${from}' is a final state`),
+      );
+    }
+  }
+
+  /**
+   * Lifecycle for trial-based onboarding
+   * created → trial → activated → paying, with churn from any active state
+   * and a way back only through 'reactivated'.
+   * @returns {Lifecycle} Lifecycle instance
+   */
+  static onboarding() {
+    return new Lifecycle({
+      states: [
+        "created",
+        "trial",
+        "activated",
+        "paying",
+        "converted",
+        "churned",
+        "reactivated",
+      ],
+      transitions: {
+        created: ["trial", "activated", "paying", "converted", "churned"],
+        trial: ["activated", "paying", "converted", "churned"],
+        activated: ["paying", "converted", "churned"],
+        paying: ["converted", "churned"],
+        converted: ["paying", "churned"],
+        churned: ["reactivated"],
+        reactivated: ["trial", "activated", "paying", "converted", "churned"],
+      },
+    });
+  }
+}
+
+/**
+ * "'a' or 'b'", "'a', 'b' or 'c'"
+ * @private
+ */
+function listStates(states) {
+  const quoted = states.map((state) => `'${state}'`);
+  if (quoted.length === 1) return quoted[0];
+
+  return `${quoted.slice(0, -1).join(", ")} or ${quoted[quoted.length - 1]}`;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Lifecycle;
+}
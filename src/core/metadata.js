@@ -0,0 +1,352 @@
+/**
+ * PaveKit Backend SDK - Metadata
+ * Turns user-supplied metadata into a JSON-safe object before it is sent.
+ *
+ * - Dates become ISO strings, BigInts strings, Maps objects and Sets arrays
+ * - Functions, symbols and undefined values are dropped
+ * - Circular references, deep nesting, too many or too long keys and
+ *   oversized values are rejected with the path of the offending field
+ * - An optional JSON Schema subset is checked on the normalized result
+ */
+
+const byteLength = require("./byte-length.js");
+const { PaveKitValidationError } = require("./errors.js");
+
+// Size limits are off unless configured, so metadata accepted before they
+// existed still goes through; maxDepth only stops runaway nesting such as
+// toJSON() results that never settle
+const DEFAULT_LIMITS = {
+  maxDepth: 32,
+  maxKeys: Infinity,
+  maxKeyLength: Infinity,
+  maxValueSize: Infinity,
+  maxSize: Infinity,
+};
+
+class MetadataNormalizer {
+  /**
+   * @param {Object} [config] - Normalizer configuration
+   * @param {number} [config.maxDepth=32] - Maximum nesting of objects and arrays
+   * @param {number} [config.maxKeys] - Maximum keys per object (and items per array)
+   * @param {number} [config.maxKeyLength] - Maximum key length in characters
+   * @param {number} [config.maxValueSize] - Maximum size of a single string in bytes
+   * @param {number} [config.maxSize] - Maximum size of the serialized metadata in bytes
+   * @param {Object} [config.schema] - JSON Schema subset the metadata must match
+   * @param {string} [config.onViolation='reject'] - 'reject' to throw on schema violations,
+   *   'warn' to send anyway and report them
+   * @param {Function} [config.onWarning] - Receives the violations in 'warn' mode
+   *   (defaults to console.warn)
+   */
+  constructor(config = {}) {
+    this.limits = { ...DEFAULT_LIMITS };
+    Object.keys(DEFAULT_LIMITS).forEach((key) => {
+      if (config[key] !== undefined) this.limits[key] = config[key];
+    });
+
+    this.schema = config.schema || null;
+    this.onViolation = config.onViolation || "reject";
+    this.onWarning = config.onWarning || null;
+
+    if (!["reject", "warn"].includes(this.onViolation)) {
+      throw new Error("onViolation must be 'reject' or 'warn'");
+    }
+  }
+
+  /**
+   * Normalize metadata and check it against the limits and schema
+   * @param {Object} metadata - User-supplied metadata
+   * @param {Object} [options] - Normalization options
+   * @param {string} [options.field='metadata'] - Field name used in violation paths
+   * @param {boolean} [options.schema=true] - Check the schema (event properties skip it)
+   * @returns {Object} JSON-safe copy
+   * @throws {PaveKitValidationError} On limit violations, or schema violations in 'reject' mode;
+   *   error.violations lists every { path, message }
+   */
+  normalize(metadata, options = {}) {
+    const field = options.field || "metadata";
+    const value = this.convert(metadata, field, 0, new Set());
+
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      throw invalid([{ path: field, message: "must be an object" }]);
+    }
+
+    const size = byteLength(JSON.stringify(value));
+    if (size > this.limits.maxSize) {
+      throw invalid([
+        {
+          path: field,
+          message: `is ${size} bytes, more than the ${this.limits.maxSize} byte limit`,
+        },
+      ]);
+    }
+
+    if (this.schema && options.schema !== false) {
+      const violations = validateSchema(value, this.schema, "metadata");
+
+      if (violations.length > 0) {
+        if (this.onViolation === "reject") {
+          throw invalid(violations);
+        }
+
+        if (this.onWarning) {
+          this.onWarning(violations);
+        } else {
+          console.warn("[PaveKit] Metadata does not match the schema:", violations);
+        }
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Recursively convert a value to its JSON-safe form
+   * @private
+   */
+  convert(value, path, depth, ancestors) {
+    if (value === null) return null;
+
+    switch (typeof value) {
+      case "string":
+        if (byteLength(value) > this.limits.maxValueSize) {
+          throw invalid([
+            {
+              path,
+              message: `is longer than the ${this.limits.maxValueSize} byte limit`,
+            },
+          ]);
+        }
+        return value;
+      case "number":
+        return Number.isFinite(value) ? value : null;
+      case "boolean":
+        return value;
+      case "bigint":
+        return value.toString();
+      case "undefined":
+      case "function":
+      case "symbol":
+        return undefined;
+      default:
+        break;
+    }
+
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value.toISOString();
+    }
+
+    if (ancestors.has(value)) {
+      throw invalid([{ path, message: "is a circular reference" }]);
+    }
+
+    if (depth >= this.limits.maxDepth) {
+      throw invalid([
+        {
+          path,
+          message: `is nested deeper than the ${this.limits.maxDepth} level limit`,
+        },
+      ]);
+    }
+
+    ancestors.add(value);
+    let result;
+
+    if (Array.isArray(value) || value instanceof Set) {
+      const items = Array.from(value);
+      this.checkKeyCount(items.length, path);
+      result = items.map((item, index) => {
+        const converted = this.convert(item, `${path}[${index}]`, depth + 1, ancestors);
+        return converted === undefined ? null : converted;
+      });
+    } else if (value instanceof Error) {
+      result = { name: value.name, message: value.message };
+    } else if (typeof value.toJSON === "function" && !(value instanceof Map)) {
+      // The toJSON() result is checked like a nested value, so one that returns
+      // itself (or keeps returning new wrappers) fails instead of recursing forever
+      result = this.convert(value.toJSON(), path, depth + 1, ancestors);
+    } else {
+      const entries =
+        value instanceof Map
+          ? Array.from(value.entries()).map(([key, item]) => [String(key), item])
+          : Object.keys(value).map((key) => [key, value[key]]);
+
+      this.checkKeyCount(entries.length, path);
+      result = {};
+
+      entries.forEach(([key, item]) => {
+        if (key.length > this.limits.maxKeyLength) {
+          throw invalid([
+            {
+              path: `${path}.${key.slice(0, 32)}...`,
+              message: `key is longer than ${this.limits.maxKeyLength} characters`,
+            },
+          ]);
+        }
+
+        const converted = this.convert(item, `${path}.${key}`, depth + 1, ancestors);
+        if (converted !== undefined) {
+          result[key] = converted;
+        }
+      });
+    }
+
+    ancestors.delete(value);
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  checkKeyCount(count, path) {
+    if (count > this.limits.maxKeys) {
+      throw invalid([
+        {
+          path,
+          message: `has ${count} entries, more than the ${this.limits.maxKeys} limit`,
+        },
+      ]);
+    }
+  }
+}
+
+/**
+ * Check a value against a JSON Schema subset
+ *
+ * Supported keywords: type (string or array), enum, const, properties,
+ * required, additionalProperties (boolean or schema), items, minItems,
+ * maxItems, minLength, maxLength, pattern, minimum, maximum, format
+ * ('email', 'date-time', 'uri').
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} [path='value'] - Path used in violations
+ * @returns {Object[]} Violations as { path, message }; empty when valid
+ */
+function validateSchema(value, schema, path = "value") {
+  const violations = [];
+  const fail = (message) => violations.push({ path, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be of type ${types.join(" or ")}`);
+      return violations;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (schema.const !== undefined && schema.const !== value) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        violations.push({ path: `${path}.${key}`, message: "is required" });
+      }
+    });
+
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        violations.push(...validateSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        violations.push({ path: `${path}.${key}`, message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        violations.push(
+          ...validateSchema(value[key], schema.additionalProperties, `${path}.${key}`),
+        );
+      }
+    });
+  }
+
+  return violations;
+}
+
+const FORMATS = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  "date-time": (value) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(value) && !isNaN(Date.parse(value)),
+  uri: (value) => /^[a-z][a-z0-9+.-]*:/i.test(value),
+};
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Build the error for a list of violations
+ * @private
+ */
+function invalid(violations) {
+  const [first] = violations;
+  const more = violations.length > 1 ? ` (and ${violations.length - 1} more)` : "";
+  const field = first.path.split(/[.[]/)[0];
+  const error = new PaveKitValidationError(
+    `Invalid ${field}: ${first.path} ${first.message}${more}`,
+  );
+  error.violations = violations;
+  return error;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MetadataNormalizer;
+  module.exports.validateSchema = validateSchema;
+}
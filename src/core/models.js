@@ -0,0 +1,133 @@
+/**
+ * PaveKit Backend SDK - Models
+ * Typed objects returned by the read APIs (getUser, listUsers, getUserEvents)
+ * and the privacy jobs (deleteUser, exportUser).
+ * Field names are camelCased; the original API object stays available as `raw`.
+ */
+
+/**
+ * A user as stored by PaveKit
+ */
+class PaveKitUser {
+  /**
+   * @param {Object} raw - API user object
+   */
+  constructor(raw) {
+    this.id = raw.user_id || raw.id || null;
+    this.email = raw.email;
+    this.name = raw.name || null;
+    this.state = raw.user_state || "created";
+    this.metadata = raw.metadata || {};
+    this.createdAt = toDate(raw.created_at);
+    this.updatedAt = toDate(raw.updated_at);
+    this.convertedAt = toDate(raw.converted_at);
+    this.raw = raw;
+  }
+
+  /**
+   * @returns {boolean} True once the user converted
+   */
+  isConverted() {
+    return this.state === "converted";
+  }
+}
+
+/**
+ * An entry in a user's history
+ */
+class PaveKitUserEvent {
+  /**
+   * @param {Object} raw - API event object
+   */
+  constructor(raw) {
+    this.id = raw.id || null;
+    this.type = raw.type;
+    this.name = raw.name || null;
+    this.state = raw.user_state || null;
+    this.metadata = raw.metadata || {};
+    this.properties = raw.properties || {};
+    this.occurredAt = toDate(raw.created_at);
+    this.raw = raw;
+  }
+}
+
+/**
+ * A background job (erasure or export)
+ */
+class PaveKitJob {
+  /**
+   * @param {Object} raw - API job object
+   */
+  constructor(raw) {
+    this.id = raw.job_id || raw.id;
+    this.type = raw.type || null;
+    this.status = raw.status || "pending";
+    this.email = raw.email || null;
+    this.downloadUrl = raw.download_url || null;
+    this.error = raw.error || null;
+    this.createdAt = toDate(raw.created_at);
+    this.completedAt = toDate(raw.completed_at);
+    this.raw = raw;
+  }
+
+  /**
+   * @returns {boolean} True once the job completed or failed
+   */
+  isDone() {
+    return this.status === "completed" || this.status === "failed";
+  }
+}
+
+/**
+ * One page of a cursor-paginated list
+ *
+ * Iterating a page with `for await` yields its items and then the items of
+ * every following page, fetching them as needed.
+ */
+class PaveKitPage {
+  /**
+   * @param {Array} data - Items on this page
+   * @param {string|null} nextCursor - Cursor of the next page, null on the last page
+   * @param {Function} fetchPage - (cursor) => Promise<PaveKitPage>
+   */
+  constructor(data, nextCursor, fetchPage) {
+    this.data = data;
+    this.nextCursor = nextCursor || null;
+    this.hasMore = !!this.nextCursor;
+    this.fetchPage = fetchPage;
+  }
+
+  /**
+   * Fetch the following page
+   * @returns {Promise<PaveKitPage|null>} Next page, or null on the last page
+   */
+  async nextPage() {
+    return this.hasMore ? await this.fetchPage(this.nextCursor) : null;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let page = this;
+
+    while (page) {
+      yield* page.data;
+      page = await page.nextPage();
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PaveKitUser,
+    PaveKitUserEvent,
+    PaveKitJob,
+    PaveKitPage,
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * PaveKit Backend SDK - Node Transports
+ * Transports for Node and tests. They are kept apart from transports.js so
+ * the browser bundle does not carry them.
+ */
+
+const { createResponse, createFetchTransport } = require("./transports.js");
+
+/**
+ * Transport backed by Node's http/https modules
+ * Use it to reuse connections through a keep-alive agent on high-volume backends.
+ * @param {Object} [options] - Transport options
+ * @param {Object} [options.agent] - http.Agent / https.Agent used for every request
+ * @param {boolean} [options.keepAlive] - Create keep-alive agents when none is given
+ * @param {number} [options.maxSockets] - Socket limit for the created agents
+ * @returns {Function} Transport
+ */
+function createNodeTransport(options = {}) {
+  let agents = null;
+
+  const agentFor = (isHttps, lib) => {
+    if (options.agent) return options.agent;
+    if (!options.keepAlive) return undefined;
+
+    if (!agents) agents = {};
+    const key = isHttps ? "https" : "http";
+    if (!agents[key]) {
+      agents[key] = new lib.Agent({
+        keepAlive: true,
+        maxSockets: options.maxSockets || Infinity,
+      });
+    }
+    return agents[key];
+  };
+
+  return function nodeTransport(url, init = {}) {
+    const target = new URL(url);
+    const isHttps = target.protocol === "https:";
+    // Required lazily so browser bundles never load Node modules
+    const lib = isHttps ? require("https") : require("http");
+
+    return new Promise((resolve, reject) => {
+      const request = lib.request(
+        target,
+        {
+          method: init.method || "GET",
+          headers: init.headers,
+          agent: agentFor(isHttps, lib),
+        },
+        (response) => {
+          const chunks = [];
+          response.on("data", (chunk) => chunks.push(chunk));
+          response.on("error", reject);
+          response.on("end", () => {
+            resolve(
+              createResponse(
+                response.statusCode,
+                Buffer.concat(chunks).toString("utf8"),
+                response.headers,
+              ),
+            );
+          });
+        },
+      );
+
+      request.on("error", reject);
+
+      if (init.signal) {
+        const abort = () => {
+          const error = new Error("The operation was aborted");
+          error.name = "AbortError";
+          request.destroy(error);
+        };
+
+        if (init.signal.aborted) {
+          abort();
+          return;
+        }
+        init.signal.addEventListener("abort", abort, { once: true });
+      }
+
+      if (init.body) {
+        request.write(init.body);
+      }
+      request.end();
+    });
+  };
+}
+
+/**
+ * In-memory transport for tests
+ * Records every request and answers with the handler's reply.
+ * @param {Function} [handler] - (request) => { status, body, headers } | undefined;
+ *   request is { url, method, headers, body } with the JSON body parsed
+ * @returns {Function} Transport with `requests` and `reset()`
+ */
+function createMemoryTransport(handler) {
+  const requests = [];
+
+  const memoryTransport = async (url, init = {}) => {
+    let body = init.body;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Keep non-JSON bodies as text
+      }
+    }
+
+    const request = {
+      url,
+      method: init.method || "GET",
+      headers: { ...init.headers },
+      body,
+    };
+    requests.push(request);
+
+    const reply = (handler && (await handler(request))) || {};
+    const status = reply.status || 200;
+    const replyBody = reply.body !== undefined ? reply.body : { success: true };
+
+    return createResponse(
+      status,
+      typeof replyBody === "string" ? replyBody : JSON.stringify(replyBody),
+      reply.headers || {},
+    );
+  };
+
+  memoryTransport.requests = requests;
+  memoryTransport.reset = () => {
+    requests.length = 0;
+  };
+
+  return memoryTransport;
+}
+
+/**
+ * Pick a sensible transport for the current environment
+ * Uses fetch where available (browsers, edge runtimes, Node 18+), and the
+ * Node http transport on older Node versions.
+ * @returns {Function} Transport
+ */
+function createDefaultTransport() {
+  const isNode =
+    typeof process !== "undefined" && process.versions && process.versions.node;
+
+  if (typeof fetch === "undefined" && isNode) {
+    return createNodeTransport({ keepAlive: true });
+  }
+
+  return createFetchTransport();
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createNodeTransport,
+    createMemoryTransport,
+    createDefaultTransport,
+  };
+}
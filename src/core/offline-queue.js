@@ -0,0 +1,393 @@
+/**
+ * OfflineQueue - Durable outbound queue for the browser SDK
+ * Persists undelivered payloads in IndexedDB (falling back to localStorage)
+ * and replays them in order once the backend is reachable again
+ */
+
+/**
+ * IndexedDB-backed storage, keeps one record per entry so tabs sharing the
+ * queue only write and delete the entries they know about
+ */
+class IndexedDBStorage {
+  constructor(dbName, storeName, key) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.key = key;
+    this.dbPromise = null;
+    this.ids = new Set();
+  }
+
+  /**
+   * Check if IndexedDB is available in this environment
+   * @returns {boolean} True if available
+   */
+  static isAvailable() {
+    try {
+      return typeof indexedDB !== "undefined" && indexedDB !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Open (and create if needed) the queue database
+   * @returns {Promise<IDBDatabase>} Database handle
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run requests against the object store in a single transaction
+   * @param {string} mode - Transaction mode
+   * @param {Function} operation - Receives the store, returns an array of IDBRequests
+   * @returns {Promise<Array>} Request results, once the transaction completed
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const requests = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(requests.map((request) => request.result));
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Record key of an entry
+   * @private
+   */
+  recordKey(id) {
+    return `${this.key}:${id}`;
+  }
+
+  /**
+   * Key range covering every entry of this queue
+   * @private
+   */
+  range() {
+    return IDBKeyRange.bound(`${this.key}:`, `${this.key}:\uffff`);
+  }
+
+  async read() {
+    const [records, legacy] = await this.run("readonly", (store) => [
+      store.getAll(this.range()),
+      store.get(this.key),
+    ]);
+
+    let entries = records;
+
+    // Earlier versions kept the whole queue as one array under the bare key
+    if (Array.isArray(legacy)) {
+      entries = legacy.concat(records);
+      await this.run("readwrite", (store) => [
+        ...legacy.map((entry) => store.put(entry, this.recordKey(entry.id))),
+        store.delete(this.key),
+      ]);
+    }
+
+    this.ids = new Set(entries.map((entry) => entry.id));
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async write(entries) {
+    const ids = new Set(entries.map((entry) => entry.id));
+    const removed = Array.from(this.ids).filter((id) => !ids.has(id));
+
+    await this.run("readwrite", (store) => [
+      ...entries.map((entry) => store.put(entry, this.recordKey(entry.id))),
+      ...removed.map((id) => store.delete(this.recordKey(id))),
+    ]);
+    this.ids = ids;
+  }
+
+  async clear() {
+    await this.run("readwrite", (store) => [
+      store.delete(this.range()),
+      store.delete(this.key),
+    ]);
+    this.ids = new Set();
+  }
+}
+
+/**
+ * localStorage-backed storage, used when IndexedDB is unavailable
+ */
+class LocalStorageStorage {
+  constructor(key) {
+    this.key = key;
+  }
+
+  /**
+   * Check if localStorage is available in this environment
+   * @returns {boolean} True if available
+   */
+  static isAvailable() {
+    try {
+      return typeof localStorage !== "undefined" && localStorage !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async read() {
+    const raw = localStorage.getItem(this.key);
+    const entries = raw ? JSON.parse(raw) : [];
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  async write(entries) {
+    if (entries.length === 0) {
+      localStorage.removeItem(this.key);
+    } else {
+      localStorage.setItem(this.key, JSON.stringify(entries));
+    }
+  }
+
+  async clear() {
+    localStorage.removeItem(this.key);
+  }
+}
+
+/**
+ * In-memory storage, last resort when no persistent storage is usable
+ */
+class MemoryStorage {
+  constructor() {
+    this.entries = [];
+  }
+
+  async read() {
+    return this.entries.slice();
+  }
+
+  async write(entries) {
+    this.entries = entries.slice();
+  }
+
+  async clear() {
+    this.entries = [];
+  }
+}
+
+class OfflineQueue {
+  /**
+   * @param {Object} config - Queue configuration
+   * @param {number} [config.maxSize=100] - Maximum number of queued entries (oldest are dropped)
+   * @param {number} [config.ttl=604800000] - Entry lifetime in milliseconds (default 7 days)
+   * @param {string} [config.storageKey='pavekit_queue'] - Storage key / IndexedDB record key prefix
+   * @param {string} [config.dbName='pavekit'] - IndexedDB database name
+   * @param {Object} [config.storage] - Custom storage with read(), write(entries) and clear()
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxSize: 100,
+      ttl: 7 * 24 * 60 * 60 * 1000,
+      storageKey: "pavekit_queue",
+      dbName: "pavekit",
+      ...config,
+    };
+
+    this.storage = this.config.storage || this.createStorage();
+    this.entries = [];
+    this.loaded = null;
+    this.replaying = null;
+  }
+
+  /**
+   * Pick the best available storage backend
+   * @returns {Object} Storage backend
+   */
+  createStorage() {
+    if (IndexedDBStorage.isAvailable()) {
+      return new IndexedDBStorage(
+        this.config.dbName,
+        "queue",
+        this.config.storageKey,
+      );
+    }
+
+    if (LocalStorageStorage.isAvailable()) {
+      return new LocalStorageStorage(this.config.storageKey);
+    }
+
+    return new MemoryStorage();
+  }
+
+  /**
+   * Load persisted entries (runs once, later calls share the same promise)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.storage
+        .read()
+        .catch((error) => {
+          console.warn("PaveKit SDK: Failed to load offline queue:", error);
+          return [];
+        })
+        .then((entries) => {
+          // Entries enqueued before the load finished go after persisted ones
+          this.entries = this.removeExpired(entries.concat(this.entries));
+        });
+    }
+
+    return this.loaded;
+  }
+
+  /**
+   * Add a payload to the queue
+   * An entry with the same dedup key replaces the queued one in place.
+   * @param {string} type - Payload type (signup, conversion, activity, user)
+   * @param {Object} data - Payload to deliver later
+   * @param {Object} [options] - Entry options
+   * @param {string} [options.dedupKey] - Key identifying duplicate payloads
+   * @returns {Promise<Object>} The queued entry
+   */
+  async enqueue(type, data, options = {}) {
+    await this.load();
+
+    const now = Date.now();
+    const entry = {
+      id: `${now}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      data,
+      dedupKey: options.dedupKey || null,
+      createdAt: now,
+      attempts: 0,
+    };
+
+    const existingIndex = entry.dedupKey
+      ? this.entries.findIndex((queued) => queued.dedupKey === entry.dedupKey)
+      : -1;
+
+    // The replacement keeps its own id: a replay sending the old entry right now
+    // must not remove it once that send finishes
+    if (existingIndex !== -1) {
+      this.entries[existingIndex] = entry;
+    } else {
+      this.entries.push(entry);
+    }
+
+    // Drop the oldest entries once the queue is full
+    if (this.entries.length > this.config.maxSize) {
+      this.entries.splice(0, this.entries.length - this.config.maxSize);
+    }
+
+    await this.persist();
+    return entry;
+  }
+
+  /**
+   * Deliver queued entries in order
+   * Stops at the first entry that fails with a retryable error; entries that
+   * fail permanently are dropped.
+   * @param {Function} send - async (entry) => result
+   * @param {Function} [isRetryable] - (error) => boolean, defaults to always retryable
+   * @returns {Promise<Object>} { sent, dropped, remaining }
+   */
+  replay(send, isRetryable = () => true) {
+    if (!this.replaying) {
+      this.replaying = this.drain(send, isRetryable).finally(() => {
+        this.replaying = null;
+      });
+    }
+
+    return this.replaying;
+  }
+
+  /**
+   * Replay worker
+   * @private
+   */
+  async drain(send, isRetryable) {
+    await this.load();
+    this.entries = this.removeExpired(this.entries);
+
+    let sent = 0;
+    let dropped = 0;
+
+    while (this.entries.length > 0) {
+      const entry = this.entries[0];
+      entry.attempts += 1;
+
+      try {
+        await send(entry);
+        sent += 1;
+      } catch (error) {
+        if (isRetryable(error)) {
+          await this.persist();
+          break;
+        }
+
+        console.warn(
+          "PaveKit SDK: Dropping queued event that cannot be delivered:",
+          error.message,
+        );
+        dropped += 1;
+      }
+
+      this.entries = this.entries.filter((queued) => queued.id !== entry.id);
+      await this.persist();
+    }
+
+    return { sent, dropped, remaining: this.entries.length };
+  }
+
+  /**
+   * Filter out entries older than the configured TTL
+   * @private
+   */
+  removeExpired(entries) {
+    const cutoff = Date.now() - this.config.ttl;
+    return entries.filter((entry) => entry.createdAt >= cutoff);
+  }
+
+  /**
+   * Write the current entries to storage
+   * @private
+   */
+  async persist() {
+    try {
+      await this.storage.write(this.entries);
+    } catch (error) {
+      console.warn("PaveKit SDK: Failed to persist offline queue:", error);
+    }
+  }
+
+  /**
+   * Number of queued entries
+   * @returns {number} Queue depth
+   */
+  size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Remove all queued entries
+   */
+  async clear() {
+    this.entries = [];
+
+    try {
+      await this.storage.clear();
+    } catch (error) {
+      console.warn("PaveKit SDK: Failed to clear offline queue:", error);
+    }
+  }
+}
+
+export default OfflineQueue;
@@ -0,0 +1,93 @@
+/**
+ * PaveKit Backend SDK - Rate Limiter
+ * Token bucket that spaces out outgoing requests, retries included.
+ *
+ * The bucket holds up to `burst` tokens and refills at `requestsPerSecond`.
+ * Each request takes one token; when the bucket is empty the request waits
+ * its turn, or fails with PaveKitRateLimitError if it would wait longer than
+ * `maxWait`.
+ */
+
+const { PaveKitRateLimitError } = require("./errors.js");
+
+class RateLimiter {
+  /**
+   * @param {Object} config - Limiter configuration
+   * @param {number} config.requestsPerSecond - Sustained request rate
+   * @param {number} [config.burst] - Bucket size (defaults to requestsPerSecond, at least 1)
+   * @param {number} [config.maxWait=5000] - Longest a request may wait for a token, in ms
+   * @param {Function} [config.now=Date.now] - Clock
+   */
+  constructor(config = {}) {
+    if (!(config.requestsPerSecond > 0)) {
+      throw new Error("rateLimit.requestsPerSecond must be a positive number");
+    }
+
+    this.rate = config.requestsPerSecond / 1000;
+    this.burst = config.burst || Math.max(1, Math.floor(config.requestsPerSecond));
+    this.maxWait = config.maxWait !== undefined ? config.maxWait : 5000;
+    this.now = config.now || Date.now;
+
+    this.tokens = this.burst;
+    this.updatedAt = this.now();
+  }
+
+  /**
+   * Take a token, waiting for one if the bucket is empty
+   * Waiting requests are served in the order they asked.
+   * @returns {Promise<void>} Resolves when the request may go out
+   * @throws {PaveKitRateLimitError} When the wait would exceed maxWait
+   */
+  async acquire() {
+    const wait = this.reserve();
+
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Reserve a token and return how long to wait for it
+   * @returns {number} Milliseconds until the reserved token is available
+   * @throws {PaveKitRateLimitError} When the wait would exceed maxWait
+   * @private
+   */
+  reserve() {
+    this.refill();
+
+    // Tokens may go negative: each waiting request holds a reservation
+    const wait = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate);
+
+    if (wait > this.maxWait) {
+      throw new PaveKitRateLimitError(
+        `Client-side rate limit reached; next request slot in ${wait}ms`,
+        { retryAfter: String(Math.ceil(wait / 1000)) },
+      );
+    }
+
+    this.tokens -= 1;
+    return wait;
+  }
+
+  /**
+   * @returns {number} Tokens available right now (negative while requests wait)
+   */
+  available() {
+    this.refill();
+    return this.tokens;
+  }
+
+  /**
+   * @private
+   */
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rate);
+    this.updatedAt = now;
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RateLimiter;
+}
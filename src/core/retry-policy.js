@@ -0,0 +1,120 @@
+/**
+ * PaveKit Backend SDK - Retry Policy
+ * Decides whether a failed request is retried and how long to wait.
+ *
+ * Any object with shouldRetry(error, attempt) and getDelay(error, attempt)
+ * can be passed as `retry` to PaveKitAPI#init; this class is the default.
+ */
+
+class RetryPolicy {
+  /**
+   * @param {Object} config - Policy configuration
+   * @param {number} [config.maxAttempts=3] - Total attempts, including the first one
+   * @param {number} [config.baseDelay=1000] - Backoff base in milliseconds
+   * @param {number} [config.maxDelay=30000] - Upper bound for a single backoff delay
+   * @param {number} [config.deadline] - Overall time budget in milliseconds, across all attempts
+   * @param {boolean} [config.respectRetryAfter=true] - Wait as long as the Retry-After header asks
+   * @param {number} [config.maxRetryAfter=60000] - Cap for Retry-After waits
+   * @param {Function} [config.onRetry] - Called with { attempt, error, delay } before each retry
+   * @param {Function} [config.random=Math.random] - Random source for jitter
+   */
+  constructor(config = {}) {
+    this.maxAttempts = config.maxAttempts || 3;
+    this.baseDelay = config.baseDelay !== undefined ? config.baseDelay : 1000;
+    this.maxDelay = config.maxDelay || 30000;
+    this.deadline = config.deadline || null;
+    this.respectRetryAfter = config.respectRetryAfter !== false;
+    this.maxRetryAfter = config.maxRetryAfter || 60000;
+    this.onRetry = config.onRetry || null;
+    this.random = config.random || Math.random;
+  }
+
+  /**
+   * Decide whether to make another attempt
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @returns {boolean} True to retry
+   */
+  shouldRetry(error, attempt) {
+    return attempt < this.maxAttempts && RetryPolicy.isRetryableError(error);
+  }
+
+  /**
+   * Delay before the next attempt
+   * Uses Retry-After when present, otherwise exponential backoff with full jitter.
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(error, attempt) {
+    if (this.respectRetryAfter && error && error.retryAfter) {
+      const retryAfter = RetryPolicy.parseRetryAfter(error.retryAfter);
+      if (retryAfter !== null) {
+        return Math.min(retryAfter, this.maxRetryAfter);
+      }
+    }
+
+    const ceiling = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, attempt - 1),
+    );
+    return Math.floor(this.random() * ceiling);
+  }
+
+  /**
+   * Check whether an error is worth retrying
+   * Network errors, timeouts, 408, 429 and 5xx responses are retryable.
+   * @param {Error} error - Request error
+   * @returns {boolean} True if retryable
+   */
+  static isRetryableError(error) {
+    if (!error) return false;
+
+    if (typeof error.retryable === "boolean") {
+      return error.retryable;
+    }
+
+    if (error.status) {
+      return RetryPolicy.isRetryableStatus(error.status);
+    }
+
+    // No HTTP status: the request never got a response
+    return true;
+  }
+
+  /**
+   * Check whether an HTTP status is worth retrying
+   * @param {number} status - HTTP status code
+   * @returns {boolean} True if retryable
+   */
+  static isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Parse a Retry-After header value
+   * @param {string} value - Delay in seconds or an HTTP date
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {number|null} Delay in milliseconds, or null if unparseable
+   */
+  static parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === "") return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+
+    return null;
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RetryPolicy;
+}
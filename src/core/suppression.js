@@ -0,0 +1,104 @@
+/**
+ * PaveKit Backend SDK - Suppression List
+ * Users who asked to be forgotten. PaveKitAPI refuses to track them again
+ * until their consent is recorded.
+ *
+ * The list never holds the email itself, only a salted SHA-256 digest of the
+ * normalized address, so a leaked store does not reveal who was erased.
+ *
+ * The default store lives in memory with a random salt. Pass any object with
+ * has/add/remove (sync or async) to share the list between processes, e.g.
+ * backed by a database table or Redis set, together with a secret salt that
+ * every process uses.
+ */
+
+const crypto = require("crypto");
+const EmailHasher = require("./email-hasher.js");
+
+class MemorySuppressionStore {
+  constructor() {
+    this.digests = new Set();
+  }
+
+  has(digest) {
+    return this.digests.has(digest);
+  }
+
+  add(digest) {
+    this.digests.add(digest);
+  }
+
+  remove(digest) {
+    this.digests.delete(digest);
+  }
+}
+
+class SuppressionList {
+  /**
+   * @param {Object} [store] - { has(digest), add(digest), remove(digest) }, may return promises
+   * @param {Object} [options] - List options
+   * @param {string} [options.salt] - Secret prepended before hashing; required with a
+   *   custom store so every process computes the same digests
+   */
+  constructor(store, options = {}) {
+    if (store && !options.salt) {
+      throw new Error("Suppression store needs a salt shared by every process");
+    }
+
+    this.store = store || new MemorySuppressionStore();
+    this.hasher = new EmailHasher({
+      salt: options.salt || crypto.randomBytes(16).toString("hex"),
+    });
+
+    if (
+      !["has", "add", "remove"].every(
+        (method) => typeof this.store[method] === "function",
+      )
+    ) {
+      throw new Error("Suppression store must define has, add and remove");
+    }
+  }
+
+  /**
+   * @param {string} email - User email
+   * @returns {Promise<boolean>} True if tracking this email is refused
+   */
+  async has(email) {
+    return !!(await this.store.has(this.digest(email)));
+  }
+
+  /**
+   * @param {string} email - User email
+   */
+  async add(email) {
+    await this.store.add(this.digest(email));
+  }
+
+  /**
+   * @param {string} email - User email
+   */
+  async remove(email) {
+    await this.store.remove(this.digest(email));
+  }
+
+  /**
+   * Salted digest of the normalized email, so casing and whitespace do not
+   * bypass the list
+   * @param {string} email - User email
+   * @returns {string} Hex SHA-256 digest
+   */
+  digest(email) {
+    // Node's hash is synchronous, so checking the list on every track() call
+    // does not wait for WebCrypto's thread pool
+    return crypto
+      .createHash("sha256")
+      .update(this.hasher.salt + this.hasher.normalize(email), "utf8")
+      .digest("hex");
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SuppressionList;
+  module.exports.MemorySuppressionStore = MemorySuppressionStore;
+}
@@ -0,0 +1,110 @@
+/**
+ * PaveKit Backend SDK - Transports
+ * A transport has the signature of fetch: (url, init) => Promise<Response>.
+ * Only the parts of Response the client uses are required: ok, status,
+ * headers.get(), json() and text().
+ *
+ * These are the transports that also run in browsers; the Node http and
+ * in-memory transports are in node-transports.js.
+ */
+
+/**
+ * Build a minimal fetch-style Response
+ * @param {number} status - HTTP status code
+ * @param {string} text - Response body
+ * @param {Object} [headers] - Response headers (plain object)
+ * @returns {Object} Response-like object
+ */
+function createResponse(status, text, headers = {}) {
+  const normalized = {};
+  Object.keys(headers).forEach((name) => {
+    normalized[name.toLowerCase()] = headers[name];
+  });
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: (name) => {
+        const value = normalized[name.toLowerCase()];
+        if (value === undefined) return null;
+        return Array.isArray(value) ? value.join(", ") : String(value);
+      },
+    },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+  };
+}
+
+/**
+ * Transport backed by a fetch implementation
+ * @param {Function} [fetchImpl] - fetch to use; defaults to the global fetch at call time
+ * @returns {Function} Transport
+ */
+function createFetchTransport(fetchImpl) {
+  return function fetchTransport(url, init) {
+    const impl = fetchImpl || (typeof fetch !== "undefined" ? fetch : null);
+    if (!impl) {
+      throw new Error("fetch is not available in this environment");
+    }
+
+    return impl(url, init);
+  };
+}
+
+/**
+ * Transport backed by navigator.sendBeacon, for sends during page unload
+ *
+ * Beacons cannot carry custom headers, so the request goes out as form data:
+ * the JSON body as `payload`, with the API key and idempotency key as
+ * `api_key` and `idempotency_key` fields. The key stays out of the URL, and
+ * so out of access logs, and form data needs no CORS preflight. Only POST is
+ * supported and no response body is available; a beacon the browser accepts
+ * resolves with `{ success: true, beacon: true }`.
+ *
+ * @param {Object} [options] - Transport options
+ * @param {Object} [options.navigator] - Object providing sendBeacon (defaults to window.navigator)
+ * @returns {Function} Transport
+ */
+function createBeaconTransport(options = {}) {
+  return async function beaconTransport(url, init = {}) {
+    const nav =
+      options.navigator || (typeof navigator !== "undefined" ? navigator : null);
+
+    if (!nav || typeof nav.sendBeacon !== "function") {
+      throw new Error("navigator.sendBeacon is not available");
+    }
+
+    if ((init.method || "GET").toUpperCase() !== "POST") {
+      throw new Error("The beacon transport only supports POST requests");
+    }
+
+    const headers = init.headers || {};
+    const form = new FormData();
+    form.append("payload", init.body || "");
+    if (headers["X-API-Key"]) {
+      form.append("api_key", headers["X-API-Key"]);
+    }
+    if (headers["Idempotency-Key"]) {
+      form.append("idempotency_key", headers["Idempotency-Key"]);
+    }
+
+    if (!nav.sendBeacon(url, form)) {
+      throw new Error("The browser refused to queue the beacon");
+    }
+
+    return createResponse(
+      202,
+      JSON.stringify({ success: true, beacon: true }),
+    );
+  };
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createResponse,
+    createFetchTransport,
+    createBeaconTransport,
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * PaveKit Backend SDK - User Handle
+ * Lightweight per-user view of a shared PaveKitAPI client.
+ *
+ * The client itself keeps no per-user state, so one instance can serve many
+ * concurrent requests. A handle remembers the identity of a single user
+ * (email and the user_id returned by the API) and fills it into every call.
+ */
+
+class PaveKitUserHandle {
+  /**
+   * @param {PaveKitAPI} client - Shared API client
+   * @param {string} email - User email
+   * @param {Object} [options] - Handle options
+   * @param {string} [options.userId] - Known PaveKit user_id
+   */
+  constructor(client, email, options = {}) {
+    if (!email) {
+      throw new Error("Email is required");
+    }
+
+    this.client = client;
+    this.email = email;
+    this.userId = options.userId || null;
+  }
+
+  /**
+   * Track activity for this user
+   * @param {Object} [data] - Activity data (see PaveKitAPI#track); email is filled in
+   * @returns {Promise<Object>} Response with user_id
+   */
+  async track(data = {}) {
+    const result = await this.client.track({
+      ...data,
+      email: this.email,
+      user_id: data.user_id || this.userId || undefined,
+    });
+
+    this.remember(result);
+    return result;
+  }
+
+  /**
+   * Track a named event for this user
+   * @param {string} eventName - Event name (see PaveKitAPI#trackEvent)
+   * @param {Object} [properties] - Event properties
+   * @param {Object} [options] - Event options
+   * @returns {Promise<Object>} Response with event_id
+   */
+  async trackEvent(eventName, properties = {}, options = {}) {
+    const result = await this.client.trackEvent(this.email, eventName, properties, options);
+
+    this.remember(result);
+    return result;
+  }
+
+  /**
+   * Store identity returned by the API
+   * @param {Object} result - API response
+   * @private
+   */
+  remember(result) {
+    if (result && result.user_id) {
+      this.userId = result.user_id;
+    }
+  }
+
+  /**
+   * Identity known for this user
+   * @returns {Object} { email, userId }
+   */
+  toJSON() {
+    return { email: this.email, userId: this.userId };
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PaveKitUserHandle;
+}
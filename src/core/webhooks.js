@@ -0,0 +1,395 @@
+/**
+ * PaveKit Backend SDK - Webhooks
+ * Verifies and parses webhooks sent by PaveKit (email sent, user converted, ...).
+ *
+ * Every delivery carries a `PaveKit-Signature` header of the form
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256>`, where the HMAC is computed with the
+ * endpoint's signing secret over `<t>.<raw body>`. Several v1 entries may be
+ * present while a secret is being rotated.
+ */
+
+const {
+  PaveKitConfigurationError,
+  PaveKitValidationError,
+  PaveKitWebhookSignatureError,
+  readHeader,
+} = require("./errors.js");
+
+const SIGNATURE_HEADER = "PaveKit-Signature";
+
+/**
+ * Webhook event types sent by PaveKit
+ */
+const EVENT_TYPES = {
+  USER_CREATED: "user.created",
+  USER_CONVERTED: "user.converted",
+  EMAIL_SENT: "email.sent",
+  EMAIL_OPENED: "email.opened",
+  EMAIL_CLICKED: "email.clicked",
+  EMAIL_BOUNCED: "email.bounced",
+  USER_UNSUBSCRIBED: "user.unsubscribed",
+};
+
+/**
+ * A verified webhook event
+ */
+class PaveKitWebhookEvent {
+  /**
+   * @param {Object} raw - Parsed webhook body
+   * @param {string} raw.id - Event ID, stable across redeliveries
+   * @param {string} raw.type - Event type (see PaveKitWebhooks.EVENT_TYPES)
+   * @param {string} [raw.created_at] - ISO timestamp of the event
+   * @param {Object} [raw.data] - Event data
+   */
+  constructor(raw) {
+    this.id = raw.id;
+    this.type = raw.type;
+    this.createdAt = raw.created_at ? new Date(raw.created_at) : null;
+    this.data = raw.data || {};
+    this.raw = raw;
+  }
+
+  /**
+   * Check the event type
+   * @param {string} type - Event type
+   * @returns {boolean} True if this event has that type
+   */
+  is(type) {
+    return this.type === type;
+  }
+}
+
+class PaveKitWebhooks {
+  /**
+   * @param {Object} config - Webhook configuration
+   * @param {string|string[]} config.secret - Signing secret; pass several while rotating
+   * @param {number} [config.tolerance=300] - Maximum age of a delivery in seconds
+   *   (older or future-dated signatures are rejected as replays)
+   * @param {Function} [config.onError] - Called with (error, event) when a handler throws;
+   *   logs with console.error by default
+   * @param {Function} [config.now=Date.now] - Clock, in milliseconds
+   */
+  constructor(config = {}) {
+    const secrets = [].concat(config.secret || []).filter(Boolean);
+    if (secrets.length === 0) {
+      throw new PaveKitConfigurationError("Webhook signing secret is required");
+    }
+
+    this.secrets = secrets;
+    this.tolerance = config.tolerance !== undefined ? config.tolerance : 300;
+    this.onError = config.onError || null;
+    this.now = config.now || Date.now;
+  }
+
+  /**
+   * Build a signature header for a payload
+   * Useful to send test deliveries to your own endpoint.
+   * @param {string} payload - Raw request body
+   * @param {number} [timestamp] - Unix seconds, defaults to now
+   * @returns {string} Header value `t=...,v1=...`
+   */
+  sign(payload, timestamp = Math.floor(this.now() / 1000)) {
+    return `t=${timestamp},v1=${computeSignature(this.secrets[0], timestamp, payload)}`;
+  }
+
+  /**
+   * Verify a delivery's signature and timestamp
+   * @param {string|Buffer} payload - Raw request body, exactly as received
+   * @param {string} header - Value of the PaveKit-Signature header
+   * @returns {true} When the delivery is authentic
+   * @throws {PaveKitWebhookSignatureError} When it is not
+   */
+  verify(payload, header) {
+    const body = toText(payload);
+    const { timestamp, signatures } = parseSignatureHeader(header);
+
+    const age = Math.floor(this.now() / 1000) - timestamp;
+    if (this.tolerance > 0 && Math.abs(age) > this.tolerance) {
+      throw new PaveKitWebhookSignatureError(
+        "Webhook timestamp is outside the tolerance window",
+      );
+    }
+
+    const matches = this.secrets.some((secret) => {
+      const expected = computeSignature(secret, timestamp, body);
+      return signatures.some((signature) => safeEqual(expected, signature));
+    });
+
+    if (!matches) {
+      throw new PaveKitWebhookSignatureError(
+        "Webhook signature does not match the payload",
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Verify a delivery and parse it into an event
+   * @param {string|Buffer} payload - Raw request body, exactly as received
+   * @param {string} header - Value of the PaveKit-Signature header
+   * @returns {PaveKitWebhookEvent} Verified event
+   * @throws {PaveKitWebhookSignatureError} When the signature is invalid
+   * @throws {PaveKitValidationError} When the body is not a webhook event
+   */
+  constructEvent(payload, header) {
+    this.verify(payload, header);
+
+    let raw;
+    try {
+      raw = JSON.parse(toText(payload));
+    } catch (error) {
+      throw new PaveKitValidationError(
+        `Invalid webhook payload: ${error.message}`,
+        { cause: error },
+      );
+    }
+
+    if (!raw || typeof raw !== "object" || !raw.id || !raw.type) {
+      throw new PaveKitValidationError(
+        "Invalid webhook payload: id and type are required",
+      );
+    }
+
+    return new PaveKitWebhookEvent(raw);
+  }
+
+  /**
+   * Create a framework-agnostic handler
+   *
+   * The handler verifies the delivery, dispatches it to `handlers[event.type]`
+   * (or `handlers['*']`) and resolves with the response to send. A handler
+   * that throws yields a 500 so PaveKit delivers the event again; the error
+   * goes to `onError` and never into the response.
+   *
+   * @param {Object<string, Function>} handlers - (event) => void | Promise<void>, by event type
+   * @returns {Function} async ({ body, headers }) => { status, body }
+   *
+   * @example
+   * const handle = webhooks.handler({
+   *   'user.converted': async (event) => crm.markConverted(event.data.email)
+   * });
+   * const { status, body } = await handle({ body: rawBody, headers });
+   */
+  handler(handlers = {}) {
+    return async (request) => {
+      let event;
+      try {
+        event = this.constructEvent(
+          request.body,
+          readHeader(request.headers, SIGNATURE_HEADER),
+        );
+      } catch (error) {
+        return { status: 400, body: { error: error.message } };
+      }
+
+      const handle = handlers[event.type] || handlers["*"];
+      if (!handle) {
+        return { status: 200, body: { received: true, handled: false } };
+      }
+
+      try {
+        await handle(event);
+      } catch (error) {
+        this.reportError(error, event);
+        return { status: 500, body: { error: "Webhook handler failed" } };
+      }
+
+      return { status: 200, body: { received: true, handled: true } };
+    };
+  }
+
+  /**
+   * Hand a handler error to onError, or log it
+   * @private
+   */
+  reportError(error, event) {
+    try {
+      if (this.onError) {
+        this.onError(error, event);
+      } else {
+        console.error(
+          `[PaveKit] Webhook handler for ${event.type} (${event.id}) failed:`,
+          error,
+        );
+      }
+    } catch (hookError) {
+      // Reporting must not change the response
+    }
+  }
+
+  /**
+   * Express route handler
+   * Mount it with a raw body parser so the signature can be checked:
+   * `app.post('/webhooks/pavekit', express.raw({ type: 'application/json' }), webhooks.express(handlers))`
+   * @param {Object<string, Function>} handlers - Handlers by event type (see handler())
+   * @returns {Function} (req, res) => Promise<void>
+   */
+  express(handlers) {
+    const handle = this.handler(handlers);
+
+    return async (req, res) => {
+      const body = req.rawBody !== undefined ? req.rawBody : req.body;
+
+      if (typeof body !== "string" && !isBuffer(body)) {
+        res.status(400).json({
+          error:
+            "Webhook body must be the raw request body; mount express.raw({ type: 'application/json' }) on this route",
+        });
+        return;
+      }
+
+      const result = await handle({ body, headers: req.headers });
+      res.status(result.status).json(result.body);
+    };
+  }
+
+  /**
+   * Next.js App Router route handler
+   * `export const POST = webhooks.nextjs(handlers);` in app/api/webhooks/pavekit/route.js
+   * @param {Object<string, Function>} handlers - Handlers by event type (see handler())
+   * @returns {Function} async (request: Request) => Response
+   */
+  nextjs(handlers) {
+    const handle = this.handler(handlers);
+
+    return async (request) => {
+      const result = await handle({
+        body: await request.text(),
+        headers: request.headers,
+      });
+
+      return new Response(JSON.stringify(result.body), {
+        status: result.status,
+        headers: { "Content-Type": "application/json" },
+      });
+    };
+  }
+
+  /**
+   * Next.js Pages Router API route
+   * Turn the body parser off so the signature can be checked against the raw
+   * body, in pages/api/webhooks/pavekit.js:
+   * `export const config = { api: { bodyParser: false } };`
+   * `export default webhooks.nextjsPages(handlers);`
+   * @param {Object<string, Function>} handlers - Handlers by event type (see handler())
+   * @returns {Function} (req, res) => Promise<void>
+   */
+  nextjsPages(handlers) {
+    const handle = this.handler(handlers);
+
+    return async (req, res) => {
+      let body = req.body;
+
+      if (body === undefined) {
+        body = await readBody(req);
+      } else if (typeof body !== "string" && !isBuffer(body)) {
+        res.status(400).json({
+          error:
+            "Webhook body must be the raw request body; add `export const config = { api: { bodyParser: false } }` to this route",
+        });
+        return;
+      }
+
+      const result = await handle({ body, headers: req.headers });
+      res.status(result.status).json(result.body);
+    };
+  }
+}
+
+PaveKitWebhooks.SIGNATURE_HEADER = SIGNATURE_HEADER;
+PaveKitWebhooks.EVENT_TYPES = EVENT_TYPES;
+
+/**
+ * Parse `t=...,v1=...[,v1=...]`
+ * @private
+ */
+function parseSignatureHeader(header) {
+  if (!header || typeof header !== "string") {
+    throw new PaveKitWebhookSignatureError(
+      `Missing ${SIGNATURE_HEADER} header`,
+    );
+  }
+
+  let timestamp = NaN;
+  const signatures = [];
+
+  header.split(",").forEach((part) => {
+    const [key, value] = part.trim().split("=");
+    if (key === "t") timestamp = Number(value);
+    if (key === "v1" && value) signatures.push(value);
+  });
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    throw new PaveKitWebhookSignatureError(
+      `Malformed ${SIGNATURE_HEADER} header`,
+    );
+  }
+
+  return { timestamp, signatures };
+}
+
+/**
+ * HMAC-SHA256 of `<timestamp>.<payload>` as hex
+ * @private
+ */
+function computeSignature(secret, timestamp, payload) {
+  // Required lazily so browser bundles never load Node modules
+  const crypto = require("crypto");
+
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`, "utf8")
+    .digest("hex");
+}
+
+/**
+ * Constant-time comparison of two hex strings
+ * @private
+ */
+function safeEqual(expected, actual) {
+  const crypto = require("crypto");
+  const a = Buffer.from(expected, "utf8");
+  const b = Buffer.from(actual, "utf8");
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @private
+ */
+function isBuffer(value) {
+  return typeof Buffer !== "undefined" && Buffer.isBuffer(value);
+}
+
+/**
+ * Read a Node request stream into a Buffer
+ * @private
+ */
+async function readBody(stream) {
+  const chunks = [];
+
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk, "utf8") : chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * @private
+ */
+function toText(payload) {
+  if (isBuffer(payload)) return payload.toString("utf8");
+  if (typeof payload === "string") return payload;
+
+  throw new PaveKitValidationError(
+    "Webhook payload must be the raw request body (string or Buffer)",
+  );
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PaveKitWebhooks;
+  module.exports.PaveKitWebhookEvent = PaveKitWebhookEvent;
+}
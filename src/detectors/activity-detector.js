@@ -334,7 +334,8 @@ class ActivityDetector {
    * Handle before page unload
    */
   handleBeforeUnload() {
-    this.sendFinalActivity();
+    // fetch is cancelled when the page goes away; a beacon survives unload
+    this.sendFinalActivity({ beacon: true });
     this.saveSessionData();
   }
 
@@ -421,8 +422,10 @@ class ActivityDetector {
 
   /**
    * Send activity update to backend
+   * @param {Object} [options] - Delivery options
+   * @param {boolean} [options.beacon] - Send with navigator.sendBeacon
    */
-  async sendActivityUpdate() {
+  async sendActivityUpdate(options = {}) {
     if (!this.privacyManager.hasConsent() || !this.sessionData.userEmail) {
       return;
     }
@@ -448,7 +451,7 @@ class ActivityDetector {
         },
       };
 
-      await this.apiClient.trackActivity(activityData);
+      await this.apiClient.trackActivity(activityData, options);
       this.lastHeartbeat = Date.now();
 
       // Save session data after successful update
@@ -460,10 +463,11 @@ class ActivityDetector {
 
   /**
    * Send final activity data before stopping
+   * @param {Object} [options] - Delivery options (see sendActivityUpdate)
    */
-  async sendFinalActivity() {
+  async sendFinalActivity(options = {}) {
     this.updateActivity(); // Update one last time
-    await this.sendActivityUpdate();
+    await this.sendActivityUpdate(options);
   }
 
   /**
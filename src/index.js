@@ -10,7 +10,7 @@
  */
 
 import SecurityUtils from "./core/security.js";
-import APIClient from "./core/api.js";
+import APIClient from "./core/browser-client.js";
 import PrivacyManager from "./core/privacy.js";
 import FormDetector from "./detectors/form-detector.js";
 import OAuthDetector from "./detectors/oauth-detector.js";
@@ -33,6 +33,8 @@ class PaveKitSDK {
       debug: false,
       autoCleanup: true,
       consentBanner: true,
+      identityCookie: false,
+      healthCheckInterval: 30000,
     };
 
     // Initialize core components
@@ -49,6 +51,8 @@ class PaveKitSDK {
 
     this.isDetecting = false;
     this.userEmail = null;
+    this.onlineHandler = null;
+    this.healthCheckTimer = null;
   }
 
   /**
@@ -137,6 +141,9 @@ class PaveKitSDK {
         apiKey: this.config.apiKey,
         baseURL: this.config.baseURL,
         debug: this.config.debug,
+        queue: this.config.queue,
+        hashEmails: this.getPrivacyOption("hashEmails"),
+        onOffline: (error) => this.handleOffline(error),
       });
 
       // Try to validate API key with backend (non-blocking)
@@ -168,6 +175,15 @@ class PaveKitSDK {
 
       this.initialized = true;
       this.offlineMode = !backendConnected;
+      this.apiClient.offline = this.offlineMode;
+
+      // Replay events queued while offline and listen for reconnects
+      this.attachConnectivityListeners();
+      if (backendConnected) {
+        this.replayQueue();
+      } else {
+        this.scheduleHealthCheck();
+      }
 
       if (this.config.debug) {
         console.log("PaveKit SDK: Successfully initialized", {
@@ -201,6 +217,129 @@ class PaveKitSDK {
     return validation;
   }
 
+  /**
+   * Listen for the browser coming back online
+   */
+  attachConnectivityListeners() {
+    if (this.onlineHandler) return;
+
+    this.onlineHandler = () => this.handleOnline();
+    window.addEventListener("online", this.onlineHandler);
+  }
+
+  /**
+   * Detach connectivity listeners and stop health checks
+   */
+  detachConnectivityListeners() {
+    if (this.onlineHandler) {
+      window.removeEventListener("online", this.onlineHandler);
+      this.onlineHandler = null;
+    }
+
+    this.stopHealthCheck();
+  }
+
+  /**
+   * Enter offline mode after a send failed with a retryable error
+   * Events are then queued instead of sent until the backend answers again.
+   * @param {Error} error - Error the send failed with
+   * @private
+   */
+  handleOffline(error) {
+    if (this.offlineMode) return;
+
+    if (this.config.debug) {
+      console.log("PaveKit SDK: Backend unreachable, queueing events", error.message);
+    }
+
+    this.offlineMode = true;
+    this.apiClient.offline = true;
+
+    this.dispatchEvent("offline", { queueDepth: this.apiClient.queue.size() });
+    this.scheduleHealthCheck();
+  }
+
+  /**
+   * Validate the backend again after `healthCheckInterval` while offline
+   * Repeats until it answers; disabled with `healthCheckInterval: 0`.
+   * @private
+   */
+  scheduleHealthCheck() {
+    if (!this.config.healthCheckInterval || this.healthCheckTimer) return;
+
+    this.healthCheckTimer = setTimeout(async () => {
+      this.healthCheckTimer = null;
+      await this.handleOnline();
+
+      if (this.offlineMode) {
+        this.scheduleHealthCheck();
+      }
+    }, this.config.healthCheckInterval);
+  }
+
+  /**
+   * @private
+   */
+  stopHealthCheck() {
+    if (this.healthCheckTimer) {
+      clearTimeout(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * Leave offline mode once the backend validates again, then replay the queue
+   */
+  async handleOnline() {
+    if (this.offlineMode) {
+      try {
+        await this.validateConfiguration();
+      } catch (error) {
+        if (this.config.debug) {
+          console.log("PaveKit SDK: Backend still unreachable", error.message);
+        }
+        return;
+      }
+
+      this.offlineMode = false;
+      this.apiClient.offline = false;
+      this.stopHealthCheck();
+
+      if (this.config.debug) {
+        console.log("PaveKit SDK: Backend connection restored ✅");
+      }
+
+      this.dispatchEvent("online", { queueDepth: this.apiClient.queue.size() });
+    }
+
+    await this.replayQueue();
+  }
+
+  /**
+   * Deliver events queued while offline or after failures
+   * @returns {Promise<Object|null>} Replay result, or null if nothing was queued
+   */
+  async replayQueue() {
+    await this.apiClient.queue.load();
+    if (this.apiClient.queue.size() === 0) {
+      return null;
+    }
+
+    try {
+      const result = await this.apiClient.flushQueue();
+
+      if (this.config.debug) {
+        console.log("PaveKit SDK: Replayed queued events", result);
+      }
+
+      this.dispatchEvent("queueReplayed", result);
+      return result;
+    } catch (error) {
+      console.warn("PaveKit SDK: Failed to replay queued events:", error);
+      return null;
+    }
+  }
+
   /**
    * Initialize detector components
    */
@@ -431,6 +570,40 @@ class PaveKitSDK {
     }
   }
 
+  /**
+   * Track a named custom event for the current user
+   * Events are batched, retried and queued offline like other tracking calls,
+   * and never change the user's state.
+   * @param {string} eventName - Event name (e.g. 'project_created')
+   * @param {Object} [properties] - Event properties; `email` overrides the current user
+   * @returns {Promise<Object>} Response with event_id, or { success, queued } when queued
+   */
+  async track(eventName, properties = {}) {
+    if (!this.initialized || !this.privacyManager.hasConsent()) {
+      throw new Error("SDK not initialized or consent not granted");
+    }
+
+    const { email: explicitEmail, ...eventProperties } = properties || {};
+    const email = explicitEmail || this.userEmail;
+
+    if (!email) {
+      throw new Error("Email is required for event tracking");
+    }
+
+    try {
+      const result = await this.apiClient.trackEvent(email, eventName, eventProperties);
+
+      if (this.config.debug) {
+        console.log("PaveKit SDK: Event tracked:", eventName);
+      }
+
+      return result;
+    } catch (error) {
+      console.error("PaveKit SDK: Failed to track event:", error);
+      throw error;
+    }
+  }
+
   /**
    * Set user email for tracking
    * @param {string} email - User email address
@@ -441,6 +614,7 @@ class PaveKitSDK {
     }
 
     this.userEmail = email;
+    this.writeIdentityCookie(email);
 
     // Update activity detector with user email
     if (this.detectors.activity) {
@@ -452,6 +626,78 @@ class PaveKitSDK {
     }
   }
 
+  /**
+   * Read an option from the `privacy` config
+   * `privacy` is either a preset name ('gdpr-compliant') or an options object.
+   * @param {string} name - Option name
+   * @returns {*} Option value, or undefined
+   * @private
+   */
+  getPrivacyOption(name) {
+    const privacy = this.config.privacy;
+
+    return privacy && typeof privacy === "object" ? privacy[name] : undefined;
+  }
+
+  /**
+   * Name of the identity cookie, or null when disabled
+   * Enabled with `identityCookie: true` (cookie `pavekit_uid`) or a cookie name.
+   * @returns {string|null} Cookie name
+   * @private
+   */
+  getIdentityCookieName() {
+    const option = this.config.identityCookie;
+    if (!option) return null;
+    return typeof option === "string" ? option : "pavekit_uid";
+  }
+
+  /**
+   * Share an opaque visitor id with your backend through a first-party cookie
+   * The id is the SHA-256 digest of the email (the one sent when hashEmails is
+   * on), never the email itself. Server-side helpers (e.g. the Next.js route
+   * wrappers) expose it as an untrusted hint. Only written with consent.
+   * @param {string} email - User email
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeIdentityCookie(email) {
+    const name = this.getIdentityCookieName();
+    if (!name || typeof document === "undefined") return;
+
+    let visitorId;
+    try {
+      visitorId = await this.apiClient.hashEmail(email);
+    } catch (error) {
+      console.warn("PaveKit SDK: Failed to write identity cookie:", error);
+      return;
+    }
+
+    // The user may have changed, opted out or been deleted meanwhile
+    if (this.userEmail !== email || !this.privacyManager.hasConsent()) return;
+
+    const attributes = ["Path=/", "Max-Age=31536000", "SameSite=Lax"];
+    if (this.config.domain) {
+      attributes.push(`Domain=${this.config.domain}`);
+    }
+    if (typeof location !== "undefined" && location.protocol === "https:") {
+      attributes.push("Secure");
+    }
+
+    document.cookie = `${name}=${visitorId}; ${attributes.join("; ")}`;
+  }
+
+  /**
+   * Remove the identity cookie
+   * @private
+   */
+  clearIdentityCookie() {
+    const name = this.getIdentityCookieName();
+    if (!name || typeof document === "undefined") return;
+
+    const domain = this.config.domain ? `; Domain=${this.config.domain}` : "";
+    document.cookie = `${name}=; Path=/; Max-Age=0${domain}`;
+  }
+
   /**
    * Get user consent status
    */
@@ -474,6 +720,7 @@ class PaveKitSDK {
   optOut() {
     this.stopDetection();
     this.privacyManager.optOut();
+    this.clearIdentityCookie();
 
     if (this.config.debug) {
       console.log("PaveKit SDK: User opted out");
@@ -503,6 +750,8 @@ class PaveKitSDK {
   deleteUserData() {
     this.stopDetection();
     this.privacyManager.clearStoredData();
+    this.apiClient.queue.clear();
+    this.clearIdentityCookie();
     this.userEmail = null;
 
     if (this.config.debug) {
@@ -520,6 +769,8 @@ class PaveKitSDK {
       detecting: this.isDetecting,
       hasConsent: this.privacyManager.hasConsent(),
       hasUserEmail: !!this.userEmail,
+      offlineMode: this.offlineMode,
+      queueDepth: this.apiClient.queue.size(),
       detectors: {},
     };
 
@@ -602,8 +853,10 @@ class PaveKitSDK {
    */
   reset() {
     this.stopDetection();
+    this.detachConnectivityListeners();
     this.privacyManager.reset();
     this.apiClient.reset();
+    this.clearIdentityCookie();
     this.userEmail = null;
     this.initialized = false;
 
@@ -0,0 +1,24 @@
+/**
+ * PaveKit Backend SDK - Server Integrations
+ * Entry point for `@pavekit/sdk/server`: webhook verification and the
+ * framework integrations. They need Node and are kept out of the core client,
+ * which is also bundled for browsers.
+ *
+ * @example
+ * const PaveKit = require('@pavekit/sdk');
+ * const { PaveKitWebhooks } = require('@pavekit/sdk/server');
+ */
+
+const PaveKitWebhooks = require("../core/webhooks.js");
+const serverMiddleware = require("./server.js");
+const nextjsHelpers = require("./nextjs.js");
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PaveKitWebhooks,
+    PaveKitWebhookEvent: PaveKitWebhooks.PaveKitWebhookEvent,
+  };
+  Object.assign(module.exports, serverMiddleware);
+  Object.assign(module.exports, nextjsHelpers);
+}
@@ -0,0 +1,267 @@
+/**
+ * PaveKit Backend SDK - Next.js Helpers
+ * Deferred server-side tracking for Pages API routes, App Router route
+ * handlers and Server Actions.
+ *
+ * Tracking calls start in the background and never delay the response. On
+ * serverless platforms the function may freeze once the response is sent, so
+ * the calls of each request are handed to `waitUntil`: the one passed in the
+ * options, or `after` from next/server (Next.js 15+). Without either, the
+ * wrappers wait for them after the handler finished.
+ *
+ * The browser SDK's identity cookie holds an opaque visitor id (the email's
+ * SHA-256 digest). Any script on the page and the visitor can change it, so it
+ * is an analytics hint only: take the user's email from your own session and
+ * never authorize anything with the cookie.
+ */
+
+const IDENTITY_COOKIE = "pavekit_uid";
+
+/**
+ * Create Next.js helpers bound to a client
+ * @param {PaveKitAPI} client - Initialized API client
+ * @param {Object} [options] - Helper options
+ * @param {string} [options.cookieName='pavekit_uid'] - Identity cookie written by the
+ *   browser SDK (`identityCookie: true`), exposed as `visitorId`
+ * @param {Function} [options.waitUntil] - Keeps the function alive for a promise
+ *   (e.g. `waitUntil` from @vercel/functions); defaults to `after` from next/server
+ *   when it exists. With one, wrappers return without waiting for tracking
+ * @param {Function} [options.onError] - Called with (error, data) when a deferred call fails
+ * @returns {Object} { withPaveKit, withPaveKitRoute, trackInServerAction, track, flush }
+ *
+ * @example
+ * // lib/pavekit.js
+ * export const { withPaveKit, withPaveKitRoute, trackInServerAction, flush } =
+ *   createPaveKitNext(pavekit);
+ */
+function createPaveKitNext(client, options = {}) {
+  if (!client || typeof client.track !== "function") {
+    throw new Error("A PaveKitAPI client is required");
+  }
+
+  const cookieName = options.cookieName || IDENTITY_COOKIE;
+  const pending = new Set();
+
+  /**
+   * Start a track() call in the background
+   * @param {Object} data - Activity data (see PaveKitAPI#track)
+   * @returns {Promise<Object|null>} Settles with the result, or null on failure
+   */
+  const track = (data) => {
+    const task = Promise.resolve()
+      .then(() => client.track(data))
+      .catch((error) => {
+        if (options.onError) {
+          try {
+            options.onError(error, data);
+          } catch (hookError) {
+            // Reporting must not turn into an unhandled rejection
+          }
+        }
+        return null;
+      })
+      .finally(() => {
+        pending.delete(task);
+      });
+
+    pending.add(task);
+    return task;
+  };
+
+  /**
+   * Wait for every deferred call started so far
+   * The client's own flush() sends calls buffered by auto-batching right away
+   * instead of waiting for the batch timer.
+   * @returns {Promise<void>} Resolves once they settled
+   */
+  const flush = async () => {
+    while (pending.size > 0) {
+      // Deferred calls reach the client on the next tick
+      await Promise.resolve();
+      await Promise.all([
+        ...Array.from(pending),
+        typeof client.flush === "function" ? client.flush() : null,
+      ]);
+    }
+  };
+
+  /**
+   * Hand a promise to waitUntil when available
+   * @returns {boolean} False when nothing keeps the function alive for it
+   * @private
+   */
+  const defer = (promise) => {
+    const waitUntil = options.waitUntil || loadAfter();
+    if (!waitUntil) return false;
+
+    try {
+      waitUntil(promise);
+      return true;
+    } catch (error) {
+      // after() throws outside a request scope
+      return false;
+    }
+  };
+
+  /**
+   * Per-request tracking scope
+   * settle() waits for this request's calls only, not those of concurrent requests.
+   * @private
+   */
+  const scope = (visitorId) => {
+    const calls = [];
+
+    const pavekit = {
+      visitorId: visitorId || null,
+      track: (data = {}) => {
+        if (!data.email) return Promise.resolve(null);
+
+        const task = track(data);
+        calls.push(task);
+        return task;
+      },
+    };
+
+    const settle = async (deferrable) => {
+      if (calls.length === 0) return;
+
+      // The client's flush() sends calls buffered by auto-batching right away
+      const done =
+        typeof client.flush === "function"
+          ? client.flush({ calls })
+          : Promise.all(calls);
+
+      if (!deferrable || !defer(done)) {
+        await done;
+      }
+    };
+
+    return { pavekit, settle };
+  };
+
+  /**
+   * Wrap a Pages API route handler
+   * `req.pavekit.track(data)` defers tracking; `req.pavekit.visitorId` holds the
+   * untrusted cookie hint. The request's calls go to `options.waitUntil`, or are
+   * awaited after the handler finished (the response was already written by then;
+   * `after` is not available in the Pages Router).
+   * @param {Function} handler - (req, res) => void | Promise<void>
+   * @returns {Function} Wrapped handler
+   *
+   * @example
+   * export default withPaveKit(async (req, res) => {
+   *   const user = await createUser(req.body);
+   *   req.pavekit.track({ email: user.email, user_state: 'created' });
+   *   res.status(201).json(user);
+   * });
+   */
+  const withPaveKit = (handler) => async (req, res) => {
+    const { pavekit, settle } = scope(
+      (req.cookies && req.cookies[cookieName]) ||
+        readCookie(req.headers && req.headers.cookie, cookieName),
+    );
+    req.pavekit = pavekit;
+
+    try {
+      return await handler(req, res);
+    } finally {
+      await settle(!!options.waitUntil);
+    }
+  };
+
+  /**
+   * Wrap an App Router route handler
+   * The handler receives `context.pavekit` with the same API as withPaveKit().
+   * The response is returned right away; the request's calls go to waitUntil
+   * (see createPaveKitNext()).
+   * @param {Function} handler - (request, context) => Response | Promise<Response>
+   * @returns {Function} Wrapped handler
+   *
+   * @example
+   * export const POST = withPaveKitRoute(async (request, { pavekit }) => {
+   *   const session = await getSession(request);
+   *   await upgradePlan(session.user.id);
+   *   pavekit.track({ email: session.user.email, user_state: 'converted' });
+   *   return Response.json({ ok: true });
+   * });
+   */
+  const withPaveKitRoute = (handler) => async (request, context = {}) => {
+    const { pavekit, settle } = scope(
+      readCookie(request.headers && request.headers.get("cookie"), cookieName),
+    );
+
+    try {
+      return await handler(request, { ...context, pavekit });
+    } finally {
+      await settle(true);
+    }
+  };
+
+  /**
+   * Track from a Server Action without blocking it
+   * The call is handed to waitUntil (or `after` from next/server); without
+   * either, await the returned promise (or flush()) before the action returns
+   * on serverless hosts.
+   * @param {Object} data - Activity data (see PaveKitAPI#track)
+   * @returns {Promise<Object|null>} Settles with the result, or null on failure
+   *
+   * @example
+   * 'use server'
+   * export async function upgrade(plan) {
+   *   const session = await auth();
+   *   trackInServerAction({ email: session.user.email, user_state: 'converted', metadata: { plan } });
+   * }
+   */
+  const trackInServerAction = (data) => {
+    const task = track(data);
+    defer(task);
+    return task;
+  };
+
+  return { withPaveKit, withPaveKitRoute, trackInServerAction, track, flush };
+}
+
+/**
+ * Load `after` from next/server (Next.js 15+)
+ * @returns {Function|null} after(), or null when Next.js does not provide it
+ * @private
+ */
+function loadAfter() {
+  try {
+    const { after } = require("next/server");
+    return typeof after === "function" ? after : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a cookie from a Cookie header
+ * @private
+ */
+function readCookie(header, name) {
+  if (!header) return null;
+
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+
+    if (part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createPaveKitNext,
+    IDENTITY_COOKIE,
+  };
+}
@@ -0,0 +1,407 @@
+/**
+ * PaveKit Backend SDK - Segment Adapter
+ * Maps Segment-spec identify, track, alias and group calls onto track().
+ *
+ * Rules decide which calls reach PaveKit and with which user_state, e.g.
+ * "Signed Up" => 'created' and "Order Completed" => 'converted'. Calls
+ * without a rule are skipped. PaveKit identifies users by email, so the
+ * adapter remembers the email behind each Segment userId and anonymousId
+ * (from identify traits, context.traits or properties) and follows alias
+ * calls between them.
+ *
+ * Use it as a Segment destination function, behind a webhook receiving
+ * Segment payloads, or as an Analytics.js destination plugin. It has its own
+ * entry point, `@pavekit/sdk/segment`, so the browser bundle does not carry it.
+ */
+
+const DEFAULT_EVENTS = {
+  "Signed Up": "created",
+  "Order Completed": "converted",
+};
+
+class SegmentAdapter {
+  /**
+   * A rule is a user_state string, { state, metadata } where metadata is an
+   * object or (message) => object, or (message, defaults) => track() data | null.
+   * Functions receive the computed { email, name, metadata } as defaults and
+   * return null to skip the call.
+   *
+   * @param {PaveKitAPI} client - Initialized API client
+   * @param {Object} [options] - Adapter options
+   * @param {Object|Function} [options.events] - Track rules by event name ('*' matches any
+   *   other event), or (eventName, message) => rule. Defaults to
+   *   { 'Signed Up': 'created', 'Order Completed': 'converted' }
+   * @param {string|Object|Function} [options.identify] - Rule for identify calls; by
+   *   default identify only records the user's email
+   * @param {string|Object|Function} [options.group] - Rule for group calls; skipped by default
+   * @param {Function} [options.lookupEmail] - async (userId, message) => email, for calls
+   *   from users the adapter has not seen identified (e.g. after a restart)
+   * @param {number} [options.maxIdentities=10000] - Remembered userId/anonymousId => email pairs
+   * @param {Function} [options.onError] - Called with (error, message) when a plugin call fails
+   */
+  constructor(client, options = {}) {
+    if (!client || typeof client.track !== "function") {
+      throw new Error("A PaveKitAPI client is required");
+    }
+
+    this.client = client;
+    this.events = options.events || DEFAULT_EVENTS;
+    this.identifyRule = options.identify || null;
+    this.groupRule = options.group || null;
+    this.lookupEmail = options.lookupEmail || null;
+    this.maxIdentities = options.maxIdentities || 10000;
+    this.onError = options.onError || null;
+    this.identities = new Map();
+  }
+
+  /**
+   * Handle one Segment message, or a { batch: [...] } payload
+   * @param {Object} message - Segment message with `type`
+   * @returns {Promise<Object|Object[]>} { tracked: true, result } or { tracked: false, reason }
+   *   (one per message for batches)
+   * @throws {PaveKitError} When tracking fails
+   */
+  async handle(message) {
+    if (message && Array.isArray(message.batch)) {
+      const results = [];
+      for (const item of message.batch) {
+        results.push(await this.handle(item));
+      }
+      return results;
+    }
+
+    switch (message && message.type) {
+      case "identify":
+        return await this.identify(message);
+      case "track":
+        return await this.track(message);
+      case "alias":
+        return this.alias(message);
+      case "group":
+        return await this.group(message);
+      default:
+        return skipped(`Unsupported message type '${message && message.type}'`);
+    }
+  }
+
+  /**
+   * Handle an identify call
+   * @param {Object} message - { userId, anonymousId, traits, context, messageId }
+   * @returns {Promise<Object>} Outcome (see handle())
+   */
+  async identify(message) {
+    const traits = message.traits || {};
+    const email = await this.resolveEmail(message, traits.email);
+
+    if (!this.identifyRule) {
+      return skipped(email ? "No identify rule" : "No email for this user");
+    }
+
+    return await this.apply(this.identifyRule, message, {
+      email,
+      name: nameFromTraits(traits),
+      metadata: omit(traits, ["email", "name", "firstName", "lastName"]),
+    });
+  }
+
+  /**
+   * Handle a track call
+   * @param {Object} message - { event, userId, anonymousId, properties, context, messageId }
+   * @returns {Promise<Object>} Outcome (see handle())
+   */
+  async track(message) {
+    const rule = this.ruleForEvent(message.event, message);
+    if (!rule) {
+      return skipped(`No rule for event '${message.event}'`);
+    }
+
+    const properties = message.properties || {};
+    const email = await this.resolveEmail(message, properties.email);
+
+    return await this.apply(rule, message, {
+      email,
+      name: nameFromTraits(contextTraits(message)),
+      metadata: omit(properties, ["email"]),
+    });
+  }
+
+  /**
+   * Handle an alias call: previousId and userId now refer to the same user
+   * @param {Object} message - { previousId, userId }
+   * @returns {Object} Outcome (see handle()); alias calls are never tracked
+   */
+  alias(message) {
+    const email =
+      this.identities.get(message.userId) || this.identities.get(message.previousId);
+
+    if (email) {
+      this.remember(message.userId, email);
+      this.remember(message.previousId, email);
+    }
+
+    return skipped(email ? "Alias recorded" : "Alias of an unknown user");
+  }
+
+  /**
+   * Handle a group call
+   * @param {Object} message - { groupId, userId, anonymousId, traits, context, messageId }
+   * @returns {Promise<Object>} Outcome (see handle())
+   */
+  async group(message) {
+    if (!this.groupRule) {
+      return skipped("No group rule");
+    }
+
+    // Group traits describe the group, so the email comes from context or earlier calls
+    const email = await this.resolveEmail(message, null);
+    const traits = message.traits || {};
+
+    return await this.apply(this.groupRule, message, {
+      email,
+      name: nameFromTraits(contextTraits(message)),
+      metadata: {
+        group_id: message.groupId,
+        ...(Object.keys(traits).length > 0 ? { group: traits } : {}),
+      },
+    });
+  }
+
+  /**
+   * Handlers for a Segment destination function
+   * Failures the API may recover from are thrown as Segment's RetryError when
+   * the runtime provides it, so Segment retries them.
+   * @returns {Object} { onIdentify, onTrack, onAlias, onGroup }
+   *
+   * @example
+   * const adapter = createSegmentAdapter(pavekit, { events: { 'Trial Started': 'trial' } });
+   * module.exports = adapter.destination(); // or assign the handlers to globals
+   */
+  destination() {
+    const wrap = (method) => async (event) => {
+      try {
+        return await this[method](event);
+      } catch (error) {
+        if (error.retryable && typeof RetryError === "function") {
+          // Global in Segment's function runtime
+          throw new RetryError(error.message);
+        }
+        throw error;
+      }
+    };
+
+    return {
+      onIdentify: wrap("identify"),
+      onTrack: wrap("track"),
+      onAlias: wrap("alias"),
+      onGroup: wrap("group"),
+    };
+  }
+
+  /**
+   * Analytics.js destination plugin
+   * Calls never fail the analytics pipeline; failures go to onError.
+   * @returns {Object} Plugin for analytics.register()
+   *
+   * @example
+   * analytics.register(createSegmentAdapter(pavekit.apiClient).plugin());
+   */
+  plugin() {
+    const forward = (method) => async (ctx) => {
+      try {
+        await this[method](ctx.event);
+      } catch (error) {
+        if (this.onError) {
+          try {
+            this.onError(error, ctx.event);
+          } catch (hookError) {
+            // Reporting must not break the analytics pipeline
+          }
+        }
+      }
+      return ctx;
+    };
+
+    return {
+      name: "PaveKit",
+      type: "destination",
+      version: "1.0.0",
+      isLoaded: () => true,
+      load: () => Promise.resolve(),
+      identify: forward("identify"),
+      track: forward("track"),
+      alias: forward("alias"),
+      group: forward("group"),
+    };
+  }
+
+  /**
+   * Find the rule for a track event
+   * @private
+   */
+  ruleForEvent(event, message) {
+    if (typeof this.events === "function") {
+      return this.events(event, message) || null;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(this.events, event)) {
+      return this.events[event];
+    }
+    return this.events["*"] || null;
+  }
+
+  /**
+   * Turn a rule and the computed defaults into a track() call
+   * @private
+   */
+  async apply(rule, message, defaults) {
+    let data;
+
+    if (typeof rule === "function") {
+      data = await rule(message, defaults);
+      if (!data) {
+        return skipped("Skipped by rule");
+      }
+      data = { ...defaults, ...data };
+    } else if (typeof rule === "string") {
+      data = { ...defaults, user_state: rule };
+    } else {
+      const metadata =
+        typeof rule.metadata === "function"
+          ? rule.metadata(message)
+          : { ...defaults.metadata, ...rule.metadata };
+      data = { ...defaults, user_state: rule.state, metadata };
+    }
+
+    if (!data.email) {
+      return skipped("No email for this user");
+    }
+
+    this.remember(message.userId, data.email);
+    this.remember(message.anonymousId, data.email);
+
+    const result = await this.client.track(
+      compact({
+        email: data.email,
+        name: data.name,
+        user_state: data.user_state,
+        metadata:
+          data.metadata && Object.keys(data.metadata).length > 0 ? data.metadata : undefined,
+        user_id: data.user_id,
+        // Segment redelivers with the same messageId
+        idempotency_key:
+          data.idempotency_key || (message.messageId ? `segment-${message.messageId}` : undefined),
+      }),
+    );
+
+    return { tracked: true, result };
+  }
+
+  /**
+   * Email for a message: explicit value, context.traits, remembered ids,
+   * lookupEmail(), or a userId that is an email
+   * @private
+   */
+  async resolveEmail(message, explicit) {
+    let email =
+      explicit ||
+      contextTraits(message).email ||
+      this.identities.get(message.userId) ||
+      this.identities.get(message.anonymousId) ||
+      null;
+
+    if (!email && message.userId && this.lookupEmail) {
+      email = (await this.lookupEmail(message.userId, message)) || null;
+    }
+
+    if (!email && typeof message.userId === "string" && message.userId.includes("@")) {
+      email = message.userId;
+    }
+
+    if (email) {
+      this.remember(message.userId, email);
+      this.remember(message.anonymousId, email);
+    }
+
+    return email;
+  }
+
+  /**
+   * Remember an id => email pair, forgetting the oldest beyond maxIdentities
+   * @private
+   */
+  remember(id, email) {
+    if (!id) return;
+
+    this.identities.delete(id);
+    this.identities.set(id, email);
+
+    if (this.identities.size > this.maxIdentities) {
+      this.identities.delete(this.identities.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Create a Segment adapter bound to a client
+ * @param {PaveKitAPI} client - Initialized API client
+ * @param {Object} [options] - Adapter options (see SegmentAdapter)
+ * @returns {SegmentAdapter} Adapter; see handle(), destination() and plugin()
+ *
+ * @example
+ * const segment = createSegmentAdapter(pavekit, {
+ *   events: { 'Signed Up': 'created', 'Order Completed': 'converted' }
+ * });
+ * app.post('/segment', async (req, res) => {
+ *   await segment.handle(req.body);
+ *   res.sendStatus(200);
+ * });
+ */
+function createSegmentAdapter(client, options) {
+  return new SegmentAdapter(client, options);
+}
+
+/**
+ * @private
+ */
+function skipped(reason) {
+  return { tracked: false, reason };
+}
+
+/**
+ * @private
+ */
+function contextTraits(message) {
+  return (message.context && message.context.traits) || {};
+}
+
+/**
+ * @private
+ */
+function nameFromTraits(traits) {
+  if (traits.name) return traits.name;
+
+  const name = [traits.firstName, traits.lastName].filter(Boolean).join(" ");
+  return name || undefined;
+}
+
+/**
+ * @private
+ */
+function omit(object, keys) {
+  const result = { ...object };
+  keys.forEach((key) => delete result[key]);
+  return result;
+}
+
+/**
+ * @private
+ */
+function compact(object) {
+  Object.keys(object).forEach((key) => object[key] === undefined && delete object[key]);
+  return object;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SegmentAdapter, createSegmentAdapter };
+}
@@ -0,0 +1,318 @@
+/**
+ * PaveKit Backend SDK - Server Middleware
+ * Tracks signups from Express, Koa and Fastify route handlers.
+ *
+ * Declare which routes create users and how to read the user from the
+ * request or response; the middleware calls track({ user_state: 'created' })
+ * once the handler answered with a 2xx status. Tracking runs after the
+ * response and never delays or fails it.
+ */
+
+/**
+ * Route matcher and deferred tracker shared by the framework adapters
+ */
+class SignupTracker {
+  /**
+   * @param {PaveKitAPI} client - Initialized API client
+   * @param {Object} options - Tracker options
+   * @param {Array<string|RegExp|Object>} options.routes - Routes that create users:
+   *   'POST /signup', '/signup' (POST), a RegExp, or { method, path, extract }.
+   *   Paths may contain `:param` segments.
+   * @param {Function} [options.extract] - ({ request, response, body, context }) =>
+   *   { email, name, metadata } | null; body is the response body when available.
+   *   Defaults to email and name from the request body.
+   * @param {Function} [options.onError] - Called with (error, route) when extracting or tracking fails
+   */
+  constructor(client, options = {}) {
+    if (!client || typeof client.track !== "function") {
+      throw new Error("A PaveKitAPI client is required");
+    }
+
+    if (!Array.isArray(options.routes) || options.routes.length === 0) {
+      throw new Error("At least one signup route is required");
+    }
+
+    this.client = client;
+    this.routes = options.routes.map(normalizeRoute);
+    this.extract = options.extract || defaultExtract;
+    this.onError = options.onError || null;
+    this.pending = new Set();
+  }
+
+  /**
+   * Find the declared route for a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request path, query string allowed
+   * @returns {Object|null} Matching route
+   */
+  match(method, url) {
+    const path = String(url || "").split("?")[0];
+    const verb = String(method || "").toUpperCase();
+
+    return (
+      this.routes.find(
+        (route) =>
+          (route.method === "*" || route.method === verb) &&
+          route.pattern.test(path),
+      ) || null
+    );
+  }
+
+  /**
+   * Track a finished request in the background
+   * @param {Object} route - Route returned by match()
+   * @param {Object} exchange - { request, response, body, status, context }
+   * @returns {Promise<void>} Settles once tracking finished; never rejects
+   */
+  track(route, exchange) {
+    if (exchange.status < 200 || exchange.status >= 300) {
+      return Promise.resolve();
+    }
+
+    // Deferred so extractors and the API call run after the response
+    const task = Promise.resolve()
+      .then(async () => {
+        const extract = route.extract || this.extract;
+        const user = await extract(exchange);
+
+        if (!user || !user.email) {
+          return;
+        }
+
+        await this.client.track({ ...user, user_state: "created" });
+      })
+      .catch((error) => {
+        if (this.onError) {
+          try {
+            this.onError(error, route);
+          } catch (hookError) {
+            // Reporting must not turn into an unhandled rejection
+          }
+        }
+      })
+      .finally(() => {
+        this.pending.delete(task);
+      });
+
+    this.pending.add(task);
+    return task;
+  }
+
+  /**
+   * Wait for tracking still running in the background
+   * @returns {Promise<void>} Resolves once all pending calls settled
+   */
+  async flush() {
+    await Promise.all(Array.from(this.pending));
+  }
+}
+
+/**
+ * Express middleware
+ * Register it before your routes and after the body parser.
+ * @param {PaveKitAPI} client - Initialized API client
+ * @param {Object} options - Tracker options (see SignupTracker)
+ * @returns {Function} (req, res, next) middleware; `middleware.tracker` exposes flush()
+ *
+ * @example
+ * app.use(express.json());
+ * app.use(expressSignupTracking(pavekit, {
+ *   routes: ['POST /api/signup'],
+ *   extract: ({ request, body }) => ({ email: request.body.email, metadata: { plan: body.plan } })
+ * }));
+ */
+function expressSignupTracking(client, options) {
+  const tracker = new SignupTracker(client, options);
+
+  const middleware = (req, res, next) => {
+    const route = tracker.match(req.method, req.originalUrl || req.url);
+    if (!route) {
+      next();
+      return;
+    }
+
+    // Capture the response body handed to res.json() / res.send()
+    let body;
+    const json = res.json;
+    const send = res.send;
+    res.json = function (value) {
+      body = value;
+      return json.apply(this, arguments);
+    };
+    res.send = function (value) {
+      if (body === undefined) body = parseBody(value);
+      return send.apply(this, arguments);
+    };
+
+    res.on("finish", () => {
+      tracker.track(route, {
+        request: req,
+        response: res,
+        body,
+        status: res.statusCode,
+      });
+    });
+
+    next();
+  };
+
+  middleware.tracker = tracker;
+  return middleware;
+}
+
+/**
+ * Koa middleware
+ * @param {PaveKitAPI} client - Initialized API client
+ * @param {Object} options - Tracker options (see SignupTracker); extractors also
+ *   receive the Koa `context`
+ * @returns {Function} async (ctx, next) middleware; `middleware.tracker` exposes flush()
+ *
+ * @example
+ * app.use(bodyParser());
+ * app.use(koaSignupTracking(pavekit, { routes: ['POST /signup'] }));
+ */
+function koaSignupTracking(client, options) {
+  const tracker = new SignupTracker(client, options);
+
+  const middleware = async (ctx, next) => {
+    const route = tracker.match(ctx.method, ctx.path);
+
+    await next();
+
+    if (route) {
+      tracker.track(route, {
+        request: ctx.request,
+        response: ctx.response,
+        body: ctx.body,
+        status: ctx.status,
+        context: ctx,
+      });
+    }
+  };
+
+  middleware.tracker = tracker;
+  return middleware;
+}
+
+/**
+ * Fastify plugin
+ * Hooks apply to the whole instance, not only the plugin's encapsulation context.
+ * @param {PaveKitAPI} client - Initialized API client
+ * @param {Object} options - Tracker options (see SignupTracker)
+ * @returns {Function} Plugin for fastify.register(); `plugin.tracker` exposes flush()
+ *
+ * @example
+ * fastify.register(fastifySignupTracking(pavekit, { routes: ['POST /signup'] }));
+ */
+function fastifySignupTracking(client, options) {
+  const tracker = new SignupTracker(client, options);
+  const bodies = new WeakMap();
+
+  const plugin = async (instance) => {
+    instance.addHook("onSend", async (request, reply, payload) => {
+      if (tracker.match(request.method, request.url)) {
+        bodies.set(request, parseBody(payload));
+      }
+      return payload;
+    });
+
+    instance.addHook("onResponse", async (request, reply) => {
+      const route = tracker.match(request.method, request.url);
+      if (route) {
+        tracker.track(route, {
+          request,
+          response: reply,
+          body: bodies.get(request),
+          status: reply.statusCode,
+        });
+      }
+    });
+  };
+
+  // Same effect as wrapping the plugin with fastify-plugin
+  plugin[Symbol.for("skip-override")] = true;
+  plugin[Symbol.for("fastify.display-name")] = "pavekit-signup-tracking";
+  plugin.tracker = tracker;
+  return plugin;
+}
+
+/**
+ * Email and name from the request body
+ * @private
+ */
+function defaultExtract({ request }) {
+  const body = (request && request.body) || {};
+  return { email: body.email, name: body.name };
+}
+
+/**
+ * @private
+ */
+function normalizeRoute(route) {
+  if (route instanceof RegExp) {
+    return { method: "POST", pattern: route, extract: null };
+  }
+
+  if (typeof route === "string") {
+    const parts = route.trim().split(/\s+/);
+    return parts.length > 1
+      ? normalizeRoute({ method: parts[0], path: parts[1] })
+      : normalizeRoute({ path: parts[0] });
+  }
+
+  if (!route || !route.path) {
+    throw new Error("Signup routes need a path");
+  }
+
+  return {
+    method: (route.method || "POST").toUpperCase(),
+    pattern: route.path instanceof RegExp ? route.path : pathPattern(route.path),
+    extract: route.extract || null,
+  };
+}
+
+/**
+ * Turn '/teams/:id/signup' into an anchored RegExp
+ * @private
+ */
+function pathPattern(path) {
+  const source = path
+    .replace(/\/+$/, "")
+    .split("/")
+    .map((segment) =>
+      segment.startsWith(":")
+        ? "[^/]+"
+        : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    )
+    .join("/");
+
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Parse a serialized response body when it is JSON
+ * @private
+ */
+function parseBody(value) {
+  if (typeof Buffer !== "undefined" && Buffer.isBuffer(value)) {
+    value = value.toString("utf8");
+  }
+
+  if (typeof value !== "string") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SignupTracker,
+    expressSignupTracking,
+    koaSignupTracking,
+    fastifySignupTracking,
+  };
+}
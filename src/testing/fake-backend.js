@@ -0,0 +1,643 @@
+/**
+ * PaveKit Backend SDK - Fake Backend
+ * In-memory stand-in for the PaveKit API, for testing code that uses the SDK.
+ *
+ * Implements the routes PaveKitAPI calls (validate, activity, custom events,
+ * batch, users, events, erasure, export and jobs) on top of in-memory users,
+ * records every request, tracked payload and custom event, and can be told to fail. Plug it into a client
+ * with `transport()` or `attach(client)`, or use createTestClient().
+ */
+
+const { createMemoryTransport } = require("../core/node-transports.js");
+const Lifecycle = require("../core/lifecycle.js");
+
+class FakeBackend {
+  /**
+   * @param {Object} [config] - Backend configuration
+   * @param {string} [config.apiKey] - Only accept this API key (any key when omitted)
+   * @param {Lifecycle|Object} [config.lifecycle] - Reject state transitions this lifecycle
+   *   does not allow with a 422 (any transition is accepted when omitted)
+   * @param {Object[]} [config.users] - Users to start with (email, user_state, name, metadata)
+   * @param {Function} [config.now] - () => Date, for deterministic timestamps
+   */
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || null;
+    this.lifecycle = config.lifecycle
+      ? config.lifecycle instanceof Lifecycle
+        ? config.lifecycle
+        : new Lifecycle(config.lifecycle)
+      : null;
+    this.now = config.now || (() => new Date());
+    this.initialUsers = config.users || [];
+
+    this.reset();
+  }
+
+  /**
+   * Forget all users, requests, tracked payloads, custom events and failures
+   */
+  reset() {
+    this.users = new Map();
+    this.events = new Map();
+    this.jobs = new Map();
+    this.requests = [];
+    this.trackedPayloads = [];
+    this.eventPayloads = [];
+    this.failures = [];
+    this.idempotentReplies = new Map();
+    this.eventReplies = new Map();
+    this.sequence = 0;
+
+    this.initialUsers.forEach((user) => this.addUser(user));
+  }
+
+  /**
+   * Transport that sends requests to this backend
+   * @returns {Function} Memory transport (see transports.createMemoryTransport)
+   */
+  transport() {
+    return createMemoryTransport((request) => this.handle(request));
+  }
+
+  /**
+   * Point an existing client at this backend
+   * @param {PaveKitAPI} client - API client
+   * @returns {PaveKitAPI} The client
+   */
+  attach(client) {
+    client.transport = this.transport();
+    return client;
+  }
+
+  /**
+   * Add a user as if PaveKit already knew them
+   * @param {Object} user - { email, user_state, name, metadata }
+   * @returns {Object} Stored user
+   */
+  addUser(user) {
+    const timestamp = this.now().toISOString();
+    const stored = {
+      user_id: user.user_id || this.nextId("user"),
+      email: user.email,
+      name: user.name || null,
+      user_state: user.user_state || "created",
+      metadata: { ...user.metadata },
+      created_at: user.created_at || timestamp,
+      updated_at: user.updated_at || timestamp,
+      converted_at:
+        user.converted_at || (user.user_state === "converted" ? timestamp : null),
+    };
+
+    // Keep generated IDs clear of users restored with their own IDs
+    const number = Number(String(stored.user_id).split("-").pop());
+    if (number > this.sequence) {
+      this.sequence = number;
+    }
+
+    this.users.set(stored.email, stored);
+    return stored;
+  }
+
+  /**
+   * @param {string} emailOrId - Email or user_id
+   * @returns {Object|null} Stored user
+   */
+  getUser(emailOrId) {
+    if (this.users.has(emailOrId)) {
+      return this.users.get(emailOrId);
+    }
+
+    return (
+      Array.from(this.users.values()).find((user) => user.user_id === emailOrId) ||
+      null
+    );
+  }
+
+  /**
+   * Make upcoming requests fail
+   * @param {Object} [failure] - Failure to simulate
+   * @param {number} [failure.status=500] - HTTP status to answer with
+   * @param {*} [failure.body] - Response body (defaults to { error })
+   * @param {Object} [failure.headers] - Response headers (e.g. Retry-After)
+   * @param {boolean} [failure.network=false] - Fail without a response, like a dropped connection
+   * @param {number} [failure.times=1] - Requests to fail; Infinity until clearFailures()
+   * @param {string|Function} [failure.route] - 'POST /v1/activity', a path, or
+   *   (request) => boolean; every route when omitted
+   * @returns {FakeBackend} The backend, for chaining
+   *
+   * @example
+   * backend.fail({ status: 503, times: 2, route: 'POST /v1/activity' });
+   */
+  fail(failure = {}) {
+    this.failures.push({ status: 500, times: 1, ...failure });
+    return this;
+  }
+
+  /**
+   * Stop failing requests
+   */
+  clearFailures() {
+    this.failures = [];
+  }
+
+  /**
+   * Answer one request
+   * @param {Object} request - { method, url, headers, body }; url may be absolute or a path,
+   *   body parsed JSON
+   * @returns {Promise<Object>} { status, body, headers }
+   * @throws {Error} For simulated network failures
+   */
+  async handle(request) {
+    const url = new URL(request.url, "http://localhost");
+    const path = url.pathname.replace(/^\/api(?=\/)/, "");
+    const entry = {
+      method: (request.method || "GET").toUpperCase(),
+      path,
+      query: url.searchParams,
+      headers: request.headers || {},
+      body: request.body,
+    };
+
+    this.requests.push({
+      method: entry.method,
+      path: path + url.search,
+      headers: { ...entry.headers },
+      body: entry.body,
+    });
+
+    const failure = this.takeFailure(entry);
+    if (failure) {
+      if (failure.network) {
+        throw new Error("Network error (simulated by FakeBackend)");
+      }
+
+      return {
+        status: failure.status,
+        body: failure.body !== undefined ? failure.body : { error: "Simulated failure" },
+        headers: failure.headers || {},
+      };
+    }
+
+    const apiKey = readHeader(entry.headers, "X-API-Key");
+    if (!apiKey || (this.apiKey && apiKey !== this.apiKey)) {
+      return reply(401, { error: "Invalid API key" });
+    }
+
+    const idempotencyKey = readHeader(entry.headers, "Idempotency-Key");
+    if (idempotencyKey && this.idempotentReplies.has(idempotencyKey)) {
+      return this.idempotentReplies.get(idempotencyKey);
+    }
+
+    const response = this.route(entry);
+    if (idempotencyKey && response.status < 500) {
+      this.idempotentReplies.set(idempotencyKey, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Tracked payloads, optionally filtered
+   * @param {Object} [match] - Partial payload, e.g. { email, user_state }; nested objects
+   *   match partially and Jest asymmetric matchers (expect.any) are supported
+   * @returns {Object[]} Matching payloads, in the order they were received
+   */
+  tracked(match) {
+    return match
+      ? this.trackedPayloads.filter((payload) => matches(payload, match))
+      : this.trackedPayloads.slice();
+  }
+
+  /**
+   * Assert that a matching payload was tracked
+   * Works with any test runner: throws an AssertionError listing what was tracked.
+   * @param {Object} match - Partial payload (see tracked())
+   * @param {Object} [options] - Assertion options
+   * @param {number} [options.times] - Exact number of matching payloads
+   * @returns {Object} The last matching payload
+   */
+  expectTracked(match, options = {}) {
+    const found = this.tracked(match);
+    const expected = options.times !== undefined ? options.times : null;
+
+    if (found.length === 0 || (expected !== null && found.length !== expected)) {
+      throw assertionError(
+        `Expected ${expected !== null ? `${expected} tracked payload(s)` : "a tracked payload"} ` +
+          `matching ${describeMatch(match)}, found ${found.length}.\n` +
+          describeTracked(this.trackedPayloads),
+      );
+    }
+
+    return found[found.length - 1];
+  }
+
+  /**
+   * Assert that no matching payload was tracked
+   * @param {Object} [match] - Partial payload (see tracked()); nothing tracked at all when omitted
+   */
+  expectNotTracked(match) {
+    const found = this.tracked(match);
+
+    if (found.length > 0) {
+      throw assertionError(
+        `Expected no tracked payload${match ? ` matching ${describeMatch(match)}` : ""}, ` +
+          `found ${found.length}.\n${describeTracked(found)}`,
+      );
+    }
+  }
+
+  /**
+   * Custom events sent with trackEvent(), optionally filtered
+   * @param {Object} [match] - Partial payload, e.g. { email, event, properties }
+   *   (see tracked())
+   * @returns {Object[]} Matching payloads, in the order they were received
+   */
+  trackedEvents(match) {
+    return match
+      ? this.eventPayloads.filter((payload) => matches(payload, match))
+      : this.eventPayloads.slice();
+  }
+
+  /**
+   * Assert that a matching custom event was sent
+   * @param {Object} match - Partial payload (see trackedEvents())
+   * @param {Object} [options] - Assertion options
+   * @param {number} [options.times] - Exact number of matching events
+   * @returns {Object} The last matching payload
+   */
+  expectEvent(match, options = {}) {
+    const found = this.trackedEvents(match);
+    const expected = options.times !== undefined ? options.times : null;
+
+    if (found.length === 0 || (expected !== null && found.length !== expected)) {
+      throw assertionError(
+        `Expected ${expected !== null ? `${expected} event(s)` : "an event"} ` +
+          `matching ${describeMatch(match)}, found ${found.length}.\n` +
+          describeTracked(this.eventPayloads),
+      );
+    }
+
+    return found[found.length - 1];
+  }
+
+  /**
+   * Dispatch a request to its route
+   * @private
+   */
+  route(entry) {
+    const { method, path, query, body } = entry;
+
+    if (method === "GET" && path === "/v1/validate") {
+      return reply(200, { valid: true });
+    }
+
+    if (method === "POST" && path === "/v1/activity") {
+      const result = this.trackPayload(body || {});
+      return result.success ? reply(200, result) : reply(result.status, { error: result.error });
+    }
+
+    if (method === "POST" && path === "/v1/activity/batch") {
+      const events = (body && body.events) || [];
+      return reply(200, {
+        results: events.map((payload) => {
+          const { status, ...result } = this.trackPayload(payload);
+          return result;
+        }),
+      });
+    }
+
+    if (method === "POST" && path === "/v1/events") {
+      const result = this.trackEventPayload(body || {});
+      return result.success ? reply(200, result) : reply(result.status, { error: result.error });
+    }
+
+    if (method === "POST" && path === "/v1/events/batch") {
+      const events = (body && body.events) || [];
+      return reply(200, {
+        results: events.map((payload) => {
+          const { status, ...result } = this.trackEventPayload(payload);
+          return result;
+        }),
+      });
+    }
+
+    const jobMatch = path.match(/^\/v1\/jobs\/([^/]+)$/);
+    if (method === "GET" && jobMatch) {
+      const job = this.jobs.get(decodeURIComponent(jobMatch[1]));
+      return job ? reply(200, this.completeJob(job)) : reply(404, { error: "Job not found" });
+    }
+
+    const userMatch = path.match(/^\/v1\/users(?:\/([^/]+))?(\/events|\/export)?$/);
+    if (!userMatch) {
+      return reply(404, { error: "Not found" });
+    }
+
+    const [, id, subPath] = userMatch;
+    const key = id ? decodeURIComponent(id) : null;
+
+    if (method === "GET" && !key) {
+      const state = query.get("state");
+      const users = Array.from(this.users.values()).filter(
+        (user) => !state || user.user_state === state,
+      );
+      const { page, nextCursor } = paginate(users, query);
+      return reply(200, { users: page, next_cursor: nextCursor });
+    }
+
+    if (method === "DELETE" && key && !subPath) {
+      const user = this.getUser(key);
+      if (user) {
+        this.users.delete(user.email);
+        this.events.delete(user.email);
+      }
+      return reply(202, this.createJob("erasure", user ? user.email : key));
+    }
+
+    if (method === "POST" && key && subPath === "/export") {
+      return reply(202, this.createJob("export", key));
+    }
+
+    if (method !== "GET" || !key || subPath === "/export") {
+      return reply(404, { error: "Not found" });
+    }
+
+    const user = this.getUser(key);
+    if (!user) {
+      return reply(404, { error: "User not found" });
+    }
+
+    if (subPath === "/events") {
+      const { page, nextCursor } = paginate(this.events.get(user.email) || [], query);
+      return reply(200, { events: page, next_cursor: nextCursor });
+    }
+
+    return reply(200, user);
+  }
+
+  /**
+   * Apply a track() payload to the in-memory users
+   * @private
+   */
+  trackPayload(payload) {
+    if (!payload.email) {
+      return { success: false, status: 422, error: "Email is required" };
+    }
+
+    // Batch events carry their idempotency key in the payload
+    if (payload.idempotency_key && this.eventReplies.has(payload.idempotency_key)) {
+      return this.eventReplies.get(payload.idempotency_key);
+    }
+
+    const existing = this.users.get(payload.email);
+    const state =
+      payload.user_state ||
+      (existing ? existing.user_state : this.lifecycle ? this.lifecycle.initial : "created");
+
+    const from = existing ? existing.user_state : null;
+    if (this.lifecycle && !this.lifecycle.canTransition(from, state)) {
+      return {
+        success: false,
+        status: 422,
+        error: from
+          ? `Invalid transition from '${from}' to '${state}'`
+          : `Unknown user_state '${state}'`,
+      };
+    }
+
+    this.trackedPayloads.push(payload);
+
+    const timestamp = this.now().toISOString();
+    const user =
+      existing || this.addUser({ email: payload.email, user_state: state });
+
+    if (existing) {
+      if (state === "converted" && user.user_state !== "converted") {
+        user.converted_at = timestamp;
+      }
+      user.user_state = state;
+      user.updated_at = timestamp;
+    }
+
+    if (payload.name) user.name = payload.name;
+    if (payload.metadata) user.metadata = { ...user.metadata, ...payload.metadata };
+
+    if (!this.events.has(user.email)) {
+      this.events.set(user.email, []);
+    }
+    this.events.get(user.email).push({
+      id: this.nextId("evt"),
+      type: existing ? "activity" : "signup",
+      user_state: state,
+      metadata: payload.metadata || {},
+      created_at: timestamp,
+    });
+
+    const result = { success: true, user_id: user.user_id };
+    if (payload.idempotency_key) {
+      this.eventReplies.set(payload.idempotency_key, result);
+    }
+    return result;
+  }
+
+  /**
+   * Record a custom event, creating the user when PaveKit does not know them yet
+   * @private
+   */
+  trackEventPayload(payload) {
+    if (!payload.email) {
+      return { success: false, status: 422, error: "Email is required" };
+    }
+
+    if (!payload.event) {
+      return { success: false, status: 422, error: "Event name is required" };
+    }
+
+    if (payload.idempotency_key && this.eventReplies.has(payload.idempotency_key)) {
+      return this.eventReplies.get(payload.idempotency_key);
+    }
+
+    this.eventPayloads.push(payload);
+
+    const user = this.users.get(payload.email) || this.addUser({ email: payload.email });
+
+    if (!this.events.has(user.email)) {
+      this.events.set(user.email, []);
+    }
+    const event = {
+      id: this.nextId("evt"),
+      type: "event",
+      name: payload.event,
+      properties: payload.properties || {},
+      created_at: payload.timestamp || this.now().toISOString(),
+    };
+    this.events.get(user.email).push(event);
+
+    const result = { success: true, event_id: event.id, user_id: user.user_id };
+    if (payload.idempotency_key) {
+      this.eventReplies.set(payload.idempotency_key, result);
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  createJob(type, email) {
+    const job = {
+      job_id: this.nextId("job"),
+      type,
+      email,
+      status: "pending",
+      created_at: this.now().toISOString(),
+    };
+    this.jobs.set(job.job_id, job);
+    return { ...job };
+  }
+
+  /**
+   * Jobs complete the first time they are polled
+   * @private
+   */
+  completeJob(job) {
+    if (job.status !== "completed") {
+      job.status = "completed";
+      job.completed_at = this.now().toISOString();
+      if (job.type === "export") {
+        job.download_url = `https://exports.pavekit.test/${job.job_id}.json`;
+      }
+    }
+    return { ...job };
+  }
+
+  /**
+   * Find and consume a failure for the request
+   * @private
+   */
+  takeFailure(entry) {
+    const failure = this.failures.find((candidate) => routeMatches(candidate.route, entry));
+    if (!failure) return null;
+
+    failure.times -= 1;
+    if (failure.times <= 0) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+    }
+    return failure;
+  }
+
+  /**
+   * @private
+   */
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}-${this.sequence}`;
+  }
+}
+
+/**
+ * @private
+ */
+function reply(status, body) {
+  return { status, body, headers: {} };
+}
+
+/**
+ * @private
+ */
+function paginate(items, query) {
+  const limit = Number(query.get("limit") || 50);
+  const start = Number(query.get("cursor") || 0);
+  const end = start + limit;
+
+  return {
+    page: items.slice(start, end),
+    nextCursor: end < items.length ? String(end) : null,
+  };
+}
+
+/**
+ * @private
+ */
+function routeMatches(route, entry) {
+  if (!route) return true;
+  if (typeof route === "function") return !!route(entry);
+
+  const [method, path] = route.includes(" ") ? route.split(" ") : [null, route];
+  return (!method || method.toUpperCase() === entry.method) && path === entry.path;
+}
+
+/**
+ * Partial deep match of a payload against an expected shape
+ * @private
+ */
+function matches(actual, expected) {
+  if (expected && typeof expected.asymmetricMatch === "function") {
+    return expected.asymmetricMatch(actual);
+  }
+
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, index) => matches(actual[index], item))
+    );
+  }
+
+  if (expected && typeof expected === "object") {
+    return (
+      !!actual &&
+      typeof actual === "object" &&
+      Object.keys(expected).every((key) => matches(actual[key], expected[key]))
+    );
+  }
+
+  return actual === expected;
+}
+
+/**
+ * JSON for an expected shape, with Jest asymmetric matchers spelled out
+ * @private
+ */
+function describeMatch(match) {
+  return JSON.stringify(match, (key, value) =>
+    value && typeof value.asymmetricMatch === "function"
+      ? typeof value.toAsymmetricMatcher === "function"
+        ? value.toAsymmetricMatcher()
+        : String(value)
+      : value,
+  );
+}
+
+/**
+ * @private
+ */
+function describeTracked(payloads) {
+  if (payloads.length === 0) return "Nothing was tracked.";
+
+  return `Tracked:\n${payloads
+    .map((payload, index) => `  ${index + 1}. ${JSON.stringify(payload)}`)
+    .join("\n")}`;
+}
+
+/**
+ * @private
+ */
+function assertionError(message) {
+  const error = new Error(message);
+  error.name = "AssertionError";
+  return error;
+}
+
+/**
+ * @private
+ */
+function readHeader(headers, name) {
+  const key = Object.keys(headers).find(
+    (header) => header.toLowerCase() === name.toLowerCase(),
+  );
+  return key ? headers[key] : null;
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FakeBackend;
+}
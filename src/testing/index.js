@@ -0,0 +1,53 @@
+/**
+ * PaveKit Backend SDK - Testing
+ * Test client backed by an in-memory fake of the PaveKit API, so application
+ * test suites can exercise code that calls track() without mocking fetch.
+ *
+ * @example
+ * const { createTestClient } = require('@pavekit/sdk/testing');
+ *
+ * const { client, backend } = createTestClient();
+ * await signUp(client, { email: 'jane@example.com' });
+ *
+ * backend.expectTracked({ email: 'jane@example.com', user_state: 'created' });
+ */
+
+const PaveKitAPI = require("../core/api.js");
+const FakeBackend = require("./fake-backend.js");
+const MockServer = require("./mock-server.js");
+
+/**
+ * Create a client wired to a fake backend
+ *
+ * Retries, the circuit breaker and batching are off unless passed in `config`,
+ * so every call reaches the fake backend right away.
+ *
+ * @param {Object} [options] - Test client options
+ * @param {Object} [options.config] - Extra PaveKitAPI#init options (e.g. lifecycle, hashEmails)
+ * @param {Object} [options.backend] - FakeBackend options (users, lifecycle, apiKey, now)
+ * @param {PaveKitAPI} [options.client] - Existing client to point at the fake backend,
+ *   e.g. your app's shared instance; initialized with a test key if needed
+ * @returns {Object} { client, backend }
+ */
+function createTestClient(options = {}) {
+  const backend = new FakeBackend(options.backend);
+  const client = options.client || new PaveKitAPI();
+
+  if (!options.client || !client.apiKey || options.config) {
+    client.init({
+      apiKey: client.apiKey || "test-key",
+      retry: { maxAttempts: 1 },
+      circuitBreaker: false,
+      ...options.config,
+    });
+  }
+
+  backend.attach(client);
+
+  return { client, backend };
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { createTestClient, FakeBackend, MockServer };
+}
@@ -0,0 +1,426 @@
+/**
+ * PaveKit Backend SDK - Mock Server
+ * Local HTTP server that answers the PaveKit API from a FakeBackend, so apps
+ * and integration tests can run against http://localhost:8000 without an account.
+ *
+ * Besides the API routes it can simulate latency, random failures and rate
+ * limits, keep users in a JSON file between runs, and exposes what it received
+ * under /__pavekit (see MockServer#handleControl).
+ *
+ * @example
+ * const { MockServer } = require('@pavekit/sdk/testing');
+ *
+ * const server = new MockServer({ port: 0, latency: [50, 200] });
+ * const { url } = await server.start();
+ * pavekit.init({ apiKey: 'test-key', baseURL: url });
+ */
+
+const FakeBackend = require("./fake-backend.js");
+
+const CONTROL_PREFIX = "/__pavekit";
+
+class MockServer {
+  /**
+   * @param {Object} [config] - Server configuration
+   * @param {number} [config.port=8000] - Port to listen on; 0 picks a free port
+   * @param {string} [config.host='127.0.0.1'] - Interface to listen on
+   * @param {string} [config.apiKey] - Only accept this API key (any key when omitted)
+   * @param {Object[]} [config.users] - Users to start with (see FakeBackend)
+   * @param {Lifecycle|Object} [config.lifecycle] - Lifecycle enforced on state transitions
+   * @param {string} [config.dataFile] - JSON file users are loaded from and saved to
+   * @param {number|number[]} [config.latency=0] - Delay per request in ms, or [min, max]
+   * @param {number} [config.failureRate=0] - Share of API requests answered with a 503 (0-1)
+   * @param {Object|number} [config.rateLimit] - { requests, window } per API key (window in
+   *   ms, default 1000), or requests per second; over the limit requests get a 429
+   * @param {Function} [config.log] - Called with a line per request; off when omitted
+   * @param {Function} [config.random=Math.random] - Random source for latency and failures
+   */
+  constructor(config = {}) {
+    this.port = config.port !== undefined ? config.port : 8000;
+    this.host = config.host || "127.0.0.1";
+    this.dataFile = config.dataFile || null;
+    this.log = config.log || null;
+    this.random = config.random || Math.random;
+
+    this.backend = new FakeBackend({
+      apiKey: config.apiKey,
+      lifecycle: config.lifecycle,
+      users: (config.users || []).concat(this.loadUsers()),
+    });
+
+    this.received = [];
+    this.rateWindows = new Map();
+    this.server = null;
+    this.configure(config);
+  }
+
+  /**
+   * Change the simulated conditions while running
+   * @param {Object} options - latency, failureRate and/or rateLimit (see constructor)
+   */
+  configure(options = {}) {
+    if (options.latency !== undefined) {
+      this.latency = options.latency;
+    }
+    if (options.failureRate !== undefined) {
+      this.failureRate = Number(options.failureRate) || 0;
+    }
+    if (options.rateLimit !== undefined) {
+      this.rateLimit = normalizeRateLimit(options.rateLimit);
+      this.rateWindows.clear();
+    }
+
+    if (this.latency === undefined) this.latency = 0;
+    if (this.failureRate === undefined) this.failureRate = 0;
+    if (this.rateLimit === undefined) this.rateLimit = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} { url, port }
+   */
+  start() {
+    // Required lazily so bundles that include the testing helpers never load Node modules
+    const http = require("http");
+
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch((error) => {
+        if (!response.headersSent) {
+          this.send(response, 500, { error: error.message });
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        this.port = this.server.address().port;
+        resolve({ url: this.url, port: this.port });
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      if (typeof server.closeAllConnections === "function") {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Base URL to pass to init({ baseURL })
+   * @type {string}
+   */
+  get url() {
+    const host = this.host === "0.0.0.0" || this.host === "::" ? "localhost" : this.host;
+    return `http://${host}:${this.port}`;
+  }
+
+  /**
+   * Go back to the starting users and clear received requests, failures and
+   * rate-limit counters
+   */
+  reset() {
+    this.backend.reset();
+    this.received = [];
+    this.rateWindows.clear();
+    this.saveUsers();
+  }
+
+  /**
+   * Node request handler; usable with an existing http server
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response to write
+   * @returns {Promise<void>}
+   */
+  async handleRequest(request, response) {
+    const startedAt = Date.now();
+    const url = new URL(request.url, "http://localhost");
+    const text = await readBody(request);
+
+    if (request.method === "OPTIONS") {
+      this.send(response, 204, null, {
+        "Access-Control-Allow-Headers":
+          request.headers["access-control-request-headers"] || "Content-Type, X-API-Key",
+        "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+        "Access-Control-Max-Age": "600",
+      });
+      return;
+    }
+
+    let body;
+    try {
+      body = text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      this.send(response, 400, { error: "Request body is not valid JSON" });
+      return;
+    }
+
+    if (url.pathname === CONTROL_PREFIX || url.pathname.startsWith(`${CONTROL_PREFIX}/`)) {
+      const reply = this.handleControl(request.method, url, body);
+      this.send(response, reply.status, reply.body);
+      return;
+    }
+
+    await delay(this.pickLatency());
+
+    const entry = {
+      method: request.method,
+      path: url.pathname + url.search,
+      headers: redactHeaders(request.headers),
+      body,
+      received_at: new Date(startedAt).toISOString(),
+    };
+    this.received.push(entry);
+
+    let reply = this.simulate(request, url);
+    if (!reply) {
+      try {
+        reply = await this.backend.handle({
+          method: request.method,
+          url: url.pathname + url.search,
+          headers: request.headers,
+          body,
+        });
+      } catch (error) {
+        // Simulated network failure: drop the connection without answering
+        entry.status = null;
+        entry.error = error.message;
+        this.write(entry, startedAt);
+        request.socket.destroy();
+        return;
+      }
+
+      if (request.method !== "GET" && reply.status < 400) {
+        this.saveUsers();
+      }
+    }
+
+    entry.status = reply.status;
+    entry.response = reply.body;
+    this.write(entry, startedAt);
+    this.send(response, reply.status, reply.body, reply.headers);
+  }
+
+  /**
+   * Inspection and control endpoints
+   *
+   * - GET    /__pavekit/requests  Requests received, oldest first (?limit=N for the last N)
+   * - GET    /__pavekit/tracked   Payloads accepted by /v1/activity and /v1/activity/batch
+   * - GET    /__pavekit/events    Custom events accepted by /v1/events and /v1/events/batch
+   * - GET    /__pavekit/users     Users currently known
+   * - POST   /__pavekit/fail      Fail upcoming requests (FakeBackend#fail options)
+   * - DELETE /__pavekit/fail      Stop failing requests
+   * - POST   /__pavekit/config    Change latency, failureRate or rateLimit
+   * - POST   /__pavekit/reset     Forget users, requests and failures
+   *
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL
+   * @param {*} body - Parsed request body
+   * @returns {Object} { status, body }
+   */
+  handleControl(method, url, body = {}) {
+    const route = `${method} ${url.pathname.slice(CONTROL_PREFIX.length) || "/"}`;
+
+    switch (route) {
+      case "GET /":
+      case "GET /requests": {
+        const limit = Number(url.searchParams.get("limit")) || this.received.length;
+        return {
+          status: 200,
+          body: {
+            total: this.received.length,
+            requests: this.received.slice(-limit),
+          },
+        };
+      }
+      case "GET /tracked":
+        return { status: 200, body: { tracked: this.backend.tracked() } };
+      case "GET /events":
+        return { status: 200, body: { events: this.backend.trackedEvents() } };
+      case "GET /users":
+        return {
+          status: 200,
+          body: { users: Array.from(this.backend.users.values()) },
+        };
+      case "POST /fail":
+        this.backend.fail({
+          ...body,
+          times: body.times !== undefined ? Number(body.times) : 1,
+        });
+        return { status: 200, body: { failures: this.backend.failures.length } };
+      case "DELETE /fail":
+        this.backend.clearFailures();
+        return { status: 200, body: { failures: 0 } };
+      case "POST /config":
+        this.configure(body);
+        return {
+          status: 200,
+          body: {
+            latency: this.latency,
+            failureRate: this.failureRate,
+            rateLimit: this.rateLimit,
+          },
+        };
+      case "POST /reset":
+        this.reset();
+        return { status: 200, body: { reset: true } };
+      default:
+        return { status: 404, body: { error: `Unknown control route ${route}` } };
+    }
+  }
+
+  /**
+   * Rate limit and random failure responses, checked before the backend
+   * @private
+   */
+  simulate(request, url) {
+    if (this.rateLimit) {
+      const key = request.headers["x-api-key"] || "";
+      const now = Date.now();
+      let window = this.rateWindows.get(key);
+
+      if (!window || now - window.startedAt >= this.rateLimit.window) {
+        window = { startedAt: now, count: 0 };
+        this.rateWindows.set(key, window);
+      }
+
+      window.count += 1;
+      if (window.count > this.rateLimit.requests) {
+        const retryAfter = Math.max(
+          1,
+          Math.ceil((window.startedAt + this.rateLimit.window - now) / 1000),
+        );
+        return {
+          status: 429,
+          body: { error: "Rate limit exceeded" },
+          headers: { "Retry-After": String(retryAfter) },
+        };
+      }
+    }
+
+    if (this.failureRate > 0 && url.pathname !== "/api/v1/validate") {
+      if (this.random() < this.failureRate) {
+        return { status: 503, body: { error: "Service unavailable (simulated)" }, headers: {} };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  pickLatency() {
+    if (Array.isArray(this.latency)) {
+      const [min, max] = this.latency;
+      return min + Math.round(this.random() * (max - min));
+    }
+    return Number(this.latency) || 0;
+  }
+
+  /**
+   * @private
+   */
+  send(response, status, body, headers = {}) {
+    response.writeHead(status, {
+      "Access-Control-Allow-Origin": "*",
+      ...(body !== null && body !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...headers,
+    });
+    response.end(body !== null && body !== undefined ? JSON.stringify(body) : undefined);
+  }
+
+  /**
+   * @private
+   */
+  write(entry, startedAt) {
+    if (!this.log) return;
+
+    const status = entry.status === null ? "dropped" : entry.status;
+    this.log(`${entry.method} ${entry.path} ${status} ${Date.now() - startedAt}ms`);
+  }
+
+  /**
+   * @private
+   */
+  loadUsers() {
+    if (!this.dataFile) return [];
+
+    const fs = require("fs");
+    if (!fs.existsSync(this.dataFile)) return [];
+
+    const data = JSON.parse(fs.readFileSync(this.dataFile, "utf8"));
+    return Array.isArray(data) ? data : data.users || [];
+  }
+
+  /**
+   * @private
+   */
+  saveUsers() {
+    if (!this.dataFile) return;
+
+    const fs = require("fs");
+    const users = Array.from(this.backend.users.values());
+    fs.writeFileSync(this.dataFile, `${JSON.stringify({ users }, null, 2)}\n`);
+  }
+}
+
+/**
+ * @private
+ */
+function normalizeRateLimit(rateLimit) {
+  if (!rateLimit) return null;
+  if (typeof rateLimit === "number") {
+    return { requests: rateLimit, window: 1000 };
+  }
+  return { requests: Number(rateLimit.requests), window: Number(rateLimit.window) || 1000 };
+}
+
+/**
+ * @private
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("error", reject);
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  });
+}
+
+/**
+ * Keep API keys out of the inspection endpoint
+ * @private
+ */
+function redactHeaders(headers) {
+  const redacted = { ...headers };
+  if (redacted["x-api-key"]) {
+    redacted["x-api-key"] = `${String(redacted["x-api-key"]).slice(0, 4)}…`;
+  }
+  return redacted;
+}
+
+/**
+ * @private
+ */
+function delay(ms) {
+  return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+// Export for CommonJS and ES modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MockServer;
+}
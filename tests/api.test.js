@@ -4,6 +4,14 @@
  */
 
 const PaveKitAPI = require('../src/core/api.js');
+const {
+  PaveKitError,
+  PaveKitAuthError,
+  PaveKitValidationError,
+  PaveKitRateLimitError,
+  PaveKitNetworkError,
+  PaveKitConfigurationError
+} = PaveKitAPI;
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -101,7 +109,6 @@ describe('PaveKit Backend SDK v1.3', () => {
 
       expect(result.success).toBe(true);
       expect(result.user_id).toBe('123-456');
-      expect(client.userId).toBe('123-456');
     });
 
     test('should track user with name and metadata', async () => {
@@ -206,7 +213,7 @@ describe('PaveKit Backend SDK v1.3', () => {
       expect(result.success).toBe(true);
     });
 
-    test('should store and reuse user_id', async () => {
+    test('should not carry user_id over to later calls', async () => {
       fetch.mockResolvedValue({
         ok: true,
         json: async () => ({
@@ -216,22 +223,504 @@ describe('PaveKit Backend SDK v1.3', () => {
         })
       });
 
-      // First call
       await client.track({
         email: 'test@example.com',
         name: 'User 1'
       });
 
-      expect(client.userId).toBe('123-456');
-
-      // Second call should include user_id
       await client.track({
-        email: 'test@example.com',
-        name: 'User 1 Updated'
+        email: 'other@example.com',
+        name: 'User 2'
       });
 
       const secondCallBody = JSON.parse(fetch.mock.calls[1][1].body);
-      expect(secondCallBody.user_id).toBe('123-456');
+      expect(secondCallBody.user_id).toBeUndefined();
+    });
+
+    test('should send a caller-supplied user_id', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ success: true, user_id: '123-456' })
+      });
+
+      await client.track({ email: 'test@example.com', user_id: '123-456' });
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).user_id).toBe('123-456');
+    });
+  });
+
+  describe('validateActivity() method', () => {
+    test('should return the payload track() would send without sending it', () => {
+      client.init({ apiKey: 'test-key' });
+
+      expect(client.validateActivity({ email: 'user@example.com' })).toMatchObject({
+        email: 'user@example.com',
+        user_state: 'created'
+      });
+      expect(() => client.validateActivity({ email: 'user@example.com', user_state: 'lost' }))
+        .toThrow(PaveKitValidationError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retry policy', () => {
+    const errorResponse = (status, retryAfter) => ({
+      ok: false,
+      status,
+      headers: { get: (name) => (name === 'Retry-After' ? retryAfter : null) },
+      text: async () => 'error'
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('should not retry validation errors', async () => {
+      client.init({ apiKey: 'test-key', retry: { baseDelay: 0 } });
+      fetch.mockResolvedValue(errorResponse(422));
+
+      await expect(client.track({ email: 'test@example.com' })).rejects.toThrow('HTTP 422');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry server errors and report each retry', async () => {
+      const onRetry = jest.fn();
+      client.init({ apiKey: 'test-key', retry: { baseDelay: 0, onRetry } });
+      fetch
+        .mockResolvedValueOnce(errorResponse(503))
+        .mockResolvedValueOnce(errorResponse(500))
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+      await client.track({ email: 'test@example.com' });
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+      expect(onRetry.mock.calls[0][0]).toEqual(
+        expect.objectContaining({ attempt: 1, delay: 0 })
+      );
+    });
+
+    test('should wait for Retry-After', async () => {
+      const onRetry = jest.fn();
+      client.init({ apiKey: 'test-key', retry: { onRetry } });
+      fetch
+        .mockResolvedValueOnce(errorResponse(429, '0.01'))
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+      await client.track({ email: 'test@example.com' });
+
+      expect(onRetry.mock.calls[0][0].delay).toBe(10);
+    });
+
+    test('should give every attempt a fresh timeout', async () => {
+      client.init({ apiKey: 'test-key', timeout: 20, retry: { baseDelay: 0 } });
+      fetch
+        .mockImplementationOnce((url, options) => new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        }))
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+      const result = await client.track({ email: 'test@example.com' });
+
+      expect(result.success).toBe(true);
+      const [first, second] = fetch.mock.calls.map(([, options]) => options.signal);
+      expect(first).not.toBe(second);
+      expect(first.aborted).toBe(true);
+      expect(second.aborted).toBe(false);
+    });
+
+    test('should stop retrying at the overall deadline', async () => {
+      client.init({
+        apiKey: 'test-key',
+        retry: { maxAttempts: 10, baseDelay: 50, deadline: 60, random: () => 1 }
+      });
+      fetch.mockResolvedValue(errorResponse(503));
+
+      await expect(client.track({ email: 'test@example.com' })).rejects.toThrow('HTTP 503');
+      expect(fetch.mock.calls.length).toBeLessThan(10);
+    });
+
+    test('should accept a custom policy object', async () => {
+      const policy = {
+        shouldRetry: jest.fn((error, attempt) => attempt < 2),
+        getDelay: jest.fn(() => 0)
+      };
+      client.init({ apiKey: 'test-key', retry: policy });
+      fetch.mockResolvedValue(errorResponse(400));
+
+      await expect(client.track({ email: 'test@example.com' })).rejects.toThrow('HTTP 400');
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(policy.getDelay).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('typed errors', () => {
+    const errorResponse = (status, body, headers = {}) => ({
+      ok: false,
+      status,
+      headers: { get: (name) => headers[name] || null },
+      text: async () => body
+    });
+
+    beforeEach(() => {
+      client.init({ apiKey: 'test-key', retry: { baseDelay: 0 } });
+    });
+
+    test('should throw PaveKitAuthError with response details', async () => {
+      fetch.mockResolvedValueOnce(
+        errorResponse(401, '{"detail":"Invalid API key"}', { 'X-Request-ID': 'req-1' })
+      );
+
+      const error = await client.validate().catch((err) => err);
+
+      expect(error).toBeInstanceOf(PaveKitAuthError);
+      expect(error).toBeInstanceOf(PaveKitError);
+      expect(error.name).toBe('PaveKitAuthError');
+      expect(error.status).toBe(401);
+      expect(error.body).toEqual({ detail: 'Invalid API key' });
+      expect(error.requestId).toBe('req-1');
+      expect(error.attempts).toBe(1);
+      expect(error.retryable).toBe(false);
+    });
+
+    test('should throw PaveKitValidationError for 422 responses', async () => {
+      fetch.mockResolvedValueOnce(errorResponse(422, 'bad email'));
+
+      const error = await client.track({ email: 'x@example.com' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(PaveKitValidationError);
+      expect(error.body).toBe('bad email');
+    });
+
+    test('should throw PaveKitRateLimitError after exhausting retries', async () => {
+      fetch.mockResolvedValue(errorResponse(429, 'slow down', { 'Retry-After': '0' }));
+
+      const error = await client.track({ email: 'x@example.com' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(PaveKitRateLimitError);
+      expect(error.retryable).toBe(true);
+      expect(error.retryAfter).toBe('0');
+      expect(error.attempts).toBe(3);
+    });
+
+    test('should wrap fetch failures in PaveKitNetworkError', async () => {
+      fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+      const error = await client.track({ email: 'x@example.com' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(PaveKitNetworkError);
+      expect(error.message).toBe('fetch failed');
+      expect(error.cause).toBeInstanceOf(TypeError);
+      expect(error.attempts).toBe(3);
+    });
+
+    test('should throw typed errors for client-side checks', async () => {
+      await expect(client.track({})).rejects.toBeInstanceOf(PaveKitValidationError);
+      await expect(new PaveKitAPI().track({ email: 'x@example.com' }))
+        .rejects.toBeInstanceOf(PaveKitConfigurationError);
+      expect(() => new PaveKitAPI().init({})).toThrow(PaveKitConfigurationError);
+    });
+
+    test('should report failures to the onError hook', async () => {
+      const onError = jest.fn();
+      client.init({ apiKey: 'test-key', onError });
+      fetch.mockResolvedValueOnce(errorResponse(403, 'forbidden', { 'X-Request-ID': 'req-9' }));
+
+      await expect(client.track({ email: 'x@example.com' })).rejects.toThrow('HTTP 403');
+
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operation: 'track',
+          name: 'PaveKitAuthError',
+          status: 403,
+          requestId: 'req-9',
+          attempts: 1,
+          retryable: false
+        }),
+        expect.any(PaveKitAuthError)
+      );
+    });
+  });
+
+  describe('idempotency keys', () => {
+    beforeEach(() => {
+      client.init({
+        apiKey: 'test-key',
+        baseURL: 'http://localhost:8000'
+      });
+      client.retryDelay = 0;
+    });
+
+    test('should send the same generated key on every attempt', async () => {
+      fetch
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ success: true, user_id: '123' })
+        });
+
+      await client.track({ email: 'test@example.com' });
+
+      const firstKey = fetch.mock.calls[0][1].headers['Idempotency-Key'];
+      const secondKey = fetch.mock.calls[1][1].headers['Idempotency-Key'];
+      expect(firstKey).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(secondKey).toBe(firstKey);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).idempotency_key).toBeUndefined();
+    });
+
+    test('should generate a new key for each call', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ success: true })
+      });
+
+      await client.track({ email: 'test@example.com' });
+      await client.track({ email: 'test@example.com' });
+
+      expect(fetch.mock.calls[0][1].headers['Idempotency-Key']).not.toBe(
+        fetch.mock.calls[1][1].headers['Idempotency-Key']
+      );
+    });
+
+    test('should use a caller-supplied key', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ success: true })
+      });
+
+      await client.track({ email: 'test@example.com', idempotency_key: 'row-42' });
+
+      expect(fetch.mock.calls[0][1].headers['Idempotency-Key']).toBe('row-42');
+    });
+
+    test('should derive keys with a configured generator', async () => {
+      client.init({
+        apiKey: 'test-key',
+        generateIdempotencyKey: (data) => `${data.email}:${data.user_state || 'created'}`
+      });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ results: [{ success: true }, { success: true }] })
+      });
+
+      await client.trackBatch([
+        { email: 'a@example.com' },
+        { email: 'b@example.com', idempotency_key: 'row-7' }
+      ]);
+
+      const events = JSON.parse(fetch.mock.calls[0][1].body).events;
+      expect(events.map((event) => event.idempotency_key)).toEqual([
+        'a@example.com:created',
+        'row-7'
+      ]);
+    });
+  });
+
+  describe('trackBatch() method', () => {
+    beforeEach(() => {
+      client.init({
+        apiKey: 'test-key',
+        baseURL: 'http://localhost:8000'
+      });
+    });
+
+    test('should send all items in one request', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          results: [
+            { success: true, user_id: 'u1' },
+            { success: true, user_id: 'u2' }
+          ]
+        })
+      });
+
+      const report = await client.trackBatch([
+        { email: 'a@example.com' },
+        { email: 'b@example.com', user_state: 'converted' }
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:8000/api/v1/activity/batch');
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+        events: [
+          {
+            email: 'a@example.com',
+            user_state: 'created',
+            idempotency_key: expect.any(String)
+          },
+          {
+            email: 'b@example.com',
+            user_state: 'converted',
+            idempotency_key: expect.any(String)
+          }
+        ]
+      });
+      expect(report).toEqual({
+        success: true,
+        succeeded: 2,
+        failed: 0,
+        results: [
+          { index: 0, success: true, user_id: 'u1' },
+          { index: 1, success: true, user_id: 'u2' }
+        ]
+      });
+    });
+
+    test('should report invalid and rejected items individually', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          results: [
+            { success: true, user_id: 'u1' },
+            { success: false, error: 'Email is blocked' }
+          ]
+        })
+      });
+
+      const report = await client.trackBatch([
+        { email: 'a@example.com' },
+        { name: 'No Email' },
+        { email: 'blocked@example.com' }
+      ]);
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).events).toHaveLength(2);
+      expect(report.succeeded).toBe(1);
+      expect(report.failed).toBe(2);
+      expect(report.results[1]).toEqual({
+        index: 1,
+        success: false,
+        error: 'Email is required'
+      });
+      expect(report.results[2]).toEqual({
+        index: 2,
+        success: false,
+        error: 'Email is blocked'
+      });
+    });
+
+    test('should split large batches by maxBatchSize', async () => {
+      client.init({ apiKey: 'test-key', maxBatchSize: 2 });
+      fetch.mockImplementation(async (url, options) => ({
+        ok: true,
+        json: async () => ({
+          results: JSON.parse(options.body).events.map(() => ({ success: true }))
+        })
+      }));
+
+      const report = await client.trackBatch([
+        { email: 'a@example.com' },
+        { email: 'b@example.com' },
+        { email: 'c@example.com' }
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(report.succeeded).toBe(3);
+    });
+  });
+
+  describe('auto-batching', () => {
+    const batchResponse = async (url, options) => ({
+      ok: true,
+      json: async () => ({
+        results: JSON.parse(options.body).events.map((event) => ({
+          success: true,
+          user_id: `id-${event.email}`
+        }))
+      })
+    });
+
+    test('should flush when maxItems is reached', async () => {
+      client.init({ apiKey: 'test-key', batching: { maxItems: 2 } });
+      fetch.mockImplementation(batchResponse);
+
+      const [first, second] = await Promise.all([
+        client.track({ email: 'a@example.com' }),
+        client.track({ email: 'b@example.com' })
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(first.user_id).toBe('id-a@example.com');
+      expect(second.user_id).toBe('id-b@example.com');
+    });
+
+    test('should flush after the interval', async () => {
+      client.init({ apiKey: 'test-key', batching: { flushInterval: 10 } });
+      fetch.mockImplementation(batchResponse);
+
+      const result = await client.track({ email: 'a@example.com' });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(result.user_id).toBe('id-a@example.com');
+    });
+
+    test('should flush before exceeding maxBytes', async () => {
+      client.init({
+        apiKey: 'test-key',
+        batching: { maxBytes: 60, flushInterval: 10 }
+      });
+      fetch.mockImplementation(batchResponse);
+
+      await Promise.all([
+        client.track({ email: 'a@example.com' }),
+        client.track({ email: 'b@example.com' })
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject only the failed item', async () => {
+      client.init({ apiKey: 'test-key', batching: { flushInterval: 1000 } });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          results: [
+            { success: true, user_id: 'u1' },
+            { success: false, error: 'Email is blocked' }
+          ]
+        })
+      });
+
+      const first = client.track({ email: 'a@example.com' });
+      const second = client.track({ email: 'blocked@example.com' });
+      await client.flushBatch();
+
+      await expect(first).resolves.toEqual({ success: true, user_id: 'u1' });
+      await expect(second).rejects.toThrow('Email is blocked');
+    });
+
+    test('should reject failed items with typed errors', async () => {
+      client.init({ apiKey: 'test-key', batching: { flushInterval: 1000 } });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          results: [
+            { success: false, error: 'Email is blocked' },
+            { success: false, status: 503, error: 'Shard unavailable' }
+          ]
+        })
+      });
+
+      const blocked = client.track({ email: 'blocked@example.com' }).catch((e) => e);
+      const unavailable = client.track({ email: 'b@example.com' }).catch((e) => e);
+      await client.flushBatch();
+
+      expect(await blocked).toBeInstanceOf(PaveKitValidationError);
+      expect(await blocked).toMatchObject({ retryable: false });
+      expect(await unavailable).toMatchObject({
+        name: 'PaveKitServerError',
+        message: 'Shard unavailable',
+        status: 503,
+        retryable: true
+      });
     });
   });
 
@@ -287,15 +776,25 @@ describe('PaveKit Backend SDK v1.3', () => {
         baseURL: 'http://test.com'
       });
 
-      client.userId = '123-456';
-
       const status = client.getStatus();
 
       expect(status).toEqual({
         initialized: true,
         baseURL: 'http://test.com',
-        userId: '123-456',
-        connected: true
+        connected: true,
+        status: 'healthy',
+        circuit: null,
+        health: {
+          status: 'healthy',
+          lastSuccessAt: null,
+          lastFailureAt: null,
+          lastError: null,
+          consecutiveFailures: 0,
+          requests: 0,
+          errorRate: 0,
+          latency: { p50: null, p95: null, p99: null }
+        },
+        queueDepth: 0
       });
     });
 
@@ -308,13 +807,11 @@ describe('PaveKit Backend SDK v1.3', () => {
   describe('reset() method', () => {
     test('should reset client to initial state', () => {
       client.init({ apiKey: 'test-key' });
-      client.userId = '123-456';
 
       client.reset();
 
       const status = client.getStatus();
       expect(status.initialized).toBe(false);
-      expect(status.userId).toBeNull();
       expect(status.baseURL).toBe('http://localhost:8000');
     });
   });
@@ -0,0 +1,278 @@
+/**
+ * Browser SDK Contract Tests
+ * Drives PaveKitSDK end to end against a stubbed fetch and checks
+ * that every API client call lands on the /v1/activity state model
+ */
+
+import PaveKitSDK from '../src/index.js';
+import BrowserAPIClient from '../src/core/browser-client.js';
+import { PaveKitValidationError } from '../src/core/errors.js';
+
+global.fetch = jest.fn();
+
+const okResponse = (body = { success: true, user_id: 'user-1' }) => ({
+  ok: true,
+  json: async () => body
+});
+
+const requestsTo = (path) =>
+  fetch.mock.calls.filter(([url]) => url === `http://localhost:8000/api${path}`);
+
+const lastActivityBody = () => {
+  const calls = requestsTo('/v1/activity');
+  return JSON.parse(calls[calls.length - 1][1].body);
+};
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('PaveKit Browser SDK contract', () => {
+  let sdk;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  beforeEach(async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+    localStorage.clear();
+
+    sdk = new PaveKitSDK();
+    await sdk.init({
+      apiKey: 'test-key',
+      baseURL: 'http://localhost:8000',
+      detect: ['signups'],
+      consentBanner: false
+    });
+  });
+
+  afterEach(() => {
+    sdk.reset();
+    document.body.innerHTML = '';
+  });
+
+  test('uses the browser API client', () => {
+    expect(sdk.apiClient).toBeInstanceOf(BrowserAPIClient);
+  });
+
+  test('validates the API key during init', () => {
+    const calls = requestsTo('/v1/validate');
+    expect(calls).toHaveLength(1);
+    expect(calls[0][1].method).toBe('GET');
+    expect(calls[0][1].headers['X-API-Key']).toBe('test-key');
+    expect(sdk.offlineMode).toBe(false);
+  });
+
+  test('trackSignup() sends a created state', async () => {
+    await sdk.trackSignup({
+      email: 'user@example.com',
+      method: 'manual',
+      pageUrl: 'https://app.example.com/signup',
+      referrer: 'https://google.com',
+      metadata: { plan: 'pro' }
+    });
+
+    expect(lastActivityBody()).toEqual({
+      email: 'user@example.com',
+      user_state: 'created',
+      metadata: {
+        plan: 'pro',
+        signup_method: 'manual',
+        page_url: 'https://app.example.com/signup',
+        referrer: 'https://google.com'
+      }
+    });
+    expect(sdk.userEmail).toBe('user@example.com');
+  });
+
+  test('trackConversion() sends a converted state', async () => {
+    await sdk.trackConversion({
+      email: 'user@example.com',
+      type: 'subscription',
+      value: 49,
+      currency: 'EUR'
+    });
+
+    expect(lastActivityBody()).toEqual({
+      email: 'user@example.com',
+      user_state: 'converted',
+      metadata: {
+        conversion_type: 'subscription',
+        value: 49,
+        currency: 'EUR'
+      }
+    });
+  });
+
+  test('updateUser() sends the name without changing state', async () => {
+    await sdk.updateUser({ email: 'user@example.com', name: 'Jane Doe' });
+
+    expect(lastActivityBody()).toEqual({
+      email: 'user@example.com',
+      name: 'Jane Doe'
+    });
+  });
+
+  test('track() sends a named event for the identified user', async () => {
+    sdk.setUserEmail('user@example.com');
+
+    await sdk.track('project_created', { template: 'kanban' });
+
+    const calls = requestsTo('/v1/events');
+    expect(calls).toHaveLength(1);
+    expect(JSON.parse(calls[0][1].body)).toEqual({
+      email: 'user@example.com',
+      event: 'project_created',
+      properties: { template: 'kanban' },
+      timestamp: expect.any(String)
+    });
+    expect(calls[0][1].headers['Idempotency-Key']).toEqual(expect.any(String));
+    expect(requestsTo('/v1/activity')).toHaveLength(0);
+  });
+
+  test('track() requires an email', async () => {
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    await expect(sdk.track('project_created')).rejects.toThrow(
+      'Email is required for event tracking'
+    );
+    await expect(
+      sdk.track('', { email: 'user@example.com' })
+    ).rejects.toThrow('Event name must be a non-empty string');
+  });
+
+  test('API client calls without an email reject with a validation error', async () => {
+    await expect(sdk.apiClient.trackActivity({ metadata: {} })).rejects.toBeInstanceOf(
+      PaveKitValidationError
+    );
+    expect(requestsTo('/v1/activity')).toHaveLength(0);
+  });
+
+  test('activity updates are sent as metadata', async () => {
+    await sdk.apiClient.trackActivity({
+      email: 'user@example.com',
+      page_url: 'https://app.example.com/',
+      activity_data: { click_count: 3 }
+    });
+
+    const body = lastActivityBody();
+    expect(body.email).toBe('user@example.com');
+    expect(body.metadata.page_url).toBe('https://app.example.com/');
+    expect(body.metadata.activity).toEqual({ click_count: 3 });
+    expect(typeof body.metadata.last_active_at).toBe('string');
+  });
+
+  test('activity sent during unload goes out as a beacon', async () => {
+    const sendBeacon = jest.fn(() => true);
+    Object.defineProperty(navigator, 'sendBeacon', {
+      value: sendBeacon,
+      configurable: true
+    });
+
+    try {
+      const result = await sdk.apiClient.trackActivity(
+        { email: 'user@example.com' },
+        { beacon: true }
+      );
+
+      expect(result).toEqual({ success: true, beacon: true });
+      expect(requestsTo('/v1/activity')).toHaveLength(0);
+      expect(sendBeacon).toHaveBeenCalledTimes(1);
+
+      const [url, form] = sendBeacon.mock.calls[0];
+      expect(new URL(url).search).toBe('');
+      expect(new URL(url).pathname).toBe('/api/v1/activity');
+      expect(form.get('api_key')).toBe('test-key');
+      expect(form.get('idempotency_key')).toEqual(expect.any(String));
+      expect(JSON.parse(form.get('payload')).email).toBe('user@example.com');
+    } finally {
+      delete navigator.sendBeacon;
+    }
+  });
+
+  test('detected signup forms are registered', async () => {
+    document.body.innerHTML = `
+      <form id="signup-form" action="/register">
+        <input type="email" name="email" value="form@example.com">
+        <input type="text" name="first_name" value="Jane">
+        <input type="text" name="last_name" value="Doe">
+        <input type="password" name="password" value="secret">
+      </form>
+    `;
+
+    document
+      .getElementById('signup-form')
+      .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await flushPromises();
+
+    const body = lastActivityBody();
+    expect(body.email).toBe('form@example.com');
+    expect(body.name).toBe('Jane Doe');
+    expect(body.user_state).toBe('created');
+    expect(body.metadata.signup_method).toBe('form');
+    expect(body.metadata.form_data).toEqual({
+      email: 'form@example.com',
+      first_name: 'Jane',
+      last_name: 'Doe'
+    });
+  });
+
+  test('identityCookie shares an opaque visitor id with the backend', async () => {
+    sdk.config.identityCookie = true;
+
+    await sdk.trackSignup({ email: 'user@example.com' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(document.cookie).toContain(
+      'pavekit_uid=b4c9a289323b21a01c3e940f150eb9b8c542587f1abfd8f0e1cc1ffc5e475514'
+    );
+    expect(document.cookie).not.toContain('example.com');
+
+    sdk.deleteUserData();
+    expect(document.cookie).not.toContain('pavekit_uid');
+  });
+
+  test('optOut() removes the identity cookie', async () => {
+    sdk.config.identityCookie = true;
+
+    await sdk.trackSignup({ email: 'user@example.com' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    sdk.optOut();
+
+    expect(document.cookie).not.toContain('pavekit_uid');
+  });
+
+  test('privacy.hashEmails sends a SHA-256 digest instead of the email', async () => {
+    const privateSdk = new PaveKitSDK();
+    await privateSdk.init({
+      apiKey: 'test-key',
+      baseURL: 'http://localhost:8000',
+      detect: ['signups'],
+      consentBanner: false,
+      privacy: { hashEmails: true }
+    });
+
+    await privateSdk.trackSignup({ email: 'User@example.com' });
+    privateSdk.reset();
+
+    expect(lastActivityBody()).toMatchObject({
+      email: 'b4c9a289323b21a01c3e940f150eb9b8c542587f1abfd8f0e1cc1ffc5e475514',
+      email_hashed: true,
+      hash_algorithm: 'sha256'
+    });
+  });
+
+  test('updateConfig() points the client at a new backend', async () => {
+    sdk.updateConfig({ baseURL: 'https://api.example.com', apiKey: 'new-key' });
+    await sdk.trackSignup({ email: 'user@example.com' });
+
+    const [url, options] = fetch.mock.calls[fetch.mock.calls.length - 1];
+    expect(url).toBe('https://api.example.com/api/v1/activity');
+    expect(options.headers['X-API-Key']).toBe('new-key');
+  });
+});
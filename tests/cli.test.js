@@ -0,0 +1,362 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * CLI Tests
+ * pavekit validate, track, import and export against the fake backend
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestClient } = require('../src/testing/index.js');
+const { run, parseArgs } = require('../src/cli/index.js');
+const { parseRecord, formatRecord } = require('../src/cli/csv.js');
+
+describe('pavekit CLI', () => {
+  let client;
+  let backend;
+  let dir;
+  let stdout;
+  let stderr;
+
+  const output = () => ({
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+      return true;
+    }
+  });
+
+  const pavekit = (...argv) => run(argv, { client, stdout, stderr, env: {} });
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const readLines = (file) =>
+    fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    ({ client, backend } = createTestClient());
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pavekit-cli-'));
+    stdout = output();
+    stderr = output();
+  });
+
+  afterEach(() => {
+    client.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('validate', () => {
+    test('should report a valid key', async () => {
+      expect(await pavekit('validate')).toBe(0);
+      expect(stdout.text).toBe('API key is valid (http://localhost:8000)\n');
+    });
+
+    test('should fail for a rejected key', async () => {
+      backend.fail({ status: 401, body: { error: 'Invalid API key' } });
+
+      expect(await pavekit('validate')).toBe(1);
+      expect(stderr.text).toMatch(/^pavekit: HTTP 401/);
+    });
+
+    test('should require an API key without a client', async () => {
+      expect(await run(['validate'], { stdout, stderr, env: {} })).toBe(2);
+      expect(stderr.text).toContain('Missing API key: pass --api-key or set PAVEKIT_API_KEY');
+    });
+  });
+
+  describe('track', () => {
+    test('should track one user', async () => {
+      const status = await pavekit(
+        'track',
+        '--email', 'jane@example.com',
+        '--state', 'converted',
+        '--metadata', '{"plan":"pro"}'
+      );
+
+      expect(status).toBe(0);
+      expect(stdout.text).toBe('Tracked jane@example.com (user-1)\n');
+      backend.expectTracked({
+        email: 'jane@example.com',
+        user_state: 'converted',
+        metadata: { plan: 'pro' }
+      });
+    });
+
+    test('should default the state to created', async () => {
+      expect(await pavekit('track', '--email', 'jane@example.com')).toBe(0);
+      backend.expectTracked({ email: 'jane@example.com', user_state: 'created' });
+    });
+
+    test('should reject bad input with usage', async () => {
+      expect(await pavekit('track', '--state', 'converted')).toBe(2);
+      expect(stderr.text).toContain('--email is required');
+
+      expect(await pavekit('track', '--email', 'a@example.com', '--metadata', '[1]')).toBe(2);
+      expect(stderr.text).toContain('--metadata must be a JSON object');
+      backend.expectNotTracked();
+    });
+  });
+
+  describe('import', () => {
+    test('should import CSV rows with mapped columns', async () => {
+      const file = write(
+        'users.csv',
+        [
+          'Email Address,Full Name,Status,plan,notes',
+          'a@example.com,Ann,converted,pro,"likes ""quotes"", commas"',
+          'b@example.com,Bob,,free,"two',
+          'lines"',
+          ''
+        ].join('\n')
+      );
+
+      const status = await pavekit(
+        'import', file,
+        '--map', 'email=Email Address',
+        '--map=user_state=Status',
+        '--state', 'created'
+      );
+
+      expect(status).toBe(0);
+      expect(stdout.text).toBe('Imported 2 rows, 0 failed\n');
+      expect(backend.tracked()).toEqual([
+        {
+          email: 'a@example.com',
+          name: 'Ann',
+          user_state: 'converted',
+          metadata: { plan: 'pro', notes: 'likes "quotes", commas' },
+          idempotency_key: expect.stringMatching(/^import-[0-9a-f]{32}$/)
+        },
+        {
+          email: 'b@example.com',
+          name: 'Bob',
+          user_state: 'created',
+          metadata: { plan: 'free', notes: 'two\nlines' },
+          idempotency_key: expect.stringMatching(/^import-[0-9a-f]{32}$/)
+        }
+      ]);
+      expect(fs.existsSync(`${file}.checkpoint.json`)).toBe(false);
+    });
+
+    test('should import JSON Lines and only copy the chosen metadata columns', async () => {
+      const file = write(
+        'users.jsonl',
+        '{"email":"a@example.com","plan":"pro","internal":1}\n\n{"email":"b@example.com","metadata":{"seats":3}}\n'
+      );
+
+      expect(await pavekit('import', file, '--metadata-columns', 'plan')).toBe(0);
+      expect(backend.tracked().map((payload) => payload.metadata)).toEqual([
+        { plan: 'pro' },
+        { seats: 3 }
+      ]);
+    });
+
+    test('should write failed rows to a report', async () => {
+      const file = write(
+        'users.csv',
+        'email,state\na@example.com,created\n,created\nc@example.com,bogus\n'
+      );
+
+      expect(await pavekit('import', file)).toBe(1);
+      expect(stdout.text).toContain('Imported 1 rows, 2 failed');
+
+      const report = readLines(`${file}.failures.jsonl`);
+      expect(report).toEqual([
+        expect.objectContaining({ row: 2, error: 'Email is required', data: { email: '', state: 'created' } }),
+        expect.objectContaining({
+          row: 3,
+          email: 'c@example.com',
+          error: "user_state must be 'created' or 'converted'"
+        })
+      ]);
+    });
+
+    test('should validate without sending on a dry run', async () => {
+      const file = write('users.csv', 'email\na@example.com\n\nb@example.com\n');
+
+      expect(await pavekit('import', file, '--dry-run')).toBe(0);
+      expect(stdout.text).toBe('Dry run: 2 rows valid, 0 invalid\n');
+      expect(backend.requests).toEqual([]);
+      expect(fs.existsSync(`${file}.checkpoint.json`)).toBe(false);
+    });
+
+    test('should send batches concurrently', async () => {
+      const rows = Array.from({ length: 25 }, (_, i) => `user${i}@example.com`);
+      const file = write('users.csv', `email\n${rows.join('\n')}\n`);
+
+      expect(await pavekit('import', file, '--batch-size', '10', '--concurrency', '2')).toBe(0);
+
+      expect(backend.requests.map((request) => request.body.events.length)).toEqual([10, 10, 5]);
+      expect(backend.tracked().map((payload) => payload.email).sort()).toEqual(rows.slice().sort());
+    });
+
+    test('should stop when the API is unreachable and resume from the checkpoint', async () => {
+      const rows = Array.from({ length: 5 }, (_, i) => `user${i}@example.com`);
+      const file = write('users.csv', `email\n${rows.join('\n')}\n`);
+      backend.fail({
+        network: true,
+        times: Infinity,
+        route: (request) => request.body.events[0].email === 'user2@example.com'
+      });
+
+      const args = ['import', file, '--batch-size', '2', '--concurrency', '1'];
+      expect(await pavekit(...args)).toBe(1);
+      expect(stderr.text).toContain('Run the same command again to resume.');
+      expect(JSON.parse(fs.readFileSync(`${file}.checkpoint.json`, 'utf8'))).toMatchObject({
+        file,
+        row: 2,
+        imported: 2,
+        failed: 0
+      });
+
+      backend.clearFailures();
+      stdout = output();
+      expect(await pavekit(...args)).toBe(0);
+      expect(stdout.text).toBe('Resumed after row 2\nImported 5 rows, 0 failed\n');
+      expect(backend.tracked().map((payload) => payload.email)).toEqual(rows);
+      expect(fs.existsSync(`${file}.checkpoint.json`)).toBe(false);
+    });
+
+    test('should stop and keep the checkpoint when a batch throws', async () => {
+      const rows = Array.from({ length: 5 }, (_, i) => `user${i}@example.com`);
+      const file = write('users.csv', `email\n${rows.join('\n')}\n`);
+      const trackBatch = client.trackBatch.bind(client);
+      const spy = jest.spyOn(client, 'trackBatch').mockImplementation((items) =>
+        items[0].email === 'user2@example.com'
+          ? Promise.reject(new Error('Client is closed'))
+          : trackBatch(items)
+      );
+
+      const args = ['import', file, '--batch-size', '2', '--concurrency', '2'];
+      expect(await pavekit(...args)).toBe(1);
+      expect(stderr.text).toContain('import stopped: Client is closed');
+      expect(JSON.parse(fs.readFileSync(`${file}.checkpoint.json`, 'utf8'))).toMatchObject({
+        row: 2,
+        imported: 2
+      });
+
+      spy.mockRestore();
+      expect(await pavekit(...args)).toBe(0);
+      expect(backend.tracked().map((payload) => payload.email)).toEqual(
+        expect.arrayContaining(rows)
+      );
+    });
+
+    test('should report a failed row once when batches after the checkpoint run again', async () => {
+      const file = write(
+        'users.csv',
+        'email,state\nuser0@example.com,\nuser1@example.com,\nuser2@example.com,\n' +
+          'user3@example.com,\nbad@example.com,bogus\nuser5@example.com,\n'
+      );
+      const trackBatch = client.trackBatch.bind(client);
+      const spy = jest.spyOn(client, 'trackBatch').mockImplementation((items) =>
+        items[0].email === 'user2@example.com'
+          ? new Promise((resolve, reject) => setTimeout(() => reject(new Error('Client is closed')), 20))
+          : trackBatch(items)
+      );
+
+      const args = ['import', file, '--batch-size', '2', '--concurrency', '2'];
+      expect(await pavekit(...args)).toBe(1);
+      expect(fs.existsSync(`${file}.failures.jsonl`)).toBe(false);
+
+      spy.mockRestore();
+      expect(await pavekit(...args)).toBe(1);
+      expect(readLines(`${file}.failures.jsonl`)).toEqual([
+        expect.objectContaining({ row: 5, email: 'bad@example.com' })
+      ]);
+    });
+
+    test('should send the same idempotency key for the same row', async () => {
+      const file = write('users.csv', 'email\na@example.com\n');
+
+      await pavekit('import', file);
+      await pavekit('import', file);
+
+      backend.expectTracked({ email: 'a@example.com' }, { times: 1 });
+    });
+
+    test('should reject a bad mapping', async () => {
+      const file = write('users.csv', 'email\na@example.com\n');
+
+      expect(await pavekit('import', file, '--map', 'mail=Email')).toBe(2);
+      expect(stderr.text).toContain("--map expects field=column");
+    });
+  });
+
+  describe('export', () => {
+    beforeEach(async () => {
+      await client.trackBatch([
+        { email: 'a@example.com', name: 'Ann', metadata: { plan: 'pro' } },
+        { email: 'b@example.com', user_state: 'converted' }
+      ]);
+    });
+
+    test('should write users as JSON Lines', async () => {
+      expect(await pavekit('export', '--state', 'converted')).toBe(0);
+
+      expect(stdout.text.trim().split('\n').map((line) => JSON.parse(line))).toEqual([
+        expect.objectContaining({ email: 'b@example.com', user_state: 'converted', metadata: {} })
+      ]);
+    });
+
+    test('should write users as CSV to a file', async () => {
+      const file = path.join(dir, 'export.csv');
+
+      expect(await pavekit('export', '--format', 'csv', '--output', file)).toBe(0);
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      expect(lines[0]).toBe('user_id,email,name,user_state,created_at,updated_at,converted_at,metadata');
+      expect(parseRecord(lines[1])).toEqual([
+        expect.any(String), 'a@example.com', 'Ann', 'created', expect.any(String), expect.any(String), '', '{"plan":"pro"}'
+      ]);
+      expect(stderr.text).toBe(`Exported 2 users to ${file}\n`);
+    });
+
+    test('should print the download URL of a user export', async () => {
+      client.waitForJob = jest.fn((job) => client.getJob(job.id));
+
+      expect(await pavekit('export', '--email', 'a@example.com')).toBe(0);
+      expect(stdout.text).toMatch(/^https:\/\/exports\.pavekit\.test\/job-\d+\.json\n$/);
+    });
+  });
+
+  describe('arguments', () => {
+    test('should parse flags, lists and positionals', () => {
+      expect(
+        parseArgs(['users.csv', '--map', 'email=E', '--map=name=N', '--dry-run', '--concurrency', '2'], {
+          map: 'list',
+          'dry-run': 'boolean',
+          concurrency: 'number'
+        })
+      ).toEqual({
+        flags: { map: ['email=E', 'name=N'], 'dry-run': true, concurrency: 2 },
+        positionals: ['users.csv']
+      });
+    });
+
+    test('should report unknown commands and options', async () => {
+      expect(await pavekit('sync')).toBe(2);
+      expect(stderr.text).toContain("Unknown command 'sync'");
+
+      expect(await pavekit('validate', '--verbose')).toBe(2);
+      expect(stderr.text).toContain('Unknown option --verbose');
+    });
+
+    test('should print help', async () => {
+      expect(await pavekit('import', '--help')).toBe(0);
+      expect(stdout.text).toContain('Usage: pavekit import <file> [options]');
+    });
+
+    test('should round-trip CSV fields', () => {
+      const values = ['plain', 'with, comma', 'with "quote"', 'two\nlines', ''];
+      expect(parseRecord(formatRecord(values))).toEqual(values);
+    });
+  });
+});
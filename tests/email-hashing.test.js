@@ -0,0 +1,142 @@
+/**
+ * Email Hashing Tests
+ * Normalization rules, SHA-256 digests and the hashEmails privacy mode
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { EmailHasher } = PaveKitAPI;
+
+global.fetch = jest.fn();
+
+const USER_DIGEST = 'b4c9a289323b21a01c3e940f150eb9b8c542587f1abfd8f0e1cc1ffc5e475514';
+
+describe('PaveKit email hashing', () => {
+  describe('EmailHasher', () => {
+    test('should trim and lowercase emails', () => {
+      expect(new EmailHasher().normalize('  User@Example.COM ')).toBe('user@example.com');
+    });
+
+    test('should keep plus tags and dots unless asked to fold them', () => {
+      const hasher = new EmailHasher();
+
+      expect(hasher.normalize('j.ane+news@gmail.com')).toBe('j.ane+news@gmail.com');
+    });
+
+    test('should strip plus-address tags', () => {
+      const hasher = new EmailHasher({ stripPlusAddress: true });
+
+      expect(hasher.normalize('jane+news@example.com')).toBe('jane@example.com');
+      expect(hasher.normalize('+jane@example.com')).toBe('+jane@example.com');
+    });
+
+    test('should apply the Gmail dot rules', () => {
+      const hasher = new EmailHasher({ normalizeGmail: true });
+
+      expect(hasher.normalize('J.Ane@googlemail.com')).toBe('jane@gmail.com');
+      expect(hasher.normalize('j.ane@example.com')).toBe('j.ane@example.com');
+    });
+
+    test('should produce a SHA-256 hex digest', async () => {
+      expect(await new EmailHasher().hash(' User@example.com')).toBe(USER_DIGEST);
+      expect(await EmailHasher.sha256('jane@gmail.com')).toBe(
+        '988b074286b20c503e3015c2076533f3bf4ce5ca6f8a507ab52c2e0f98d620b7'
+      );
+    });
+
+    test('should prepend the salt', async () => {
+      const hasher = new EmailHasher({ salt: 'pepper', normalizeGmail: true });
+
+      expect(await hasher.hash('j.ane@gmail.com')).toBe(
+        '024fa6839480fe0f89035fc2d7d6fabf86a0c13082e22e31909456118d894522'
+      );
+    });
+  });
+
+  describe('PaveKitAPI', () => {
+    let client;
+
+    beforeEach(() => {
+      fetch.mockReset();
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ success: true }) });
+      client = new PaveKitAPI();
+    });
+
+    afterEach(() => {
+      client.reset();
+    });
+
+    test('should send emails in clear text by default', async () => {
+      client.init({ apiKey: 'test-key' });
+      await client.track({ email: 'user@example.com' });
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.email).toBe('user@example.com');
+      expect(body.email_hashed).toBeUndefined();
+    });
+
+    test('should send the digest and mark the payload as hashed', async () => {
+      client.init({ apiKey: 'test-key', hashEmails: true });
+      await client.track({ email: 'User@example.com', user_state: 'converted' });
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+        email: USER_DIGEST,
+        email_hashed: true,
+        hash_algorithm: 'sha256',
+        user_state: 'converted'
+      });
+    });
+
+    test('should hash batch items', async () => {
+      client.init({ apiKey: 'test-key', hashEmails: { salt: 'pepper' } });
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ results: [{ success: true }] })
+      });
+
+      await client.trackBatch([{ email: 'user@example.com' }]);
+
+      const [event] = JSON.parse(fetch.mock.calls[0][1].body).events;
+      expect(event.email).toBe(await client.hashEmail('user@example.com'));
+      expect(event.email).not.toBe(USER_DIGEST);
+      expect(event.email_hashed).toBe(true);
+    });
+
+    test('should look users up by the digest track() sends', async () => {
+      client.init({ apiKey: 'test-key', hashEmails: true });
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ user_id: 'user-1', user_state: 'trial', events: [] })
+      });
+
+      await client.getUser(' User@example.com');
+      await client.getUserEvents('user@example.com');
+      await client.exportUser('user@example.com');
+      await client.transition('user@example.com', 'converted');
+      await client.deleteUser('user@example.com');
+      await client.getUser('user-1');
+
+      const requests = fetch.mock.calls.map(
+        ([url, options]) => `${options.method} ${new URL(url).pathname}`
+      );
+      expect(requests).toEqual([
+        `GET /api/v1/users/${USER_DIGEST}`,
+        `GET /api/v1/users/${USER_DIGEST}/events`,
+        `POST /api/v1/users/${USER_DIGEST}/export`,
+        `GET /api/v1/users/${USER_DIGEST}`,
+        'POST /api/v1/activity',
+        `DELETE /api/v1/users/${USER_DIGEST}`,
+        'GET /api/v1/users/user-1'
+      ]);
+    });
+
+    test('should check the suppression list before hashing', async () => {
+      client.init({ apiKey: 'test-key', hashEmails: true });
+      await client.suppression.add('user@example.com');
+
+      await expect(client.track({ email: 'user@example.com' })).rejects.toThrow(
+        'recordConsent'
+      );
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+});
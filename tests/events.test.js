@@ -0,0 +1,161 @@
+/**
+ * Custom Event Tests
+ * trackEvent() validation, batching and delivery to /v1/events
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { createTestClient } = require('../src/testing/index.js');
+const { PaveKitValidationError, PaveKitServerError } = PaveKitAPI;
+
+describe('PaveKit custom events', () => {
+  let client;
+  let backend;
+
+  beforeEach(() => {
+    ({ client, backend } = createTestClient());
+  });
+
+  afterEach(() => {
+    client.reset();
+  });
+
+  describe('trackEvent()', () => {
+    test('should send the event to /v1/events', async () => {
+      const result = await client.trackEvent('jane@example.com', 'project_created', {
+        template: 'kanban',
+        created_at: new Date('2024-01-01T00:00:00.000Z')
+      });
+
+      expect(result).toEqual({ success: true, event_id: expect.any(String), user_id: 'user-1' });
+      expect(backend.requests[0]).toMatchObject({
+        method: 'POST',
+        path: '/v1/events',
+        headers: { 'Idempotency-Key': expect.any(String) },
+        body: {
+          email: 'jane@example.com',
+          event: 'project_created',
+          properties: { template: 'kanban', created_at: '2024-01-01T00:00:00.000Z' },
+          timestamp: expect.any(String)
+        }
+      });
+      backend.expectEvent({ email: 'jane@example.com', event: 'project_created' });
+    });
+
+    test('should record the event without changing the user state', async () => {
+      await client.track({ email: 'jane@example.com', user_state: 'converted' });
+      await client.trackEvent('jane@example.com', 'invoice_paid', { amount: 49 });
+
+      const user = await client.getUser('jane@example.com');
+      expect(user.state).toBe('converted');
+      expect(backend.tracked()).toHaveLength(1);
+
+      const events = await client.getUserEvents('jane@example.com');
+      expect(events.data[events.data.length - 1]).toMatchObject({
+        type: 'event',
+        name: 'invoice_paid',
+        properties: { amount: 49 }
+      });
+    });
+
+    test('should use the caller timestamp and idempotency key', async () => {
+      await client.trackEvent('jane@example.com', 'report_exported', {}, {
+        timestamp: '2024-03-01T12:00:00Z',
+        idempotency_key: 'export-42'
+      });
+      await client.trackEvent('jane@example.com', 'report_exported', {}, {
+        idempotency_key: 'export-42'
+      });
+
+      expect(backend.requests[0].headers['Idempotency-Key']).toBe('export-42');
+      backend.expectEvent(
+        { event: 'report_exported', timestamp: '2024-03-01T12:00:00.000Z' },
+        { times: 1 }
+      );
+    });
+
+    test('should validate the event before sending', async () => {
+      await expect(client.trackEvent('', 'project_created')).rejects.toThrow('Email is required');
+      await expect(client.trackEvent('jane@example.com', '  ')).rejects.toBeInstanceOf(
+        PaveKitValidationError
+      );
+      await expect(client.trackEvent('jane@example.com', 'x'.repeat(256))).rejects.toThrow(
+        'Event name must be at most 255 characters'
+      );
+      await expect(
+        client.trackEvent('jane@example.com', 'imported', {}, { timestamp: 'yesterday' })
+      ).rejects.toThrow('timestamp must be a valid date');
+      const circular = {};
+      circular.self = circular;
+      await expect(
+        client.trackEvent('jane@example.com', 'imported', { list: circular })
+      ).rejects.toThrow('Invalid properties: properties.list.self');
+
+      expect(backend.requests).toEqual([]);
+    });
+
+    test('should not apply the metadata schema to properties', async () => {
+      client.init({
+        apiKey: 'test-key',
+        retry: { maxAttempts: 1 },
+        circuitBreaker: false,
+        metadata: { schema: { type: 'object', required: ['plan'] } },
+        transport: backend.transport()
+      });
+
+      await client.trackEvent('jane@example.com', 'project_created', { template: 'kanban' });
+      backend.expectEvent({ event: 'project_created' });
+    });
+
+    test('should report failures to the onError hook', async () => {
+      const onError = jest.fn();
+      client.onError = onError;
+      backend.fail({ status: 503, route: 'POST /v1/events' });
+
+      await expect(client.trackEvent('jane@example.com', 'project_created')).rejects.toBeInstanceOf(
+        PaveKitServerError
+      );
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({ operation: 'trackEvent', status: 503 }),
+        expect.any(PaveKitServerError)
+      );
+    });
+
+    test('should track events through a user handle', async () => {
+      const user = client.forUser('jane@example.com');
+
+      await user.trackEvent('teammate_invited', { role: 'admin' });
+
+      expect(user.userId).toBe('user-1');
+      backend.expectEvent({ email: 'jane@example.com', properties: { role: 'admin' } });
+    });
+  });
+
+  describe('auto-batching', () => {
+    beforeEach(() => {
+      ({ client, backend } = createTestClient({ config: { batching: { flushInterval: 60000 } } }));
+    });
+
+    test('should batch events separately from activity', async () => {
+      const calls = Promise.all([
+        client.track({ email: 'jane@example.com' }),
+        client.trackEvent('jane@example.com', 'project_created'),
+        client.trackEvent('joe@example.com', 'project_created')
+      ]);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(client.getStatus().queueDepth).toBe(3);
+
+      await client.flushBatch();
+      const [tracked, first, second] = await calls;
+
+      expect(tracked.success).toBe(true);
+      expect(first.event_id).not.toBe(second.event_id);
+      expect(backend.requests.map((request) => request.path).sort()).toEqual([
+        '/v1/activity/batch',
+        '/v1/events/batch'
+      ]);
+      expect(backend.requests.find((request) => request.path === '/v1/events/batch').body.events)
+        .toHaveLength(2);
+      backend.expectEvent({ event: 'project_created' }, { times: 2 });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Local PaveKit API fixture
+ * Implements the activity, user, privacy and job routes used by PaveKitAPI over real
+ * HTTP, backed by an in-memory list of users, events and jobs.
+ */
+
+const http = require('http');
+
+/**
+ * Start the fixture server
+ * @param {Object} [data] - { users: [], events: { [email]: [] } }
+ * @param {Object} [options] - { apiKey: 'test-key', jobPolls: 1 }; jobs complete
+ *   after `jobPolls` GET /v1/jobs/:id requests
+ * @returns {Promise<Object>} { baseURL, requests, users, jobs, close() }
+ */
+async function startFixtureServer(data = {}, options = {}) {
+  const apiKey = options.apiKey || 'test-key';
+  const users = data.users || [];
+  const events = data.events || {};
+  const requests = [];
+  const jobs = new Map();
+  const jobPolls = options.jobPolls !== undefined ? options.jobPolls : 1;
+
+  const createJob = (type, email) => {
+    const job = { job_id: `job-${jobs.size + 1}`, type, email, status: 'pending', polls: 0 };
+    jobs.set(job.job_id, job);
+    return job;
+  };
+
+  const publicJob = ({ polls, ...job }) => job;
+
+  const paginate = (items, query) => {
+    const limit = Number(query.get('limit') || 50);
+    const start = Number(query.get('cursor') || 0);
+    const end = start + limit;
+
+    return {
+      page: items.slice(start, end),
+      next_cursor: end < items.length ? String(end) : null
+    };
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers['x-api-key'] !== apiKey) {
+      send(401, { error: 'Invalid API key' });
+      return;
+    }
+
+    const jobMatch = url.pathname.match(/^\/api\/v1\/jobs\/([^/]+)$/);
+    if (req.method === 'GET' && jobMatch) {
+      const job = jobs.get(decodeURIComponent(jobMatch[1]));
+      if (!job) {
+        send(404, { error: 'Job not found' });
+        return;
+      }
+
+      job.polls += 1;
+      job.status = job.polls >= jobPolls ? 'completed' : 'processing';
+      if (job.status === 'completed' && job.type === 'export') {
+        job.download_url = `https://exports.example.com/${job.job_id}.json`;
+      }
+      send(200, publicJob(job));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/v1/activity') {
+      send(200, { success: true, user_id: 'user-tracked' });
+      return;
+    }
+
+    const match = url.pathname.match(/^\/api\/v1\/users(?:\/([^/]+))?(\/events|\/export)?$/);
+    if (!match) {
+      send(404, { error: 'Not found' });
+      return;
+    }
+
+    const [, id, subPath] = match;
+
+    if (req.method === 'DELETE' && id && !subPath) {
+      const email = decodeURIComponent(id);
+      const index = users.findIndex((entry) => entry.email === email);
+      if (index !== -1) users.splice(index, 1);
+      send(202, publicJob(createJob('erasure', email)));
+      return;
+    }
+
+    if (req.method === 'POST' && id && subPath === '/export') {
+      send(202, publicJob(createJob('export', decodeURIComponent(id))));
+      return;
+    }
+
+    if (req.method !== 'GET' || subPath === '/export') {
+      send(404, { error: 'Not found' });
+      return;
+    }
+
+    if (!id) {
+      const state = url.searchParams.get('state');
+      const filtered = state ? users.filter((user) => user.user_state === state) : users;
+      const { page, next_cursor } = paginate(filtered, url.searchParams);
+      send(200, { users: page, next_cursor });
+      return;
+    }
+
+    const key = decodeURIComponent(id);
+    const user = users.find((entry) => entry.email === key || entry.user_id === key);
+    if (!user) {
+      send(404, { error: 'User not found' });
+      return;
+    }
+
+    if (subPath === '/events') {
+      const { page, next_cursor } = paginate(events[user.email] || [], url.searchParams);
+      send(200, { events: page, next_cursor });
+      return;
+    }
+
+    send(200, user);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    users,
+    jobs,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      })
+  };
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,259 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Flush and Close Tests
+ * Draining pending calls before serverless freezes and on graceful shutdown
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { createPaveKitNext } = require('../src/integrations/index.js');
+const { createTestClient } = require('../src/testing/index.js');
+const { PaveKitConfigurationError } = PaveKitAPI;
+
+describe('PaveKit flush() and close()', () => {
+  let client;
+  let backend;
+
+  beforeEach(() => {
+    // Batches would otherwise wait a minute for their timer
+    ({ client, backend } = createTestClient({ config: { batching: { flushInterval: 60000 } } }));
+  });
+
+  afterEach(() => {
+    client.reset();
+  });
+
+  describe('flush()', () => {
+    test('should send buffered calls right away and wait for them', async () => {
+      const tracked = client.track({ email: 'jane@example.com' });
+      const event = client.trackEvent('jane@example.com', 'project_created');
+
+      await expect(client.flush()).resolves.toBe(true);
+
+      backend.expectTracked({ email: 'jane@example.com' });
+      backend.expectEvent({ event: 'project_created' });
+      await expect(tracked).resolves.toMatchObject({ success: true });
+      await expect(event).resolves.toMatchObject({ success: true });
+      expect(client.pending.size).toBe(0);
+    });
+
+    test('should keep the process alive only while calls are buffered', async () => {
+      const tracked = client.track({ email: 'jane@example.com' });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(client.batcher.timer.hasRef()).toBe(true);
+
+      await client.flush();
+      await tracked;
+      expect(client.batcher.timer).toBeNull();
+    });
+
+    test('should include calls made while it runs', async () => {
+      client.use({
+        onResponse: (context) => {
+          if (context.operation === 'trackBatch' && backend.trackedEvents().length === 0) {
+            client.trackEvent('jane@example.com', 'follow_up');
+          }
+        }
+      });
+
+      client.track({ email: 'jane@example.com' });
+      await client.flush();
+
+      backend.expectEvent({ event: 'follow_up' });
+    });
+
+    test('should resolve even when calls fail', async () => {
+      backend.fail({ status: 500 });
+      const tracked = client.track({ email: 'jane@example.com' });
+
+      await expect(client.flush()).resolves.toBe(true);
+      await expect(tracked).rejects.toThrow();
+    });
+
+    test('should give up after the timeout', async () => {
+      let respond;
+      const stuck = new Promise((resolve) => {
+        respond = resolve;
+      });
+      client.transport = () => stuck;
+      const tracked = client.track({ email: 'jane@example.com' });
+
+      await expect(client.flush({ timeout: 20 })).resolves.toBe(false);
+      expect(client.flushing).toBe(0);
+
+      // Settle the stuck request so nothing outlives the test
+      respond({ ok: false, status: 400, text: async () => 'Bad request' });
+      await expect(tracked).rejects.toThrow('HTTP 400');
+      expect(client.pending.size).toBe(0);
+    });
+
+    test('should wait only for the given calls', async () => {
+      let respond;
+      const stuck = new Promise((resolve) => {
+        respond = resolve;
+      });
+      const slow = client.track({ email: 'slow@example.com' }, { transport: () => stuck });
+      const tracked = client.track({ email: 'jane@example.com' });
+
+      await expect(client.flush({ calls: [tracked] })).resolves.toBe(true);
+      backend.expectTracked({ email: 'jane@example.com' });
+
+      respond({ ok: false, status: 400, text: async () => 'Bad request' });
+      await expect(slow).rejects.toThrow('HTTP 400');
+    });
+
+    test('should let Next.js helpers send buffered calls right away', async () => {
+      const { track, flush } = createPaveKitNext(client);
+
+      track({ email: 'jane@example.com', user_state: 'converted' });
+      await flush();
+
+      backend.expectTracked({ email: 'jane@example.com', user_state: 'converted' });
+    });
+  });
+
+  describe('close()', () => {
+    test('should drain pending calls and refuse new ones', async () => {
+      client.track({ email: 'jane@example.com' });
+
+      await expect(client.close()).resolves.toBe(true);
+      backend.expectTracked({ email: 'jane@example.com' });
+
+      await expect(client.track({ email: 'joe@example.com' })).rejects.toThrow(
+        'Client is closed. track() was called after close().'
+      );
+      await expect(client.trackEvent('joe@example.com', 'x')).rejects.toBeInstanceOf(
+        PaveKitConfigurationError
+      );
+      await expect(client.getUser('jane@example.com')).rejects.toThrow('getUser() was called after close()');
+      backend.expectNotTracked({ email: 'joe@example.com' });
+    });
+
+    test('should reopen after reset()', async () => {
+      await client.close();
+      client.reset();
+      ({ client, backend } = createTestClient({ client }));
+
+      await client.track({ email: 'jane@example.com' });
+      backend.expectTracked({ email: 'jane@example.com' });
+    });
+  });
+
+  describe('reset()', () => {
+    test('should reject buffered calls so nothing waits on them', async () => {
+      const tracked = client.track({ email: 'jane@example.com' });
+      const event = client.trackEvent('jane@example.com', 'project_created');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      client.reset();
+
+      await expect(tracked).rejects.toBeInstanceOf(PaveKitConfigurationError);
+      await expect(event).rejects.toThrow('reset() was called');
+      await expect(client.flush({ timeout: 1000 })).resolves.toBe(true);
+      backend.expectNotTracked({ email: 'jane@example.com' });
+    });
+
+    test('should reject buffered calls when init() replaces the batchers', async () => {
+      const tracked = client.track({ email: 'jane@example.com' });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      client.init({ apiKey: 'test-key', batching: { flushInterval: 60000 } });
+
+      await expect(tracked).rejects.toThrow('init() was called');
+      await expect(client.flush({ timeout: 1000 })).resolves.toBe(true);
+    });
+  });
+
+  describe('withFlush()', () => {
+    test('should flush before returning without waitUntil', async () => {
+      const handler = client.withFlush(async (event) => {
+        client.track({ email: event.email });
+        return { statusCode: 202 };
+      });
+
+      await expect(handler({ email: 'jane@example.com' })).resolves.toEqual({ statusCode: 202 });
+      backend.expectTracked({ email: 'jane@example.com' });
+    });
+
+    test('should hand the flush to waitUntil from a handler argument', async () => {
+      const ctx = { waitUntil: jest.fn() };
+      const handler = client.withFlush(async (request, env, context) => {
+        client.track({ email: 'jane@example.com' });
+        return 'ok';
+      });
+
+      await expect(handler({}, {}, ctx)).resolves.toBe('ok');
+      expect(ctx.waitUntil).toHaveBeenCalledWith(expect.any(Promise));
+
+      await ctx.waitUntil.mock.calls[0][0];
+      backend.expectTracked({ email: 'jane@example.com' });
+    });
+
+    test('should flush when the handler throws', async () => {
+      const waitUntil = jest.fn();
+      const handler = client.withFlush(
+        async () => {
+          client.track({ email: 'jane@example.com' });
+          throw new Error('boom');
+        },
+        { waitUntil }
+      );
+
+      await expect(handler()).rejects.toThrow('boom');
+      await waitUntil.mock.calls[0][0];
+      backend.expectTracked({ email: 'jane@example.com' });
+    });
+  });
+
+  describe('shutdown hooks', () => {
+    let kill;
+
+    beforeEach(() => {
+      kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      kill.mockRestore();
+    });
+
+    test('should flush on beforeExit', async () => {
+      const remove = client.registerShutdownHooks();
+      client.track({ email: 'jane@example.com' });
+
+      process.emit('beforeExit', 0);
+      await client.flush();
+
+      backend.expectTracked({ email: 'jane@example.com' });
+      remove();
+    });
+
+    test('should close on SIGTERM and raise it again', async () => {
+      const listeners = process.listenerCount('SIGTERM');
+      client.registerShutdownHooks({ timeout: 1000 });
+      expect(process.listenerCount('SIGTERM')).toBe(listeners + 1);
+
+      client.track({ email: 'jane@example.com' });
+      process.emit('SIGTERM', 'SIGTERM');
+      expect(process.listenerCount('SIGTERM')).toBe(listeners);
+      expect(client.closed).toBe(true);
+
+      await client.flush();
+      await new Promise((resolve) => setImmediate(resolve));
+      backend.expectTracked({ email: 'jane@example.com' });
+      expect(kill).toHaveBeenCalledWith(process.pid, 'SIGTERM');
+    });
+
+    test('should register from init() and be removed by reset()', () => {
+      const listeners = process.listenerCount('beforeExit');
+
+      ({ client } = createTestClient({ config: { shutdownHooks: true } }));
+      expect(process.listenerCount('beforeExit')).toBe(listeners + 1);
+
+      client.reset();
+      expect(process.listenerCount('beforeExit')).toBe(listeners);
+    });
+  });
+});
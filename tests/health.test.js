@@ -0,0 +1,189 @@
+/**
+ * Health Tests
+ * Rolling error rate, latency percentiles and status changes reported by getStatus()
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { HealthMonitor, PaveKitServerError, PaveKitValidationError } = PaveKitAPI;
+
+global.fetch = jest.fn();
+
+describe('PaveKit health', () => {
+  describe('HealthMonitor', () => {
+    let now;
+    let monitor;
+    let changes;
+
+    beforeEach(() => {
+      now = Date.parse('2024-01-01T00:00:00.000Z');
+      changes = [];
+      monitor = new HealthMonitor({ window: 10000, minSamples: 4, now: () => now });
+      monitor.on('statusChange', ({ from, to }) => changes.push(`${from}->${to}`));
+    });
+
+    test('should report timestamps, error rate and latency percentiles', () => {
+      [10, 20, 30, 40].forEach((latency) => monitor.record({ latency }));
+      now += 1000;
+      monitor.record({ latency: 500, error: new PaveKitServerError('HTTP 503') });
+
+      expect(monitor.getStatus()).toEqual({
+        status: 'healthy',
+        lastSuccessAt: '2024-01-01T00:00:00.000Z',
+        lastFailureAt: '2024-01-01T00:00:01.000Z',
+        lastError: 'HTTP 503',
+        consecutiveFailures: 1,
+        requests: 5,
+        errorRate: 0.2,
+        latency: { p50: 20, p95: 40, p99: 40 }
+      });
+    });
+
+    test('should be degraded when the error rate crosses the threshold', () => {
+      monitor.record({ latency: 10 });
+      monitor.record({ latency: 10, error: new Error('ECONNRESET') });
+      monitor.record({ latency: 10 });
+      monitor.record({ latency: 10, error: new Error('ECONNRESET') });
+
+      expect(monitor.getStatus().status).toBe('degraded');
+      expect(changes).toEqual(['healthy->degraded']);
+    });
+
+    test('should be degraded when p95 latency is too high', () => {
+      monitor.record({ latency: 3500 });
+
+      expect(monitor.getStatus().status).toBe('degraded');
+    });
+
+    test('should go offline after consecutive failures and recover on success', () => {
+      const error = new PaveKitServerError('HTTP 502');
+      monitor.record({ latency: 10, error });
+      monitor.record({ latency: 10, error });
+      monitor.record({ latency: 10, error });
+      expect(monitor.getStatus().status).toBe('offline');
+
+      now += 20000;
+      monitor.record({ latency: 10 });
+
+      expect(monitor.getStatus()).toMatchObject({ status: 'healthy', requests: 1, errorRate: 0 });
+      expect(changes).toEqual(['healthy->offline', 'offline->healthy']);
+    });
+
+    test('should count client errors as answers', () => {
+      const error = new PaveKitValidationError('HTTP 422');
+      [1, 2, 3, 4].forEach(() => monitor.record({ latency: 10, error }));
+
+      expect(monitor.getStatus()).toMatchObject({ status: 'healthy', errorRate: 0 });
+    });
+
+    test('should re-evaluate the status when read', () => {
+      monitor.record({ latency: 3500 });
+      expect(monitor.getStatus().status).toBe('degraded');
+
+      // No traffic since: the slow request has left the window
+      now += 20000;
+
+      expect(monitor.getStatus()).toMatchObject({ status: 'healthy', requests: 0 });
+      expect(changes).toEqual(['healthy->degraded', 'degraded->healthy']);
+    });
+
+    test('should keep samples and listeners when reconfigured', () => {
+      monitor.record({ latency: 500 });
+      monitor.configure({ degradedLatency: 400, now: () => now });
+
+      expect(monitor.getStatus()).toMatchObject({ status: 'degraded', requests: 1 });
+      expect(changes).toEqual(['healthy->degraded']);
+    });
+
+    test('should stop calling removed listeners', () => {
+      const listener = jest.fn();
+      const off = monitor.on('statusChange', listener);
+      off();
+
+      monitor.record({ latency: 5000 });
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PaveKitAPI', () => {
+    let client;
+
+    beforeEach(() => {
+      fetch.mockReset();
+      client = new PaveKitAPI();
+      client.init({ apiKey: 'test-key', retry: { maxAttempts: 1 } });
+    });
+
+    afterEach(() => {
+      client.reset();
+    });
+
+    test('should report live connectivity in getStatus()', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+      await client.track({ email: 'user@example.com' });
+
+      expect(client.getStatus()).toMatchObject({
+        connected: true,
+        status: 'healthy',
+        health: { requests: 1, errorRate: 0, lastSuccessAt: expect.any(String) }
+      });
+
+      fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+      for (let i = 0; i < 3; i++) {
+        await expect(client.track({ email: 'user@example.com' })).rejects.toThrow('ECONNREFUSED');
+      }
+
+      expect(client.getStatus()).toMatchObject({
+        connected: false,
+        status: 'offline',
+        health: { consecutiveFailures: 3, lastError: 'ECONNREFUSED' }
+      });
+    });
+
+    test('should keep statusChange listeners across init() and reset()', async () => {
+      const listener = jest.fn();
+      client.on('statusChange', listener);
+      client.init({ apiKey: 'test-key', retry: { maxAttempts: 1 }, health: { offlineAfter: 1 } });
+      fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await client.track({ email: 'user@example.com' }).catch(() => {});
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ to: 'offline' }));
+
+      client.reset();
+      expect(client.getStatus().health).toMatchObject({ status: 'healthy', requests: 0 });
+      client.init({ apiKey: 'test-key', retry: { maxAttempts: 1 } });
+      for (let i = 0; i < 3; i++) {
+        await client.track({ email: 'user@example.com' }).catch(() => {});
+      }
+
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    test('should raise statusChange events', async () => {
+      const listener = jest.fn();
+      client.on('statusChange', listener);
+      fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      for (let i = 0; i < 3; i++) {
+        await client.track({ email: 'user@example.com' }).catch(() => {});
+      }
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({
+        from: 'healthy',
+        to: 'offline',
+        health: expect.objectContaining({ status: 'offline', consecutiveFailures: 3 })
+      });
+    });
+
+    test('should report buffered events as queue depth', async () => {
+      client.init({ apiKey: 'test-key', batching: { flushInterval: 60000 } });
+      const tracked = client.track({ email: 'user@example.com' });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(client.getStatus().queueDepth).toBe(1);
+
+      client.reset();
+      await expect(tracked).rejects.toThrow('reset() was called');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Interceptor Tests
+ * Tests for the request/response middleware chain
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+
+global.fetch = jest.fn();
+
+const okResponse = (body = { success: true, user_id: '123' }) => ({
+  ok: true,
+  json: async () => body
+});
+
+describe('Request/response interceptors', () => {
+  let client;
+
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+    client = new PaveKitAPI();
+    client.init({ apiKey: 'test-key', baseURL: 'https://api.pavekit.com', retry: { baseDelay: 0 } });
+  });
+
+  test('should add headers and rewrite URLs for track() and validate()', async () => {
+    client.use({
+      onRequest(context) {
+        context.headers['X-Trace-ID'] = `trace-${context.operation}`;
+        context.url = context.url.replace('https://api.pavekit.com', 'http://egress:8080');
+      }
+    });
+
+    await client.track({ email: 'test@example.com' });
+    await client.validate();
+
+    expect(fetch.mock.calls[0][0]).toBe('http://egress:8080/api/v1/activity');
+    expect(fetch.mock.calls[0][1].headers['X-Trace-ID']).toBe('trace-track');
+    expect(fetch.mock.calls[1][0]).toBe('http://egress:8080/api/v1/validate');
+    expect(fetch.mock.calls[1][1].headers['X-Trace-ID']).toBe('trace-validate');
+  });
+
+  test('should let middleware enrich the body before it is serialized', async () => {
+    client.use({
+      onRequest(context) {
+        if (context.operation === 'track') {
+          context.body.metadata = { ...context.body.metadata, environment: 'staging' };
+        }
+      }
+    });
+
+    await client.track({ email: 'test@example.com', metadata: { plan: 'pro' } });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).metadata).toEqual({
+      plan: 'pro',
+      environment: 'staging'
+    });
+  });
+
+  test('should run onRequest in order and onResponse in reverse', async () => {
+    const calls = [];
+    const logger = (name) => ({
+      onRequest: () => { calls.push(`${name}:request`); },
+      onResponse: () => { calls.push(`${name}:response`); }
+    });
+
+    client.use(logger('outer')).use(logger('inner'));
+    await client.validate();
+
+    expect(calls).toEqual([
+      'outer:request',
+      'inner:request',
+      'inner:response',
+      'outer:response'
+    ]);
+  });
+
+  test('should short-circuit when onRequest returns a result', async () => {
+    const onResponse = jest.fn();
+    client.use({ onResponse });
+    client.use({ onRequest: () => ({ success: true, user_id: 'cached' }) });
+
+    const result = await client.track({ email: 'test@example.com' });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result.user_id).toBe('cached');
+    expect(onResponse).toHaveBeenCalledWith(expect.any(Object), { success: true, user_id: 'cached' });
+  });
+
+  test('should let onResponse replace the result', async () => {
+    client.use({ onResponse: (context, result) => ({ ...result, observed: true }) });
+
+    const result = await client.track({ email: 'test@example.com' });
+
+    expect(result).toEqual({ success: true, user_id: '123', observed: true });
+  });
+
+  test('should pass errors to onError once, after retries', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 503, text: async () => 'down' });
+    const onError = jest.fn();
+    client.use({ onError });
+
+    await expect(client.track({ email: 'test@example.com' })).rejects.toThrow('HTTP 503');
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].operation).toBe('track');
+    expect(onError.mock.calls[0][1].status).toBe(503);
+  });
+
+  test('should let onError recover with a fallback result', async () => {
+    fetch.mockRejectedValue(new Error('Network error'));
+    client.use({ onError: () => ({ success: false, deferred: true }) });
+
+    const result = await client.track({ email: 'test@example.com' });
+
+    expect(result).toEqual({ success: false, deferred: true });
+  });
+
+  test('should reject middleware without hooks', () => {
+    expect(() => client.use({})).toThrow('Middleware must define');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Lifecycle Tests
+ * Configurable user states, transition graph and the lifecycle helpers
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { Lifecycle, PaveKitValidationError, PaveKitConfigurationError } = PaveKitAPI;
+
+global.fetch = jest.fn();
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+const activityBodies = () =>
+  fetch.mock.calls
+    .filter(([url, options]) => url.endsWith('/v1/activity') && options.method === 'POST')
+    .map(([, options]) => JSON.parse(options.body));
+
+describe('PaveKit lifecycle', () => {
+  describe('Lifecycle', () => {
+    test('should default to created and converted with any move allowed', () => {
+      const lifecycle = new Lifecycle();
+
+      expect(lifecycle.states).toEqual(['created', 'converted']);
+      expect(lifecycle.initial).toBe('created');
+      expect(lifecycle.canTransition('converted', 'created')).toBe(true);
+    });
+
+    test('should describe allowed states in errors', () => {
+      const lifecycle = new Lifecycle({ states: ['created', 'trial', 'paying'] });
+
+      expect(() => lifecycle.assertState('churned')).toThrow(
+        "user_state must be 'created', 'trial' or 'paying'"
+      );
+    });
+
+    test('should enforce the transition graph', () => {
+      const lifecycle = Lifecycle.onboarding();
+
+      expect(lifecycle.canTransition('created', 'trial')).toBe(true);
+      expect(lifecycle.canTransition('churned', 'churned')).toBe(true);
+      expect(lifecycle.canTransition(null, 'paying')).toBe(true);
+      expect(() => lifecycle.assertTransition('churned', 'created')).toThrow(
+        "Cannot move user from 'churned' to 'created'; allowed next states: 'reactivated'"
+      );
+    });
+
+    test('should reject definitions with unknown states', () => {
+      expect(() => new Lifecycle({ states: ['created'], transitions: { created: ['paying'] } }))
+        .toThrow(PaveKitConfigurationError);
+      expect(() => new Lifecycle({ states: ['created'], initial: 'trial' }))
+        .toThrow("Initial state 'trial' is not a lifecycle state");
+    });
+
+    test('should report final states', () => {
+      const lifecycle = new Lifecycle({
+        states: ['created', 'deleted'],
+        transitions: { created: ['deleted'] }
+      });
+
+      expect(() => lifecycle.assertTransition('deleted', 'created')).toThrow(
+        "'deleted' is a final state"
+      );
+    });
+  });
+
+  describe('PaveKitAPI', () => {
+    let client;
+
+    beforeEach(() => {
+      fetch.mockReset();
+      client = new PaveKitAPI();
+      client.init({ apiKey: 'test-key', lifecycle: Lifecycle.onboarding() });
+    });
+
+    afterEach(() => {
+      client.reset();
+    });
+
+    test('should accept configured states in track()', async () => {
+      fetch.mockResolvedValue(jsonResponse({ success: true }));
+
+      await client.track({ email: 'user@example.com', user_state: 'trial' });
+
+      expect(activityBodies()[0].user_state).toBe('trial');
+      await expect(client.track({ email: 'user@example.com', user_state: 'lost' }))
+        .rejects.toThrow(PaveKitValidationError);
+    });
+
+    test('should check transitions in track()', async () => {
+      fetch.mockResolvedValue(jsonResponse({ email: 'user@example.com', user_state: 'paying' }));
+
+      await expect(client.track({ email: 'user@example.com', user_state: 'created' }))
+        .rejects.toThrow("Cannot move user from 'paying' to 'created'");
+      await client.track({ email: 'user@example.com', user_state: 'converted' });
+      await client.track({ email: 'user@example.com', user_state: 'churned' }, { from: 'paying' });
+
+      expect(activityBodies().map((body) => body.user_state)).toEqual(['converted', 'churned']);
+      expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('should keep the current state when track() gets none', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ email: 'user@example.com', user_state: 'paying' }))
+        .mockResolvedValueOnce(jsonResponse({ success: true }))
+        .mockResolvedValueOnce(jsonResponse({ error: 'User not found' }, 404))
+        .mockResolvedValueOnce(jsonResponse({ success: true }));
+
+      await client.track({ email: 'user@example.com', metadata: { seats: 5 } });
+      await client.track({ email: 'new@example.com' });
+
+      expect(activityBodies().map((body) => body.user_state)).toEqual(['paying', 'created']);
+    });
+
+    test('should check transitions for each trackBatch() item', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ email: 'a@example.com', user_state: 'churned' }))
+        .mockResolvedValueOnce(jsonResponse({ email: 'b@example.com', user_state: 'trial' }))
+        .mockResolvedValueOnce(jsonResponse({ results: [{ success: true }] }));
+
+      const report = await client.trackBatch([
+        { email: 'a@example.com', user_state: 'trial' },
+        { email: 'b@example.com', user_state: 'activated' }
+      ]);
+
+      expect(report.results[0]).toMatchObject({ success: false });
+      expect(report.results[0].error).toMatch("Cannot move user from 'churned' to 'trial'");
+      expect(report.results[1]).toMatchObject({ success: true });
+    });
+
+    test('should explain which lifecycle the helpers need', async () => {
+      client.init({ apiKey: 'test-key', lifecycle: new Lifecycle() });
+
+      await expect(client.startTrial('user@example.com')).rejects.toThrow(
+        "startTrial() needs a lifecycle with a 'trial' state"
+      );
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should accept lifecycle options in init()', async () => {
+      client.init({ apiKey: 'test-key', lifecycle: { states: ['lead', 'customer'] } });
+      fetch.mockResolvedValue(jsonResponse({ success: true }));
+
+      await client.track({ email: 'user@example.com' });
+
+      expect(activityBodies()[0].user_state).toBe('lead');
+    });
+
+    test('activate() should check the current state before sending', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ email: 'user@example.com', user_state: 'trial' }))
+        .mockResolvedValueOnce(jsonResponse({ success: true }));
+
+      await client.activate('user@example.com', { feature: 'first_project' });
+
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:8000/api/v1/users/user%40example.com');
+      expect(activityBodies()).toEqual([
+        expect.objectContaining({
+          email: 'user@example.com',
+          user_state: 'activated',
+          metadata: { feature: 'first_project' }
+        })
+      ]);
+    });
+
+    test('churn() should send the reason', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ email: 'user@example.com', user_state: 'paying' }))
+        .mockResolvedValueOnce(jsonResponse({ success: true }));
+
+      await client.churn('user@example.com', 'too_expensive');
+
+      expect(activityBodies()[0]).toMatchObject({
+        user_state: 'churned',
+        metadata: { churn_reason: 'too_expensive' }
+      });
+    });
+
+    test('should refuse invalid transitions without sending them', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({ email: 'user@example.com', user_state: 'churned' }));
+
+      await expect(client.transition('user@example.com', 'created')).rejects.toThrow(
+        "Cannot move user from 'churned' to 'created'"
+      );
+      expect(activityBodies()).toHaveLength(0);
+    });
+
+    test('should skip the lookup when the current state is known', async () => {
+      fetch.mockResolvedValue(jsonResponse({ success: true }));
+
+      await client.transition('user@example.com', 'reactivated', { from: 'churned' });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(activityBodies()[0].user_state).toBe('reactivated');
+    });
+
+    test('should let unknown users start in any state', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ error: 'User not found' }, 404))
+        .mockResolvedValueOnce(jsonResponse({ success: true }));
+
+      await client.startTrial('new@example.com');
+
+      expect(activityBodies()[0].user_state).toBe('trial');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Metadata Tests
+ * Safe serialization, limits and schema validation of track() metadata
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { MetadataNormalizer, PaveKitValidationError } = PaveKitAPI;
+const { validateSchema } = MetadataNormalizer;
+
+global.fetch = jest.fn();
+
+describe('PaveKit metadata', () => {
+  describe('MetadataNormalizer', () => {
+    let normalizer;
+
+    beforeEach(() => {
+      normalizer = new MetadataNormalizer();
+    });
+
+    test('should convert values JSON cannot represent', () => {
+      const result = normalizer.normalize({
+        signed_up_at: new Date('2024-01-01T00:00:00.000Z'),
+        account_id: 12345678901234567890n,
+        flags: new Map([['beta', true]]),
+        tags: new Set(['a', 'b']),
+        score: NaN,
+        callback: () => {},
+        missing: undefined,
+        list: [undefined, 1],
+        error: new Error('boom')
+      });
+
+      expect(result).toEqual({
+        signed_up_at: '2024-01-01T00:00:00.000Z',
+        account_id: '12345678901234567890',
+        flags: { beta: true },
+        tags: ['a', 'b'],
+        score: null,
+        list: [null, 1],
+        error: { name: 'Error', message: 'boom' }
+      });
+    });
+
+    test('should detect circular references', () => {
+      const metadata = { profile: { name: 'Jane' } };
+      metadata.profile.self = metadata;
+
+      expect(() => normalizer.normalize(metadata)).toThrow(
+        'Invalid metadata: metadata.profile.self is a circular reference'
+      );
+    });
+
+    test('should detect toJSON() results that never settle', () => {
+      const self = { toJSON() { return this; } };
+      const wrapper = () => ({ toJSON: wrapper });
+
+      expect(() => normalizer.normalize({ self })).toThrow(
+        'Invalid metadata: metadata.self is a circular reference'
+      );
+      expect(() => normalizer.normalize({ wrapped: wrapper() })).toThrow(
+        'level limit'
+      );
+    });
+
+    test('should allow the same object in sibling fields', () => {
+      const plan = { name: 'pro' };
+
+      expect(normalizer.normalize({ current: plan, previous: plan })).toEqual({
+        current: { name: 'pro' },
+        previous: { name: 'pro' }
+      });
+    });
+
+    test('should leave size limits off unless configured', () => {
+      const wide = Object.fromEntries(Array.from({ length: 150 }, (_, i) => [`key_${i}`, i]));
+      const large = { [`k${'e'.repeat(200)}y`]: 'x'.repeat(40000), deep: { a: { b: { c: { d: { e: 1 } } } } } };
+
+      expect(normalizer.normalize(wide)).toEqual(wide);
+      expect(normalizer.normalize(large)).toEqual(large);
+    });
+
+    test('should enforce the depth limit', () => {
+      const limited = new MetadataNormalizer({ maxDepth: 2 });
+
+      expect(limited.normalize({ a: { b: 1 } })).toEqual({ a: { b: 1 } });
+      expect(() => limited.normalize({ a: { b: { c: 1 } } })).toThrow(
+        'metadata.a.b is nested deeper than the 2 level limit'
+      );
+    });
+
+    test('should enforce key count, key length and value size limits', () => {
+      const limited = new MetadataNormalizer({ maxKeys: 2, maxKeyLength: 5, maxValueSize: 10 });
+
+      expect(() => limited.normalize({ a: 1, b: 2, c: 3 })).toThrow(
+        'metadata has 3 entries, more than the 2 limit'
+      );
+      expect(() => limited.normalize({ toolong: 1 })).toThrow(
+        'key is longer than 5 characters'
+      );
+      expect(() => limited.normalize({ bio: 'x'.repeat(11) })).toThrow(
+        'metadata.bio is longer than the 10 byte limit'
+      );
+    });
+
+    test('should enforce the total size limit', () => {
+      const limited = new MetadataNormalizer({ maxSize: 50 });
+
+      expect(() => limited.normalize({ a: 'x'.repeat(30), b: 'y'.repeat(30) })).toThrow(
+        'more than the 50 byte limit'
+      );
+    });
+
+    test('should require an object', () => {
+      expect(() => normalizer.normalize('plan=pro')).toThrow('metadata must be an object');
+    });
+  });
+
+  describe('Schema', () => {
+    const schema = {
+      type: 'object',
+      required: ['plan'],
+      additionalProperties: false,
+      properties: {
+        plan: { type: 'string', enum: ['free', 'pro'] },
+        seats: { type: 'integer', minimum: 1 },
+        contact: { type: 'string', format: 'email' },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 3 }
+      }
+    };
+
+    test('should list every violation with its path', () => {
+      const violations = validateSchema(
+        { seats: 0, contact: 'nope', tags: ['a', 1], extra: true },
+        schema,
+        'metadata'
+      );
+
+      expect(violations).toEqual([
+        { path: 'metadata.plan', message: 'is required' },
+        { path: 'metadata.seats', message: 'must be >= 1' },
+        { path: 'metadata.contact', message: 'must be a valid email' },
+        { path: 'metadata.tags[1]', message: 'must be of type string' },
+        { path: 'metadata.extra', message: 'is not allowed' }
+      ]);
+    });
+
+    test('should reject violations before any network call', async () => {
+      const client = new PaveKitAPI();
+      client.init({ apiKey: 'test-key', metadata: { schema } });
+      fetch.mockClear();
+
+      const error = await client
+        .track({ email: 'user@example.com', metadata: { plan: 'enterprise', seats: 0 } })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(PaveKitValidationError);
+      expect(error.message).toBe(
+        'Invalid metadata: metadata.plan must be one of "free", "pro" (and 1 more)'
+      );
+      expect(error.violations).toHaveLength(2);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should warn and send in warn mode', async () => {
+      const onWarning = jest.fn();
+      const client = new PaveKitAPI();
+      client.init({ apiKey: 'test-key', metadata: { schema, onViolation: 'warn', onWarning } });
+      fetch.mockReset();
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ success: true }) });
+
+      await client.track({
+        email: 'user@example.com',
+        metadata: { plan: 'pro', signed_up_at: new Date('2024-01-01T00:00:00.000Z') }
+      });
+
+      expect(onWarning).toHaveBeenCalledWith([
+        { path: 'metadata.signed_up_at', message: 'is not allowed' }
+      ]);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).metadata).toEqual({
+        plan: 'pro',
+        signed_up_at: '2024-01-01T00:00:00.000Z'
+      });
+    });
+  });
+});
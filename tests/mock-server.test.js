@@ -0,0 +1,225 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Mock Server Tests
+ * Local PaveKit API answered by the FakeBackend over HTTP, plus the
+ * pavekit-mock command line flags
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PaveKitAPI = require('../src/core/api.js');
+const { MockServer } = require('../src/testing/index.js');
+const { PaveKitServerError } = PaveKitAPI;
+const { parseArgs } = require('../bin/pavekit-mock.js');
+
+describe('MockServer', () => {
+  let server;
+  let client;
+
+  const start = async (config = {}) => {
+    server = new MockServer({ port: 0, ...config });
+    const { url } = await server.start();
+
+    client = new PaveKitAPI();
+    client.init({
+      apiKey: 'test-key',
+      baseURL: url,
+      retry: { maxAttempts: 1 },
+      circuitBreaker: false
+    });
+    return url;
+  };
+
+  const control = async (route, options = {}) => {
+    const response = await fetch(`${server.url}/__pavekit${route}`, {
+      method: options.method || 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body && JSON.stringify(options.body)
+    });
+    return response.json();
+  };
+
+  afterEach(async () => {
+    client.reset();
+    await server.stop();
+  });
+
+  test('should answer the SDK over HTTP', async () => {
+    await start();
+
+    await expect(client.validate()).resolves.toMatchObject({ valid: true });
+    await client.track({ email: 'jane@example.com', metadata: { plan: 'pro' } });
+    await client.track({ email: 'jane@example.com', user_state: 'converted' });
+
+    const user = await client.getUser('jane@example.com');
+    expect(user).toMatchObject({ state: 'converted', metadata: { plan: 'pro' } });
+  });
+
+  test('should accept custom events', async () => {
+    await start();
+
+    await client.trackEvent('jane@example.com', 'project_created', { template: 'kanban' });
+
+    expect((await control('/events')).events).toEqual([
+      expect.objectContaining({
+        email: 'jane@example.com',
+        event: 'project_created',
+        properties: { template: 'kanban' }
+      })
+    ]);
+  });
+
+  test('should list received requests without exposing the API key', async () => {
+    await start();
+    await client.track({ email: 'jane@example.com' });
+
+    const { total, requests } = await control('/requests');
+
+    expect(total).toBe(1);
+    expect(requests[0]).toMatchObject({
+      method: 'POST',
+      path: '/api/v1/activity',
+      status: 200,
+      body: { email: 'jane@example.com', user_state: 'created' },
+      headers: { 'x-api-key': 'test…' }
+    });
+    expect((await control('/tracked')).tracked).toHaveLength(1);
+  });
+
+  test('should reject unknown API keys', async () => {
+    await start({ apiKey: 'secret' });
+
+    await expect(client.validate()).rejects.toThrow('HTTP 401');
+  });
+
+  test('should fail requests on demand', async () => {
+    await start();
+    await control('/fail', { method: 'POST', body: { status: 503, times: 'Infinity' } });
+
+    await expect(client.track({ email: 'a@example.com' })).rejects.toBeInstanceOf(
+      PaveKitServerError
+    );
+    await expect(client.track({ email: 'a@example.com' })).rejects.toBeInstanceOf(
+      PaveKitServerError
+    );
+
+    await control('/fail', { method: 'DELETE' });
+    await expect(client.track({ email: 'a@example.com' })).resolves.toMatchObject({
+      success: true
+    });
+  });
+
+  test('should simulate random failures', async () => {
+    const random = jest.fn().mockReturnValueOnce(0.1).mockReturnValue(0.9);
+    await start({ failureRate: 0.5, random });
+
+    await expect(client.track({ email: 'a@example.com' })).rejects.toThrow('HTTP 503');
+    await expect(client.track({ email: 'a@example.com' })).resolves.toMatchObject({
+      success: true
+    });
+  });
+
+  test('should rate limit per API key', async () => {
+    await start({ rateLimit: { requests: 2, window: 60000 } });
+
+    await client.track({ email: 'a@example.com' });
+    await client.track({ email: 'b@example.com' });
+
+    const response = await fetch(`${server.url}/api/v1/activity`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-key' },
+      body: JSON.stringify({ email: 'c@example.com' })
+    });
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toBe('60');
+  });
+
+  test('should delay responses', async () => {
+    await start({ latency: 50 });
+
+    const startedAt = Date.now();
+    await client.validate();
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(45);
+  });
+
+  test('should allow cross-origin requests from the browser SDK', async () => {
+    await start();
+
+    const response = await fetch(`${server.url}/api/v1/activity`, {
+      method: 'OPTIONS',
+      headers: { 'Access-Control-Request-Headers': 'content-type,x-api-key,idempotency-key' }
+    });
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect(response.headers.get('access-control-allow-headers')).toContain('idempotency-key');
+  });
+
+  test('should keep users in a data file across restarts', async () => {
+    const dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pavekit-')), 'users.json');
+
+    await start({ dataFile });
+    await client.track({ email: 'jane@example.com', user_state: 'converted' });
+    client.reset();
+    await server.stop();
+
+    await start({ dataFile });
+    await client.track({ email: 'john@example.com' });
+
+    const users = JSON.parse(fs.readFileSync(dataFile, 'utf8')).users;
+    expect(users.map((user) => [user.email, user.user_state, user.user_id])).toEqual([
+      ['jane@example.com', 'converted', 'user-1'],
+      ['john@example.com', 'created', 'user-2']
+    ]);
+    fs.rmSync(path.dirname(dataFile), { recursive: true });
+  });
+
+  test('should change conditions and reset through the control endpoints', async () => {
+    await start();
+    await client.track({ email: 'jane@example.com' });
+
+    expect(await control('/config', { method: 'POST', body: { latency: [10, 20] } })).toEqual({
+      latency: [10, 20],
+      failureRate: 0,
+      rateLimit: null
+    });
+
+    await control('/reset', { method: 'POST' });
+    expect(await control('/users')).toEqual({ users: [] });
+    expect((await control('/requests')).total).toBe(0);
+  });
+});
+
+describe('pavekit-mock options', () => {
+  test('should parse flags into server options', () => {
+    expect(
+      parseArgs([
+        '--port', '9000',
+        '--api-key=secret',
+        '--data', 'users.json',
+        '--latency', '50-500',
+        '--failure-rate', '0.1',
+        '--rate-limit', '10/60000',
+        '--quiet'
+      ])
+    ).toEqual({
+      port: 9000,
+      apiKey: 'secret',
+      dataFile: 'users.json',
+      latency: [50, 500],
+      failureRate: 0.1,
+      rateLimit: { requests: 10, window: 60000 },
+      log: null
+    });
+  });
+
+  test('should reject unknown or malformed flags', () => {
+    expect(() => parseArgs(['--verbose'])).toThrow('Unknown option --verbose');
+    expect(() => parseArgs(['--latency', 'slow'])).toThrow("--latency expects a number, got 'slow'");
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Multi-user Tests
+ * Tests that one shared PaveKitAPI client is safe for concurrent users
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+
+global.fetch = jest.fn();
+
+const idFor = (email) => `id-${email}`;
+
+// Responds after a random delay so parallel requests interleave
+const backend = async (url, options) => {
+  const body = JSON.parse(options.body);
+  await new Promise((resolve) => setTimeout(resolve, Math.random() * 20));
+
+  return {
+    ok: true,
+    json: async () => ({ success: true, user_id: idFor(body.email) })
+  };
+};
+
+describe('Shared client with many users', () => {
+  let client;
+
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockImplementation(backend);
+    client = new PaveKitAPI();
+    client.init({ apiKey: 'test-key' });
+  });
+
+  test('forUser() fills in the email and remembers the user_id', async () => {
+    const user = client.forUser('a@example.com');
+
+    await user.track({ name: 'Alice' });
+    await user.track({ user_state: 'converted' });
+
+    const bodies = fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+    expect(bodies[0]).toEqual({ email: 'a@example.com', name: 'Alice', user_state: 'created' });
+    expect(bodies[1]).toEqual({
+      email: 'a@example.com',
+      user_state: 'converted',
+      user_id: 'id-a@example.com'
+    });
+    expect(user.toJSON()).toEqual({ email: 'a@example.com', userId: 'id-a@example.com' });
+  });
+
+  test('forUser() requires an email', () => {
+    expect(() => client.forUser()).toThrow('Email is required');
+  });
+
+  test('parallel calls for different users never cross-talk', async () => {
+    const emails = Array.from({ length: 25 }, (_, i) => `user${i}@example.com`);
+    const handles = emails.map((email) => client.forUser(email));
+
+    // Three rounds per user, all users interleaved
+    for (let round = 0; round < 3; round++) {
+      await Promise.all(
+        handles.map((handle) => handle.track({ metadata: { round } }))
+      );
+    }
+
+    fetch.mock.calls.forEach(([, options]) => {
+      const body = JSON.parse(options.body);
+      if (body.user_id) {
+        expect(body.user_id).toBe(idFor(body.email));
+      }
+    });
+
+    handles.forEach((handle) => {
+      expect(handle.userId).toBe(idFor(handle.email));
+    });
+    expect(client.getStatus()).not.toHaveProperty('userId');
+  });
+
+  test('plain track() calls in parallel keep each result separate', async () => {
+    const emails = Array.from({ length: 10 }, (_, i) => `plain${i}@example.com`);
+
+    const results = await Promise.all(emails.map((email) => client.track({ email })));
+
+    results.forEach((result, i) => {
+      expect(result.user_id).toBe(idFor(emails[i]));
+    });
+    fetch.mock.calls.forEach(([, options]) => {
+      expect(JSON.parse(options.body).user_id).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Next.js Helper Tests
+ * Deferred tracking from Pages API routes, App Router route handlers and
+ * Server Actions, with the visitor hint read from the pavekit_uid cookie
+ */
+
+const { createPaveKitNext } = require('../src/integrations/index.js');
+
+const VISITOR_ID = 'b4c9a289323b21a01c3e940f150eb9b8c542587f1abfd8f0e1cc1ffc5e475514';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+};
+
+describe('PaveKit Next.js helpers', () => {
+  let client;
+
+  beforeEach(() => {
+    client = { track: jest.fn().mockResolvedValue({ success: true, user_id: 'u1' }) };
+  });
+
+  test('should require a client', () => {
+    expect(() => createPaveKitNext(null)).toThrow('A PaveKitAPI client is required');
+  });
+
+  describe('withPaveKit()', () => {
+    test('should expose the cookie hint and flush after the handler', async () => {
+      const { withPaveKit } = createPaveKitNext(client);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      const handler = withPaveKit(async (req, response) => {
+        expect(req.pavekit.visitorId).toBe(VISITOR_ID);
+        req.pavekit.track({ email: 'user@example.com', user_state: 'converted' });
+        response.status(200).json({ ok: true });
+        // Deferred: nothing sent while the handler runs
+        expect(client.track).not.toHaveBeenCalled();
+      });
+
+      await handler({ cookies: { pavekit_uid: VISITOR_ID }, headers: {} }, res);
+
+      expect(res.json).toHaveBeenCalledWith({ ok: true });
+      expect(client.track).toHaveBeenCalledWith({
+        email: 'user@example.com',
+        user_state: 'converted'
+      });
+    });
+
+    test('should skip tracking without an email', async () => {
+      const { withPaveKit } = createPaveKitNext(client);
+
+      await withPaveKit(async (req) => {
+        expect(req.pavekit.visitorId).toBeNull();
+        await req.pavekit.track({ user_state: 'created' });
+      })({ headers: {} }, {});
+
+      expect(client.track).not.toHaveBeenCalled();
+    });
+
+    test('should not fail the handler when tracking fails', async () => {
+      const onError = jest.fn();
+      client.track.mockRejectedValue(new Error('API down'));
+      const { withPaveKit } = createPaveKitNext(client, { onError });
+
+      await expect(
+        withPaveKit(async (req) => {
+          req.pavekit.track({ email: 'user@example.com' });
+          return 'done';
+        })({ headers: {} }, {})
+      ).resolves.toBe('done');
+
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'API down' }),
+        { email: 'user@example.com' }
+      );
+    });
+  });
+
+  describe('withPaveKitRoute()', () => {
+    test('should read the identity cookie from the request', async () => {
+      const { withPaveKitRoute } = createPaveKitNext(client);
+
+      const POST = withPaveKitRoute(async (request, { pavekit, params }) => {
+        expect(pavekit.visitorId).toBe(VISITOR_ID);
+        pavekit.track({ email: 'user@example.com', metadata: { plan: params.plan } });
+        return new Response('ok');
+      });
+
+      const response = await POST(
+        new Request('https://app.example.com/api/upgrade', {
+          method: 'POST',
+          headers: { cookie: `theme=dark; pavekit_uid=${VISITOR_ID}` }
+        }),
+        { params: { plan: 'pro' } }
+      );
+
+      expect(await response.text()).toBe('ok');
+      expect(client.track).toHaveBeenCalledWith({
+        email: 'user@example.com',
+        metadata: { plan: 'pro' }
+      });
+    });
+
+    test('should hand pending calls to waitUntil instead of waiting', async () => {
+      const slow = deferred();
+      client.track.mockReturnValue(slow.promise);
+      const waitUntil = jest.fn();
+      const { withPaveKitRoute, flush } = createPaveKitNext(client, { waitUntil });
+
+      const GET = withPaveKitRoute(async (request, { pavekit }) => {
+        pavekit.track({ email: 'user@example.com' });
+        return new Response('ok');
+      });
+
+      const response = await GET(new Request('https://app.example.com/'));
+      expect(response.status).toBe(200);
+      expect(waitUntil).toHaveBeenCalledWith(expect.any(Promise));
+
+      slow.resolve({ success: true });
+      await flush();
+    });
+
+    test('should flush only the calls of its own request', async () => {
+      client.flush = jest.fn().mockResolvedValue(true);
+      const other = deferred();
+      const { withPaveKitRoute, track } = createPaveKitNext(client);
+      track({ email: 'other@example.com' }).then(() => other.promise);
+
+      const POST = withPaveKitRoute(async (request, { pavekit }) => {
+        pavekit.track({ email: 'user@example.com' });
+        return new Response('ok');
+      });
+
+      await POST(new Request('https://app.example.com/', { method: 'POST' }));
+
+      expect(client.flush).toHaveBeenCalledTimes(1);
+      expect(client.flush).toHaveBeenCalledWith({ calls: [expect.any(Promise)] });
+      other.resolve();
+    });
+
+    describe('with after() from next/server', () => {
+      let after;
+
+      beforeEach(() => {
+        after = jest.fn();
+        jest.doMock('next/server', () => ({ after }), { virtual: true });
+      });
+
+      afterEach(() => {
+        jest.dontMock('next/server');
+        jest.resetModules();
+      });
+
+      test('should return the response without waiting for tracking', async () => {
+        const slow = deferred();
+        client.track.mockReturnValue(slow.promise);
+        const { withPaveKitRoute } = createPaveKitNext(client);
+
+        const GET = withPaveKitRoute(async (request, { pavekit }) => {
+          pavekit.track({ email: 'user@example.com' });
+          return new Response('ok');
+        });
+
+        const response = await GET(new Request('https://app.example.com/'));
+        expect(response.status).toBe(200);
+        expect(after).toHaveBeenCalledWith(expect.any(Promise));
+
+        slow.resolve({ success: true });
+        await after.mock.calls[0][0];
+        expect(client.track).toHaveBeenCalledWith({ email: 'user@example.com' });
+      });
+    });
+  });
+
+  describe('trackInServerAction()', () => {
+    test('should be awaitable through flush()', async () => {
+      const { trackInServerAction, flush } = createPaveKitNext(client);
+
+      trackInServerAction({ email: 'user@example.com', user_state: 'converted' });
+      await flush();
+
+      expect(client.track).toHaveBeenCalledWith({
+        email: 'user@example.com',
+        user_state: 'converted'
+      });
+    });
+  });
+});
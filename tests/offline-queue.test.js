@@ -0,0 +1,327 @@
+/**
+ * Offline Queue Tests
+ * Tests for durable queuing and replay in the browser SDK
+ */
+
+import OfflineQueue from '../src/core/offline-queue.js';
+import PaveKitSDK from '../src/index.js';
+
+global.fetch = jest.fn();
+
+const okResponse = (body = { success: true, user_id: 'user-1' }) => ({
+  ok: true,
+  json: async () => body
+});
+
+const activityBodies = () =>
+  fetch.mock.calls
+    .filter(([url]) => url.endsWith('/api/v1/activity'))
+    .map(([, options]) => JSON.parse(options.body));
+
+describe('OfflineQueue', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should fall back to localStorage without IndexedDB', async () => {
+    const queue = new OfflineQueue();
+    await queue.enqueue('signup', { email: 'a@example.com' });
+
+    const stored = JSON.parse(localStorage.getItem('pavekit_queue'));
+    expect(stored).toHaveLength(1);
+    expect(stored[0].data.email).toBe('a@example.com');
+  });
+
+  test('should restore entries on the next page load', async () => {
+    const first = new OfflineQueue();
+    await first.enqueue('signup', { email: 'a@example.com' });
+    await first.enqueue('signup', { email: 'b@example.com' });
+
+    const second = new OfflineQueue();
+    await second.load();
+    expect(second.size()).toBe(2);
+  });
+
+  test('should replace entries with the same dedup key', async () => {
+    const queue = new OfflineQueue();
+    await queue.enqueue('activity', { clicks: 1 }, { dedupKey: 'activity:a' });
+    await queue.enqueue('signup', { email: 'b@example.com' });
+    await queue.enqueue('activity', { clicks: 5 }, { dedupKey: 'activity:a' });
+
+    expect(queue.size()).toBe(2);
+    expect(queue.entries[0].data).toEqual({ clicks: 5 });
+  });
+
+  test('should drop the oldest entries beyond maxSize', async () => {
+    const queue = new OfflineQueue({ maxSize: 2 });
+    await queue.enqueue('signup', { n: 1 });
+    await queue.enqueue('signup', { n: 2 });
+    await queue.enqueue('signup', { n: 3 });
+
+    expect(queue.entries.map((entry) => entry.data.n)).toEqual([2, 3]);
+  });
+
+  test('should discard expired entries', async () => {
+    const queue = new OfflineQueue({ ttl: 1000 });
+    await queue.enqueue('signup', { n: 1 });
+    queue.entries[0].createdAt = Date.now() - 5000;
+
+    const send = jest.fn();
+    const result = await queue.replay(send);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(result.remaining).toBe(0);
+  });
+
+  test('should replay in order and stop at a retryable failure', async () => {
+    const queue = new OfflineQueue();
+    await queue.enqueue('signup', { n: 1 });
+    await queue.enqueue('signup', { n: 2 });
+    await queue.enqueue('signup', { n: 3 });
+
+    const send = jest.fn()
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Network error'));
+
+    const result = await queue.replay(send);
+
+    expect(send.mock.calls.map(([entry]) => entry.data.n)).toEqual([1, 2]);
+    expect(result).toEqual({ sent: 1, dropped: 0, remaining: 2 });
+    expect(queue.entries[0].attempts).toBe(1);
+  });
+
+  test('should drop entries that fail permanently', async () => {
+    const queue = new OfflineQueue();
+    await queue.enqueue('signup', { n: 1 });
+    await queue.enqueue('signup', { n: 2 });
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('HTTP 422: invalid'))
+      .mockResolvedValueOnce({});
+
+    const result = await queue.replay(send, () => false);
+    console.warn.mockRestore();
+
+    expect(result).toEqual({ sent: 1, dropped: 1, remaining: 0 });
+    expect(localStorage.getItem('pavekit_queue')).toBeNull();
+  });
+
+  test('should keep a replacement queued while the old entry is being sent', async () => {
+    const queue = new OfflineQueue();
+    await queue.enqueue('activity', { clicks: 1 }, { dedupKey: 'activity:a' });
+
+    const send = jest.fn(async (entry) => {
+      if (entry.data.clicks === 1) {
+        await queue.enqueue('activity', { clicks: 5 }, { dedupKey: 'activity:a' });
+      }
+    });
+
+    const result = await queue.replay(send);
+
+    expect(send.mock.calls.map(([entry]) => entry.data.clicks)).toEqual([1, 5]);
+    expect(result).toEqual({ sent: 2, dropped: 0, remaining: 0 });
+  });
+});
+
+describe('PaveKitSDK offline mode', () => {
+  let sdk;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    fetch.mockReset();
+
+    // Backend unreachable during init
+    fetch.mockRejectedValue(new Error('Network error'));
+
+    sdk = new PaveKitSDK();
+    sdk.apiClient.retryDelay = 0;
+    await sdk.init({
+      apiKey: 'test-key',
+      detect: [],
+      consentBanner: false
+    });
+  });
+
+  afterEach(() => {
+    sdk.reset();
+  });
+
+  test('should queue signups while offline', async () => {
+    expect(sdk.offlineMode).toBe(true);
+    fetch.mockClear();
+
+    const result = await sdk.trackSignup({ email: 'user@example.com' });
+
+    expect(result.queued).toBe(true);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(sdk.getStatus().queueDepth).toBe(1);
+  });
+
+  test('should replay queued events when the browser comes back online', async () => {
+    await sdk.trackSignup({ email: 'first@example.com' });
+    await sdk.trackConversion({ email: 'first@example.com', value: 10 });
+
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+
+    await sdk.handleOnline();
+
+    expect(sdk.offlineMode).toBe(false);
+    expect(activityBodies().map((body) => body.user_state)).toEqual([
+      'created',
+      'converted'
+    ]);
+    expect(sdk.getStatus().queueDepth).toBe(0);
+  });
+
+  test('should replay with the idempotency key of the first attempt', async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+    await sdk.handleOnline();
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 503,
+      text: async () => 'Service unavailable'
+    });
+    sdk.apiClient.retryAttempts = 1;
+    await sdk.trackSignup({ email: 'user@example.com' });
+    const firstKey = fetch.mock.calls[fetch.mock.calls.length - 1][1].headers['Idempotency-Key'];
+    expect(firstKey).toEqual(expect.any(String));
+
+    // Next page load replays from storage
+    const reloaded = new PaveKitSDK();
+    await reloaded.init({ apiKey: 'test-key', detect: [], consentBanner: false });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const activityCalls = fetch.mock.calls.filter(([url]) => url.endsWith('/api/v1/activity'));
+    const replayKey = activityCalls[activityCalls.length - 1][1].headers['Idempotency-Key'];
+    expect(replayKey).toBe(firstKey);
+    expect(reloaded.getStatus().queueDepth).toBe(0);
+    reloaded.reset();
+  });
+
+  test('should queue events that fail with a server error', async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+    await sdk.handleOnline();
+
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 503,
+      text: async () => 'Service unavailable'
+    });
+
+    const result = await sdk.trackSignup({ email: 'user@example.com' });
+    expect(result.queued).toBe(true);
+    expect(sdk.getStatus().queueDepth).toBe(1);
+  });
+
+  test('should queue every custom event and replay it with its original timestamp', async () => {
+    sdk.setUserEmail('user@example.com');
+    await sdk.track('report_exported', { format: 'pdf' });
+    await sdk.track('report_exported', { format: 'csv' });
+    const queuedAt = sdk.apiClient.queue.entries.map((entry) => entry.data.timestamp);
+
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse({ success: true, event_id: 'evt-1' }));
+    await sdk.handleOnline();
+
+    const eventBodies = fetch.mock.calls
+      .filter(([url]) => url.endsWith('/api/v1/events'))
+      .map(([, options]) => JSON.parse(options.body));
+    expect(eventBodies.map((body) => body.properties.format)).toEqual(['pdf', 'csv']);
+    expect(eventBodies.map((body) => body.timestamp)).toEqual(queuedAt);
+    expect(activityBodies()).toEqual([]);
+    expect(sdk.getStatus().queueDepth).toBe(0);
+  });
+
+  test('should store only the digest when hashEmails is on', async () => {
+    const digest = 'b4c9a289323b21a01c3e940f150eb9b8c542587f1abfd8f0e1cc1ffc5e475514';
+    const privateSdk = new PaveKitSDK();
+    privateSdk.apiClient.retryDelay = 0;
+    await privateSdk.init({
+      apiKey: 'test-key',
+      detect: [],
+      consentBanner: false,
+      privacy: { hashEmails: true }
+    });
+
+    await privateSdk.trackSignup({ email: 'User@example.com' });
+    privateSdk.setUserEmail('user@example.com');
+    await privateSdk.track('report_exported');
+
+    expect(localStorage.getItem('pavekit_queue')).not.toContain('example.com');
+
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+    await privateSdk.handleOnline();
+
+    const bodies = fetch.mock.calls
+      .filter(([url]) => /\/v1\/(activity|events)$/.test(url))
+      .map(([, options]) => JSON.parse(options.body));
+    expect(bodies).toHaveLength(2);
+    bodies.forEach((body) => {
+      expect(body).toMatchObject({ email: digest, email_hashed: true, hash_algorithm: 'sha256' });
+    });
+    privateSdk.reset();
+  });
+
+  test('should leave offline mode once the backend validates again', async () => {
+    sdk.stopHealthCheck();
+    sdk.config.healthCheckInterval = 5;
+    await sdk.trackSignup({ email: 'user@example.com' });
+
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+    sdk.scheduleHealthCheck();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(sdk.offlineMode).toBe(false);
+    expect(sdk.healthCheckTimer).toBeNull();
+    expect(activityBodies()).toHaveLength(1);
+    expect(sdk.apiClient.getStatus()).toMatchObject({
+      connected: true,
+      offline: false
+    });
+  });
+
+  test('should go offline when the backend stops answering', async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue(okResponse());
+    await sdk.handleOnline();
+
+    const offline = jest.fn();
+    window.addEventListener('pavekit-offline', offline);
+    fetch.mockRejectedValue(new Error('Network error'));
+
+    await sdk.trackSignup({ email: 'first@example.com' });
+    fetch.mockClear();
+    const result = await sdk.trackSignup({ email: 'second@example.com' });
+    window.removeEventListener('pavekit-offline', offline);
+
+    expect(sdk.offlineMode).toBe(true);
+    expect(offline).toHaveBeenCalledTimes(1);
+    expect(result.queued).toBe(true);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(sdk.healthCheckTimer).not.toBeNull();
+  });
+
+  test('should clear the queue when user data is deleted', async () => {
+    await sdk.trackSignup({ email: 'user@example.com' });
+    sdk.deleteUserData();
+
+    expect(sdk.getStatus().queueDepth).toBe(0);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Privacy API Tests
+ * GDPR erasure and export jobs against the local fixture server, and the
+ * suppression list that refuses tracking erased users
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { startFixtureServer } = require('./fixtures/pavekit-server.js');
+const {
+  EmailHasher,
+  PaveKitJob,
+  PaveKitSuppressedError,
+  PaveKitTimeoutError,
+  PaveKitValidationError
+} = PaveKitAPI;
+
+describe('PaveKit privacy APIs', () => {
+  let fixture;
+  let client;
+
+  const start = async (options) => {
+    fixture = await startFixtureServer(
+      { users: [{ user_id: 'user-1', email: 'user@example.com', user_state: 'created' }] },
+      options
+    );
+    client.init({ apiKey: 'test-key', baseURL: fixture.baseURL, retry: { maxAttempts: 1 } });
+  };
+
+  beforeEach(() => {
+    client = new PaveKitAPI();
+  });
+
+  afterEach(async () => {
+    client.reset();
+    await fixture.close();
+  });
+
+  describe('deleteUser()', () => {
+    test('should return an erasure job and wait for it', async () => {
+      await start({ jobPolls: 2 });
+
+      const job = await client.deleteUser('user@example.com');
+      expect(job).toBeInstanceOf(PaveKitJob);
+      expect(job).toMatchObject({ id: 'job-1', type: 'erasure', status: 'pending' });
+      expect(fixture.requests[0]).toMatchObject({
+        method: 'DELETE',
+        path: '/api/v1/users/user%40example.com'
+      });
+
+      const done = await client.waitForJob(job, { interval: 1 });
+      expect(done.status).toBe('completed');
+      expect(done.isDone()).toBe(true);
+      expect(fixture.requests.filter((r) => r.path === '/api/v1/jobs/job-1')).toHaveLength(2);
+      expect(await client.getUser('user@example.com')).toBeNull();
+    });
+
+    test('should refuse to track the user until they consent again', async () => {
+      await start();
+      await client.deleteUser('user@example.com');
+
+      await expect(client.track({ email: 'User@Example.com ' })).rejects.toBeInstanceOf(
+        PaveKitSuppressedError
+      );
+      expect(await client.isSuppressed('user@example.com')).toBe(true);
+
+      const report = await client.trackBatch([
+        { email: 'user@example.com' },
+        { email: 'other@example.com' }
+      ]);
+      expect(report.results[0]).toMatchObject({ success: false });
+      expect(report.results[0].error).toMatch('recordConsent');
+
+      await client.recordConsent('user@example.com');
+      await expect(client.track({ email: 'user@example.com' })).resolves.toEqual({
+        success: true,
+        user_id: 'user-tracked'
+      });
+    });
+
+    test('should keep the suppression when the erasure request fails', async () => {
+      await start();
+      client.init({ apiKey: 'wrong-key', baseURL: fixture.baseURL, retry: { maxAttempts: 1 } });
+
+      await expect(client.deleteUser('user@example.com')).rejects.toThrow('HTTP 401');
+      expect(await client.isSuppressed('user@example.com')).toBe(true);
+    });
+
+    test('should use a shared suppression store', async () => {
+      const digests = new Set();
+      const store = {
+        has: async (digest) => digests.has(digest),
+        add: async (digest) => digests.add(digest),
+        remove: async (digest) => digests.delete(digest)
+      };
+      const config = { apiKey: 'test-key', suppressionStore: store, suppressionSalt: 'pepper' };
+      await start();
+      client.init({ ...config, baseURL: fixture.baseURL });
+
+      await client.deleteUser('User@example.com');
+      expect(Array.from(digests)).toEqual([
+        await new EmailHasher({ salt: 'pepper' }).hash('user@example.com')
+      ]);
+
+      const other = new PaveKitAPI();
+      other.init({ ...config, baseURL: fixture.baseURL });
+      await expect(other.track({ email: 'user@example.com' })).rejects.toThrow(
+        PaveKitSuppressedError
+      );
+    });
+
+    test('should not keep erased emails in plain text', async () => {
+      await start();
+      await client.deleteUser('user@example.com');
+
+      expect(Array.from(client.suppression.store.digests)).toEqual([
+        expect.stringMatching(/^[0-9a-f]{64}$/)
+      ]);
+      const store = { has: () => false, add: () => {}, remove: () => {} };
+      expect(() => client.init({ apiKey: 'test-key', suppressionStore: store })).toThrow(
+        'salt'
+      );
+    });
+  });
+
+  describe('exportUser()', () => {
+    test('should return an export job with a download URL once completed', async () => {
+      await start();
+
+      const job = await client.exportUser('user@example.com');
+      expect(job).toMatchObject({ type: 'export', email: 'user@example.com', status: 'pending' });
+      expect(fixture.requests[0]).toMatchObject({
+        method: 'POST',
+        path: '/api/v1/users/user%40example.com/export'
+      });
+
+      const done = await client.waitForJob(job.id, { interval: 1 });
+      expect(done.downloadUrl).toBe('https://exports.example.com/job-1.json');
+    });
+
+    test('should not suppress the user', async () => {
+      await start();
+      await client.exportUser('user@example.com');
+
+      expect(await client.isSuppressed('user@example.com')).toBe(false);
+    });
+  });
+
+  describe('waitForJob()', () => {
+    test('should time out on jobs that keep running', async () => {
+      await start({ jobPolls: Infinity });
+      const job = await client.exportUser('user@example.com');
+
+      await expect(client.waitForJob(job, { interval: 5, timeout: 20 })).rejects.toBeInstanceOf(
+        PaveKitTimeoutError
+      );
+    });
+
+    test('should validate input', async () => {
+      await start();
+
+      await expect(client.deleteUser()).rejects.toThrow(PaveKitValidationError);
+      await expect(client.getJob()).rejects.toThrow('Job ID is required');
+    });
+  });
+});
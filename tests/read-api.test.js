@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Read API Tests
+ * getUser, listUsers and getUserEvents against a local fixture server
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { startFixtureServer } = require('./fixtures/pavekit-server.js');
+const {
+  PaveKitUser,
+  PaveKitUserEvent,
+  PaveKitPage,
+  PaveKitAuthError,
+  PaveKitValidationError,
+  PaveKitConfigurationError
+} = PaveKitAPI;
+
+const users = Array.from({ length: 5 }, (_, index) => ({
+  user_id: `user-${index + 1}`,
+  email: `user${index + 1}@example.com`,
+  name: `User ${index + 1}`,
+  user_state: index % 2 === 0 ? 'created' : 'converted',
+  metadata: { plan: index % 2 === 0 ? 'free' : 'pro' },
+  created_at: '2024-01-01T00:00:00.000Z',
+  converted_at: index % 2 === 0 ? null : '2024-02-01T00:00:00.000Z'
+}));
+
+const events = {
+  'user2@example.com': [
+    { id: 'evt-2', type: 'state_changed', user_state: 'converted', metadata: { plan: 'pro' }, created_at: '2024-02-01T00:00:00.000Z' },
+    { id: 'evt-1', type: 'state_changed', user_state: 'created', metadata: {}, created_at: '2024-01-01T00:00:00.000Z' }
+  ]
+};
+
+describe('PaveKit read APIs', () => {
+  let fixture;
+  let client;
+
+  beforeAll(async () => {
+    fixture = await startFixtureServer({ users, events });
+  });
+
+  afterAll(async () => {
+    await fixture.close();
+  });
+
+  beforeEach(() => {
+    fixture.requests.length = 0;
+    client = new PaveKitAPI();
+    client.init({ apiKey: 'test-key', baseURL: fixture.baseURL, retry: { maxAttempts: 1 } });
+  });
+
+  afterEach(() => {
+    client.reset();
+  });
+
+  test('should require init()', async () => {
+    await expect(new PaveKitAPI().getUser('user1@example.com')).rejects.toThrow(
+      PaveKitConfigurationError
+    );
+  });
+
+  describe('getUser()', () => {
+    test('should fetch a user by email', async () => {
+      const user = await client.getUser('user2@example.com');
+
+      expect(user).toBeInstanceOf(PaveKitUser);
+      expect(user).toMatchObject({
+        id: 'user-2',
+        email: 'user2@example.com',
+        name: 'User 2',
+        state: 'converted',
+        metadata: { plan: 'pro' }
+      });
+      expect(user.isConverted()).toBe(true);
+      expect(user.convertedAt).toEqual(new Date('2024-02-01T00:00:00.000Z'));
+      expect(fixture.requests[0].path).toBe('/api/v1/users/user2%40example.com');
+    });
+
+    test('should fetch a user by user_id', async () => {
+      const user = await client.getUser('user-1');
+
+      expect(user.email).toBe('user1@example.com');
+      expect(user.isConverted()).toBe(false);
+    });
+
+    test('should return null for unknown users', async () => {
+      await expect(client.getUser('nobody@example.com')).resolves.toBeNull();
+    });
+
+    test('should throw typed errors for other failures', async () => {
+      client.init({ apiKey: 'wrong-key', baseURL: fixture.baseURL, retry: { maxAttempts: 1 } });
+
+      await expect(client.getUser('user1@example.com')).rejects.toBeInstanceOf(PaveKitAuthError);
+    });
+  });
+
+  describe('listUsers()', () => {
+    test('should return a page with a cursor', async () => {
+      const page = await client.listUsers({ limit: 2 });
+
+      expect(page).toBeInstanceOf(PaveKitPage);
+      expect(page.data.map((user) => user.id)).toEqual(['user-1', 'user-2']);
+      expect(page.hasMore).toBe(true);
+
+      const next = await page.nextPage();
+      expect(next.data.map((user) => user.id)).toEqual(['user-3', 'user-4']);
+      expect(fixture.requests[1].query).toBe('?limit=2&cursor=2');
+    });
+
+    test('should iterate every page with for await', async () => {
+      const ids = [];
+      for await (const user of await client.listUsers({ limit: 2 })) {
+        ids.push(user.id);
+      }
+
+      expect(ids).toEqual(['user-1', 'user-2', 'user-3', 'user-4', 'user-5']);
+      expect(fixture.requests).toHaveLength(3);
+    });
+
+    test('should filter by state', async () => {
+      const emails = [];
+      for await (const user of await client.listUsers({ state: 'converted' })) {
+        emails.push(user.email);
+      }
+
+      expect(emails).toEqual(['user2@example.com', 'user4@example.com']);
+      expect(fixture.requests[0].query).toBe('?state=converted');
+    });
+
+    test('should validate filters before sending', async () => {
+      await expect(client.listUsers({ state: 'churned' })).rejects.toThrow(PaveKitValidationError);
+      await expect(client.listUsers({ limit: 500 })).rejects.toThrow(
+        'limit must be an integer between 1 and 100'
+      );
+      expect(fixture.requests).toHaveLength(0);
+    });
+  });
+
+  describe('getUserEvents()', () => {
+    test('should return typed history entries', async () => {
+      const page = await client.getUserEvents('user2@example.com', { limit: 1 });
+
+      expect(page.data[0]).toBeInstanceOf(PaveKitUserEvent);
+      expect(page.data[0]).toMatchObject({ id: 'evt-2', type: 'state_changed', state: 'converted' });
+      expect(page.data[0].occurredAt).toEqual(new Date('2024-02-01T00:00:00.000Z'));
+
+      const all = [];
+      for await (const event of page) {
+        all.push(event.id);
+      }
+      expect(all).toEqual(['evt-2', 'evt-1']);
+    });
+
+    test('should require an email', async () => {
+      await expect(client.getUserEvents()).rejects.toThrow('Email is required');
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Resilience Tests
+ * Circuit breaker around API requests and the client-side rate limiter
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const {
+  CircuitBreaker,
+  RateLimiter,
+  PaveKitCircuitOpenError,
+  PaveKitRateLimitError,
+  PaveKitServerError,
+  PaveKitValidationError
+} = PaveKitAPI;
+
+global.fetch = jest.fn();
+
+const okResponse = () => ({ ok: true, json: async () => ({ success: true }) });
+const errorResponse = (status) => ({
+  ok: false,
+  status,
+  headers: { get: () => null },
+  text: async () => 'Service Unavailable'
+});
+
+describe('PaveKit resilience', () => {
+  describe('CircuitBreaker', () => {
+    let now;
+    let breaker;
+    let changes;
+
+    beforeEach(() => {
+      now = 0;
+      changes = [];
+      breaker = new CircuitBreaker({
+        failureThreshold: 2,
+        cooldown: 1000,
+        now: () => now,
+        onStateChange: (change) => changes.push(change)
+      });
+    });
+
+    test('should open after consecutive failures', () => {
+      breaker.recordFailure(new PaveKitServerError('HTTP 503'));
+      expect(breaker.getState()).toBe('closed');
+
+      breaker.recordFailure(new PaveKitServerError('HTTP 503'));
+      expect(breaker.getState()).toBe('open');
+      expect(() => breaker.assertCanRequest()).toThrow(PaveKitCircuitOpenError);
+      expect(changes).toEqual([{ from: 'closed', to: 'open', failures: 2 }]);
+    });
+
+    test('should not count client errors as failures', () => {
+      breaker.recordFailure(new PaveKitServerError('HTTP 503'));
+      breaker.recordFailure(new PaveKitValidationError('HTTP 422'));
+      breaker.recordFailure(new PaveKitServerError('HTTP 503'));
+
+      expect(breaker.getState()).toBe('closed');
+      expect(breaker.failures).toBe(1);
+    });
+
+    test('should half-open after the cool-down and allow one probe', () => {
+      breaker.recordFailure(new Error('ECONNRESET'));
+      breaker.recordFailure(new Error('ECONNRESET'));
+
+      now = 1000;
+      expect(breaker.getState()).toBe('half-open');
+      expect(() => breaker.assertCanRequest()).not.toThrow();
+      expect(() => breaker.assertCanRequest()).toThrow(PaveKitCircuitOpenError);
+
+      breaker.recordSuccess();
+      expect(breaker.getStatus()).toEqual({
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        retryAt: null
+      });
+    });
+
+    test('should reopen when the probe fails', () => {
+      breaker.recordFailure(new Error('ECONNRESET'));
+      breaker.recordFailure(new Error('ECONNRESET'));
+      now = 1500;
+      breaker.assertCanRequest();
+
+      breaker.recordFailure(new Error('ECONNRESET'));
+
+      expect(breaker.getStatus()).toMatchObject({ state: 'open', openedAt: 1500, retryAt: 2500 });
+    });
+  });
+
+  describe('RateLimiter', () => {
+    test('should allow a burst, then space requests out', () => {
+      let now = 0;
+      const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 2, now: () => now });
+
+      expect(limiter.reserve()).toBe(0);
+      expect(limiter.reserve()).toBe(0);
+      expect(limiter.reserve()).toBe(100);
+      expect(limiter.reserve()).toBe(200);
+
+      now = 1000;
+      expect(limiter.reserve()).toBe(0);
+    });
+
+    test('should fail instead of waiting longer than maxWait', () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 1, maxWait: 500, now: () => 0 });
+
+      limiter.reserve();
+      expect(() => limiter.reserve()).toThrow(PaveKitRateLimitError);
+      expect(limiter.available()).toBe(0);
+    });
+
+    test('should require a positive rate', () => {
+      expect(() => new RateLimiter({})).toThrow('requestsPerSecond');
+    });
+  });
+
+  describe('PaveKitAPI', () => {
+    let client;
+
+    beforeEach(() => {
+      fetch.mockReset();
+      client = new PaveKitAPI();
+    });
+
+    afterEach(() => {
+      client.reset();
+    });
+
+    test('should fail fast once the circuit opens, retries included', async () => {
+      client.init({
+        apiKey: 'test-key',
+        retry: { maxAttempts: 5, baseDelay: 0 },
+        circuitBreaker: { failureThreshold: 3 }
+      });
+      fetch.mockResolvedValue(errorResponse(503));
+
+      await expect(client.track({ email: 'user@example.com' })).rejects.toBeInstanceOf(
+        PaveKitCircuitOpenError
+      );
+      expect(fetch).toHaveBeenCalledTimes(3);
+
+      await expect(client.track({ email: 'user@example.com' })).rejects.toThrow(
+        'PaveKit API unavailable'
+      );
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(client.getStatus()).toMatchObject({
+        connected: false,
+        circuit: { state: 'open', failures: 3 }
+      });
+    });
+
+    test('should close the circuit when a probe succeeds', async () => {
+      client.init({
+        apiKey: 'test-key',
+        retry: { maxAttempts: 1 },
+        circuitBreaker: { failureThreshold: 1, cooldown: 0 }
+      });
+      fetch.mockResolvedValueOnce(errorResponse(503)).mockResolvedValue(okResponse());
+
+      await expect(client.track({ email: 'user@example.com' })).rejects.toThrow('HTTP 503');
+      await client.track({ email: 'user@example.com' });
+
+      expect(client.getStatus().connected).toBe(true);
+    });
+
+    test('should let middleware recover from an open circuit', async () => {
+      const queued = [];
+      client.init({
+        apiKey: 'test-key',
+        retry: { maxAttempts: 1 },
+        circuitBreaker: { failureThreshold: 1 }
+      });
+      client.use({
+        onError(context, error) {
+          if (error instanceof PaveKitCircuitOpenError) {
+            queued.push(context.body);
+            return { success: true, queued: true };
+          }
+        }
+      });
+      fetch.mockResolvedValue(errorResponse(503));
+
+      await expect(client.track({ email: 'a@example.com' })).rejects.toThrow('HTTP 503');
+      await expect(client.track({ email: 'b@example.com' })).resolves.toEqual({
+        success: true,
+        queued: true
+      });
+      expect(queued).toEqual([expect.objectContaining({ email: 'b@example.com' })]);
+    });
+
+    test('should hold writes back in the circuit queue and send them once the API answers', async () => {
+      let now = 0;
+      client.init({
+        apiKey: 'test-key',
+        retry: { maxAttempts: 1 },
+        circuitBreaker: { failureThreshold: 1, cooldown: 1000, now: () => now, queue: true }
+      });
+      fetch.mockResolvedValueOnce(errorResponse(503)).mockResolvedValue(okResponse());
+
+      await expect(client.track({ email: 'a@example.com' })).rejects.toThrow('HTTP 503');
+      await expect(client.track({ email: 'b@example.com' })).resolves.toEqual({
+        success: true,
+        queued: true
+      });
+      await expect(client.getUser('b@example.com')).rejects.toBeInstanceOf(
+        PaveKitCircuitOpenError
+      );
+
+      // Still open: flush() leaves the queue alone
+      await client.flush();
+      expect(client.getStatus().queueDepth).toBe(1);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      now = 1000;
+      await client.track({ email: 'c@example.com' });
+      await client.flush();
+
+      const emails = fetch.mock.calls.map(([, options]) => JSON.parse(options.body).email);
+      expect(emails).toEqual(['a@example.com', 'c@example.com', 'b@example.com']);
+      expect(client.getStatus().queueDepth).toBe(0);
+    });
+
+    test('should leave the circuit breaker off by default', async () => {
+      client.init({ apiKey: 'test-key', retry: { maxAttempts: 1 } });
+      fetch.mockResolvedValue(errorResponse(503));
+
+      for (let i = 0; i < 6; i++) {
+        await expect(client.track({ email: 'user@example.com' })).rejects.toThrow('HTTP 503');
+      }
+      expect(fetch).toHaveBeenCalledTimes(6);
+      expect(client.getStatus().circuit).toBeNull();
+    });
+
+    test('should be disabled with circuitBreaker: false', async () => {
+      client.init({ apiKey: 'test-key', retry: { maxAttempts: 1 }, circuitBreaker: false });
+      fetch.mockResolvedValue(errorResponse(503));
+
+      for (let i = 0; i < 6; i++) {
+        await expect(client.track({ email: 'user@example.com' })).rejects.toThrow('HTTP 503');
+      }
+      expect(fetch).toHaveBeenCalledTimes(6);
+      expect(client.getStatus().circuit).toBeNull();
+    });
+
+    test('should wait for the rate limiter before sending', async () => {
+      client.init({
+        apiKey: 'test-key',
+        rateLimit: { requestsPerSecond: 1, burst: 1, maxWait: 0 }
+      });
+      fetch.mockResolvedValue(okResponse());
+
+      await client.track({ email: 'user@example.com' });
+      await expect(client.track({ email: 'user@example.com' })).rejects.toBeInstanceOf(
+        PaveKitRateLimitError
+      );
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the half-open probe when the rate limiter refuses', async () => {
+      client.init({
+        apiKey: 'test-key',
+        retry: { maxAttempts: 1 },
+        circuitBreaker: { failureThreshold: 1, cooldown: 0 },
+        rateLimit: { requestsPerSecond: 1, burst: 1, maxWait: 0 }
+      });
+      fetch.mockResolvedValueOnce(errorResponse(503)).mockResolvedValue(okResponse());
+
+      await expect(client.track({ email: 'user@example.com' })).rejects.toThrow('HTTP 503');
+      await expect(client.track({ email: 'user@example.com' })).rejects.toBeInstanceOf(
+        PaveKitRateLimitError
+      );
+
+      client.rateLimiter = null;
+      await client.track({ email: 'user@example.com' });
+      expect(client.getStatus().circuit.state).toBe('closed');
+    });
+  });
+});
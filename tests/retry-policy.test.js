@@ -0,0 +1,72 @@
+/**
+ * Retry Policy Tests
+ * Tests for backoff, retryability and Retry-After handling
+ */
+
+const RetryPolicy = require('../src/core/retry-policy.js');
+
+const httpError = (status, retryAfter = null) => {
+  const error = new Error(`HTTP ${status}: error`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+describe('RetryPolicy', () => {
+  test('should retry network errors, 408, 429 and 5xx only', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.shouldRetry(new TypeError('fetch failed'), 1)).toBe(true);
+    expect(policy.shouldRetry(httpError(408), 1)).toBe(true);
+    expect(policy.shouldRetry(httpError(429), 1)).toBe(true);
+    expect(policy.shouldRetry(httpError(503), 1)).toBe(true);
+
+    expect(policy.shouldRetry(httpError(400), 1)).toBe(false);
+    expect(policy.shouldRetry(httpError(401), 1)).toBe(false);
+    expect(policy.shouldRetry(httpError(422), 1)).toBe(false);
+  });
+
+  test('should honour an explicit retryable flag', () => {
+    const error = httpError(200);
+    error.retryable = false;
+
+    expect(RetryPolicy.isRetryableError(error)).toBe(false);
+  });
+
+  test('should stop after maxAttempts', () => {
+    const policy = new RetryPolicy({ maxAttempts: 2 });
+
+    expect(policy.shouldRetry(httpError(500), 1)).toBe(true);
+    expect(policy.shouldRetry(httpError(500), 2)).toBe(false);
+  });
+
+  test('should use exponential backoff with full jitter', () => {
+    const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 1000, random: () => 0.5 });
+
+    expect(policy.getDelay(httpError(500), 1)).toBe(50);
+    expect(policy.getDelay(httpError(500), 2)).toBe(100);
+    expect(policy.getDelay(httpError(500), 3)).toBe(200);
+    expect(policy.getDelay(httpError(500), 10)).toBe(500);
+  });
+
+  test('should respect Retry-After in seconds and as a date', () => {
+    const policy = new RetryPolicy({ maxRetryAfter: 10000 });
+
+    expect(policy.getDelay(httpError(429, '3'), 1)).toBe(3000);
+    expect(policy.getDelay(httpError(429, '120'), 1)).toBe(10000);
+
+    const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT');
+    expect(RetryPolicy.parseRetryAfter('Mon, 19 Oct 2026 10:00:05 GMT', now)).toBe(5000);
+    expect(RetryPolicy.parseRetryAfter('soon')).toBeNull();
+  });
+
+  test('should ignore Retry-After when disabled', () => {
+    const policy = new RetryPolicy({
+      baseDelay: 100,
+      respectRetryAfter: false,
+      random: () => 0
+    });
+
+    expect(policy.getDelay(httpError(429, '30'), 1)).toBe(0);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Segment Adapter Tests
+ * Segment identify, track, alias and group calls mapped onto track()
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { createSegmentAdapter } = require('../src/integrations/segment.js');
+const { createTestClient } = require('../src/testing/index.js');
+const { PaveKitServerError } = PaveKitAPI;
+
+describe('PaveKit Segment adapter', () => {
+  let client;
+  let backend;
+  let segment;
+
+  beforeEach(() => {
+    ({ client, backend } = createTestClient());
+    segment = createSegmentAdapter(client);
+  });
+
+  afterEach(() => {
+    client.reset();
+  });
+
+  test('should require a client', () => {
+    expect(() => createSegmentAdapter(null)).toThrow('A PaveKitAPI client is required');
+  });
+
+  describe('track', () => {
+    test('should map the default events to user states', async () => {
+      await segment.handle({
+        type: 'track',
+        event: 'Signed Up',
+        userId: 'u1',
+        properties: { email: 'jane@example.com', plan: 'trial' },
+        messageId: 'msg-1'
+      });
+      const outcome = await segment.handle({
+        type: 'track',
+        event: 'Order Completed',
+        userId: 'u1',
+        properties: { revenue: 49 }
+      });
+
+      expect(outcome).toEqual({ tracked: true, result: { success: true, user_id: 'user-1' } });
+      expect(backend.tracked()).toEqual([
+        expect.objectContaining({
+          email: 'jane@example.com',
+          user_state: 'created',
+          metadata: { plan: 'trial' }
+        }),
+        expect.objectContaining({
+          email: 'jane@example.com',
+          user_state: 'converted',
+          metadata: { revenue: 49 }
+        })
+      ]);
+      expect(backend.requests[0].headers['Idempotency-Key']).toBe('segment-msg-1');
+    });
+
+    test('should skip events without a rule', async () => {
+      const outcome = await segment.handle({
+        type: 'track',
+        event: 'Page Scrolled',
+        properties: { email: 'jane@example.com' }
+      });
+
+      expect(outcome).toEqual({ tracked: false, reason: "No rule for event 'Page Scrolled'" });
+      backend.expectNotTracked();
+    });
+
+    test('should apply object, function and catch-all rules', async () => {
+      segment = createSegmentAdapter(client, {
+        events: {
+          'Plan Upgraded': { state: 'converted', metadata: { source: 'billing' } },
+          'Account Deleted': () => null,
+          '*': (message, defaults) => ({
+            user_state: 'created',
+            metadata: { ...defaults.metadata, event: message.event }
+          })
+        }
+      });
+      const context = { traits: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' } };
+
+      await segment.handle({ type: 'track', event: 'Plan Upgraded', properties: { plan: 'pro' }, context });
+      await segment.handle({ type: 'track', event: 'Viewed Pricing', properties: { tier: 2 }, context });
+      expect(await segment.handle({ type: 'track', event: 'Account Deleted', context })).toEqual({
+        tracked: false,
+        reason: 'Skipped by rule'
+      });
+
+      expect(backend.tracked()).toEqual([
+        expect.objectContaining({
+          name: 'Jane Doe',
+          user_state: 'converted',
+          metadata: { plan: 'pro', source: 'billing' }
+        }),
+        expect.objectContaining({
+          user_state: 'created',
+          metadata: { tier: 2, event: 'Viewed Pricing' }
+        })
+      ]);
+    });
+
+    test('should skip calls for users without a known email', async () => {
+      expect(await segment.handle({ type: 'track', event: 'Signed Up', userId: 'u9' })).toEqual({
+        tracked: false,
+        reason: 'No email for this user'
+      });
+    });
+
+    test('should look up unknown users', async () => {
+      const lookupEmail = jest.fn().mockResolvedValue('jane@example.com');
+      segment = createSegmentAdapter(client, { lookupEmail });
+
+      await segment.handle({ type: 'track', event: 'Signed Up', userId: 'u1' });
+      await segment.handle({ type: 'track', event: 'Order Completed', userId: 'u1' });
+
+      expect(lookupEmail).toHaveBeenCalledTimes(1);
+      backend.expectTracked({ email: 'jane@example.com' }, { times: 2 });
+    });
+
+    test('should throw when tracking fails', async () => {
+      backend.fail({ status: 503 });
+
+      await expect(
+        segment.track({ event: 'Signed Up', properties: { email: 'jane@example.com' } })
+      ).rejects.toBeInstanceOf(PaveKitServerError);
+    });
+  });
+
+  describe('identify and alias', () => {
+    test('should remember the email from identify without tracking by default', async () => {
+      const outcome = await segment.handle({
+        type: 'identify',
+        userId: 'u1',
+        anonymousId: 'anon-1',
+        traits: { email: 'jane@example.com' }
+      });
+      expect(outcome).toEqual({ tracked: false, reason: 'No identify rule' });
+      backend.expectNotTracked();
+
+      await segment.handle({ type: 'track', event: 'Signed Up', anonymousId: 'anon-1' });
+      backend.expectTracked({ email: 'jane@example.com', user_state: 'created' });
+    });
+
+    test('should track identify calls with a rule', async () => {
+      segment = createSegmentAdapter(client, { identify: 'created' });
+
+      await segment.handle({
+        type: 'identify',
+        userId: 'u1',
+        traits: { email: 'jane@example.com', name: 'Jane', company: 'Acme' }
+      });
+
+      backend.expectTracked({
+        email: 'jane@example.com',
+        name: 'Jane',
+        user_state: 'created',
+        metadata: { company: 'Acme' }
+      });
+    });
+
+    test('should follow aliases', async () => {
+      await segment.handle({
+        type: 'identify',
+        anonymousId: 'anon-1',
+        traits: { email: 'jane@example.com' }
+      });
+
+      expect(await segment.handle({ type: 'alias', previousId: 'anon-1', userId: 'u1' })).toEqual({
+        tracked: false,
+        reason: 'Alias recorded'
+      });
+      await segment.handle({ type: 'track', event: 'Order Completed', userId: 'u1' });
+
+      backend.expectTracked({ email: 'jane@example.com', user_state: 'converted' });
+    });
+
+    test('should forget the oldest identities beyond maxIdentities', async () => {
+      segment = createSegmentAdapter(client, { maxIdentities: 2 });
+
+      await segment.identify({ userId: 'u1', traits: { email: 'a@example.com' } });
+      await segment.identify({ userId: 'u2', traits: { email: 'b@example.com' } });
+      await segment.identify({ userId: 'u3', traits: { email: 'c@example.com' } });
+
+      expect(Array.from(segment.identities.keys())).toEqual(['u2', 'u3']);
+    });
+  });
+
+  describe('group', () => {
+    test('should skip group calls without a rule', async () => {
+      expect(await segment.handle({ type: 'group', groupId: 'g1', userId: 'u1' })).toEqual({
+        tracked: false,
+        reason: 'No group rule'
+      });
+    });
+
+    test('should track group calls with a rule', async () => {
+      segment = createSegmentAdapter(client, { group: 'converted' });
+
+      await segment.handle({
+        type: 'group',
+        groupId: 'acme',
+        userId: 'jane@example.com',
+        traits: { name: 'Acme', plan: 'enterprise' }
+      });
+
+      backend.expectTracked({
+        email: 'jane@example.com',
+        user_state: 'converted',
+        metadata: { group_id: 'acme', group: { name: 'Acme', plan: 'enterprise' } }
+      });
+    });
+  });
+
+  describe('entry points', () => {
+    test('should handle batch payloads in order', async () => {
+      const outcomes = await segment.handle({
+        batch: [
+          { type: 'identify', userId: 'u1', traits: { email: 'jane@example.com' } },
+          { type: 'track', event: 'Signed Up', userId: 'u1' },
+          { type: 'page', userId: 'u1' }
+        ]
+      });
+
+      expect(outcomes.map((outcome) => outcome.tracked)).toEqual([false, true, false]);
+      expect(outcomes[2].reason).toBe("Unsupported message type 'page'");
+    });
+
+    test('should expose destination function handlers', async () => {
+      const { onIdentify, onTrack, onAlias, onGroup } = segment.destination();
+      expect(onAlias).toEqual(expect.any(Function));
+      expect(onGroup).toEqual(expect.any(Function));
+
+      await onIdentify({ userId: 'u1', traits: { email: 'jane@example.com' } }, {});
+      await onTrack({ event: 'Signed Up', userId: 'u1' }, {});
+
+      backend.expectTracked({ email: 'jane@example.com' });
+    });
+
+    test('should throw RetryError from destination functions for retryable failures', async () => {
+      global.RetryError = class RetryError extends Error {};
+      backend.fail({ status: 503 });
+
+      try {
+        await expect(
+          segment.destination().onTrack({ event: 'Signed Up', userId: 'jane@example.com' })
+        ).rejects.toBeInstanceOf(global.RetryError);
+      } finally {
+        delete global.RetryError;
+      }
+    });
+
+    test('should work as an Analytics.js plugin without failing the pipeline', async () => {
+      const onError = jest.fn();
+      const plugin = createSegmentAdapter(client, { onError }).plugin();
+      const ctx = { event: { type: 'track', event: 'Signed Up', userId: 'jane@example.com' } };
+
+      expect(plugin).toMatchObject({ name: 'PaveKit', type: 'destination' });
+      expect(plugin.isLoaded()).toBe(true);
+      await expect(plugin.track(ctx)).resolves.toBe(ctx);
+      backend.expectTracked({ email: 'jane@example.com' });
+
+      backend.fail({ network: true });
+      await expect(plugin.track(ctx)).resolves.toBe(ctx);
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), ctx.event);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Server Middleware Tests
+ * Signup tracking from Express (real app), Koa and Fastify (stubbed hosts)
+ */
+
+const express = require('express');
+const {
+  SignupTracker,
+  expressSignupTracking,
+  koaSignupTracking,
+  fastifySignupTracking
+} = require('../src/integrations/index.js');
+
+const createClient = () => ({ track: jest.fn().mockResolvedValue({ success: true }) });
+
+describe('PaveKit server middleware', () => {
+  describe('SignupTracker', () => {
+    test('should match declared routes', () => {
+      const tracker = new SignupTracker(createClient(), {
+        routes: ['POST /signup', '/register', { method: 'put', path: '/teams/:id/members' }, /^\/invite\//]
+      });
+
+      expect(tracker.match('POST', '/signup?ref=ad')).not.toBeNull();
+      expect(tracker.match('GET', '/signup')).toBeNull();
+      expect(tracker.match('POST', '/register/')).not.toBeNull();
+      expect(tracker.match('PUT', '/teams/42/members')).not.toBeNull();
+      expect(tracker.match('PUT', '/teams/42/members/7')).toBeNull();
+      expect(tracker.match('POST', '/invite/abc')).not.toBeNull();
+    });
+
+    test('should require a client and routes', () => {
+      expect(() => new SignupTracker(null, { routes: ['/signup'] })).toThrow(
+        'A PaveKitAPI client is required'
+      );
+      expect(() => new SignupTracker(createClient(), { routes: [] })).toThrow(
+        'At least one signup route is required'
+      );
+    });
+
+    test('should only track 2xx responses with an email', async () => {
+      const client = createClient();
+      const tracker = new SignupTracker(client, { routes: ['/signup'] });
+      const route = tracker.match('POST', '/signup');
+
+      await tracker.track(route, { request: { body: { email: 'a@example.com' } }, status: 422 });
+      await tracker.track(route, { request: { body: {} }, status: 201 });
+      await tracker.track(route, {
+        request: { body: { email: 'b@example.com', name: 'B' } },
+        status: 201
+      });
+
+      expect(client.track).toHaveBeenCalledTimes(1);
+      expect(client.track).toHaveBeenCalledWith({
+        email: 'b@example.com',
+        name: 'B',
+        user_state: 'created'
+      });
+    });
+
+    test('should report failures without rejecting', async () => {
+      const client = { track: jest.fn().mockRejectedValue(new Error('API down')) };
+      const onError = jest.fn();
+      const tracker = new SignupTracker(client, { routes: ['/signup'], onError });
+      const route = tracker.match('POST', '/signup');
+
+      await expect(
+        tracker.track(route, { request: { body: { email: 'a@example.com' } }, status: 200 })
+      ).resolves.toBeUndefined();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'API down' }), route);
+    });
+  });
+
+  describe('Express', () => {
+    let server;
+    let baseURL;
+    let client;
+    let middleware;
+
+    const start = async (options, handler) => {
+      const app = express();
+      app.use(express.json());
+      middleware = expressSignupTracking(client, options);
+      app.use(middleware);
+      app.post('/api/signup', handler);
+      app.post('/api/other', (req, res) => res.json({ ok: true }));
+
+      await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+      });
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+    };
+
+    const post = (path, body) =>
+      fetch(`${baseURL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+    beforeEach(() => {
+      client = createClient();
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test('should track users from the request and response', async () => {
+      await start(
+        {
+          routes: ['POST /api/signup'],
+          extract: ({ request, body }) => ({
+            email: request.body.email,
+            metadata: { account_id: body.account_id }
+          })
+        },
+        (req, res) => res.status(201).json({ account_id: 'acc_1' })
+      );
+
+      const response = await post('/api/signup', { email: 'user@example.com' });
+      expect(response.status).toBe(201);
+      await middleware.tracker.flush();
+
+      expect(client.track).toHaveBeenCalledWith({
+        email: 'user@example.com',
+        metadata: { account_id: 'acc_1' },
+        user_state: 'created'
+      });
+    });
+
+    test('should skip failed signups and undeclared routes', async () => {
+      await start({ routes: ['POST /api/signup'] }, (req, res) =>
+        res.status(409).json({ error: 'exists' })
+      );
+
+      await post('/api/signup', { email: 'user@example.com' });
+      await post('/api/other', { email: 'user@example.com' });
+      await middleware.tracker.flush();
+
+      expect(client.track).not.toHaveBeenCalled();
+    });
+
+    test('should not delay or fail the response when tracking fails', async () => {
+      let release;
+      client.track.mockImplementation(
+        () => new Promise((resolve, reject) => (release = () => reject(new Error('down'))))
+      );
+      await start({ routes: ['POST /api/signup'] }, (req, res) => res.json({ ok: true }));
+
+      const response = await post('/api/signup', { email: 'user@example.com' });
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ ok: true });
+
+      // Tracking is still running after the response was delivered
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(middleware.tracker.pending.size).toBe(1);
+      release();
+      await middleware.tracker.flush();
+    });
+  });
+
+  describe('Koa', () => {
+    test('should track after the downstream handler', async () => {
+      const client = createClient();
+      const middleware = koaSignupTracking(client, {
+        routes: ['POST /signup'],
+        extract: ({ context, body }) => ({ email: context.request.body.email, name: body.name })
+      });
+      const ctx = { method: 'POST', path: '/signup', request: { body: { email: 'k@example.com' } } };
+
+      await middleware(ctx, async () => {
+        ctx.status = 201;
+        ctx.body = { name: 'Koa User' };
+      });
+      await middleware.tracker.flush();
+
+      expect(client.track).toHaveBeenCalledWith({
+        email: 'k@example.com',
+        name: 'Koa User',
+        user_state: 'created'
+      });
+    });
+
+    test('should not track when the handler throws', async () => {
+      const client = createClient();
+      const middleware = koaSignupTracking(client, { routes: ['POST /signup'] });
+      const ctx = { method: 'POST', path: '/signup', request: { body: { email: 'k@example.com' } } };
+
+      await expect(
+        middleware(ctx, async () => {
+          throw new Error('boom');
+        })
+      ).rejects.toThrow('boom');
+      await middleware.tracker.flush();
+
+      expect(client.track).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Fastify', () => {
+    test('should register instance-wide hooks and track on response', async () => {
+      const client = createClient();
+      const plugin = fastifySignupTracking(client, {
+        routes: ['POST /signup'],
+        extract: ({ request, body }) => ({ email: request.body.email, metadata: { id: body.id } })
+      });
+      const hooks = {};
+      await plugin({ addHook: (name, fn) => (hooks[name] = fn) });
+
+      expect(plugin[Symbol.for('skip-override')]).toBe(true);
+
+      const request = { method: 'POST', url: '/signup', body: { email: 'f@example.com' } };
+      const reply = { statusCode: 200 };
+      const payload = JSON.stringify({ id: 'u1' });
+
+      expect(await hooks.onSend(request, reply, payload)).toBe(payload);
+      await hooks.onResponse(request, reply);
+      await plugin.tracker.flush();
+
+      expect(client.track).toHaveBeenCalledWith({
+        email: 'f@example.com',
+        metadata: { id: 'u1' },
+        user_state: 'created'
+      });
+    });
+  });
+});
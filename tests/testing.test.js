@@ -0,0 +1,198 @@
+/**
+ * Testing Helpers Tests
+ * createTestClient() and the in-memory FakeBackend
+ */
+
+const PaveKitAPI = require('../src/core/api.js');
+const { createTestClient, FakeBackend } = require('../src/testing/index.js');
+const {
+  Lifecycle,
+  PaveKitServerError,
+  PaveKitNetworkError,
+  PaveKitValidationError
+} = PaveKitAPI;
+
+describe('PaveKit testing helpers', () => {
+  let client;
+  let backend;
+
+  beforeEach(() => {
+    ({ client, backend } = createTestClient());
+  });
+
+  afterEach(() => {
+    client.reset();
+  });
+
+  describe('createTestClient()', () => {
+    test('should record tracked payloads without network access', async () => {
+      const result = await client.track({
+        email: 'jane@example.com',
+        name: 'Jane',
+        metadata: { plan: 'pro' }
+      });
+
+      expect(result).toEqual({ success: true, user_id: 'user-1' });
+      expect(backend.tracked()).toEqual([
+        expect.objectContaining({ email: 'jane@example.com', user_state: 'created' })
+      ]);
+      expect(backend.requests[0]).toMatchObject({ method: 'POST', path: '/v1/activity' });
+    });
+
+    test('should point an existing client at the fake backend', async () => {
+      const shared = new PaveKitAPI();
+      shared.init({ apiKey: 'live-key' });
+
+      const test = createTestClient({ client: shared });
+      await shared.track({ email: 'jane@example.com' });
+
+      expect(test.client).toBe(shared);
+      test.backend.expectTracked({ email: 'jane@example.com' });
+      expect(test.backend.requests[0].headers['X-API-Key']).toBe('live-key');
+      shared.reset();
+    });
+
+    test('should pass init options through', async () => {
+      ({ client, backend } = createTestClient({ config: { hashEmails: true } }));
+
+      await client.track({ email: 'jane@example.com' });
+
+      backend.expectTracked({ email_hashed: true, hash_algorithm: 'sha256' });
+    });
+  });
+
+  describe('FakeBackend', () => {
+    test('should keep user state across calls', async () => {
+      await client.track({ email: 'jane@example.com' });
+      await client.track({ email: 'jane@example.com', user_state: 'converted' });
+
+      const user = await client.getUser('jane@example.com');
+      expect(user).toMatchObject({ id: 'user-1', state: 'converted' });
+      expect(user.convertedAt).toBeInstanceOf(Date);
+
+      const events = await client.getUserEvents('jane@example.com');
+      expect(events.data.map((event) => [event.type, event.state])).toEqual([
+        ['signup', 'created'],
+        ['activity', 'converted']
+      ]);
+    });
+
+    test('should answer batch, list, erasure and export requests', async () => {
+      const report = await client.trackBatch([
+        { email: 'a@example.com' },
+        { email: 'b@example.com', user_state: 'converted' }
+      ]);
+      expect(report.succeeded).toBe(2);
+
+      const converted = await client.listUsers({ state: 'converted' });
+      expect(converted.data.map((user) => user.email)).toEqual(['b@example.com']);
+
+      const erasure = await client.deleteUser('a@example.com');
+      expect((await client.waitForJob(erasure, { interval: 1 })).status).toBe('completed');
+      expect(await client.getUser('a@example.com')).toBeNull();
+
+      const exported = await client.waitForJob(await client.exportUser('b@example.com'), {
+        interval: 1
+      });
+      expect(exported.downloadUrl).toMatch(/^https:\/\/exports\.pavekit\.test\//);
+    });
+
+    test('should start with seeded users', async () => {
+      ({ client, backend } = createTestClient({
+        backend: { users: [{ email: 'old@example.com', user_state: 'converted' }] }
+      }));
+
+      expect((await client.getUser('old@example.com')).state).toBe('converted');
+    });
+
+    test('should enforce a lifecycle', async () => {
+      ({ client, backend } = createTestClient({
+        backend: {
+          lifecycle: Lifecycle.onboarding(),
+          users: [{ email: 'jane@example.com', user_state: 'churned' }]
+        },
+        config: { lifecycle: Lifecycle.onboarding() }
+      }));
+
+      await expect(
+        client.track({ email: 'jane@example.com', user_state: 'trial' })
+      ).rejects.toThrow(PaveKitValidationError);
+      backend.expectNotTracked();
+    });
+
+    test('should simulate failures', async () => {
+      backend
+        .fail({ status: 503, route: 'POST /v1/activity' })
+        .fail({ network: true, times: 1 });
+
+      await expect(client.track({ email: 'a@example.com' })).rejects.toBeInstanceOf(
+        PaveKitServerError
+      );
+      await expect(client.track({ email: 'a@example.com' })).rejects.toBeInstanceOf(
+        PaveKitNetworkError
+      );
+      await expect(client.track({ email: 'a@example.com' })).resolves.toMatchObject({
+        success: true
+      });
+      expect(backend.requests).toHaveLength(3);
+    });
+
+    test('should replay responses for a repeated idempotency key', async () => {
+      await client.track({ email: 'a@example.com', idempotency_key: 'signup-1' });
+      await client.track({ email: 'a@example.com', idempotency_key: 'signup-1' });
+
+      backend.expectTracked({ email: 'a@example.com' }, { times: 1 });
+    });
+
+    test('should check the API key when configured', async () => {
+      const strict = new FakeBackend({ apiKey: 'secret' });
+      strict.attach(client);
+
+      await expect(client.validate()).rejects.toThrow('HTTP 401');
+    });
+  });
+
+  describe('assertions', () => {
+    test('expectTracked() should match partially and return the payload', async () => {
+      await client.track({ email: 'jane@example.com', metadata: { plan: 'pro', seats: 3 } });
+
+      const payload = backend.expectTracked({
+        email: 'jane@example.com',
+        metadata: { plan: 'pro' },
+        user_state: expect.any(String)
+      });
+      expect(payload.metadata.seats).toBe(3);
+    });
+
+    test('expectTracked() should explain what was tracked instead', async () => {
+      await client.track({ email: 'jane@example.com' });
+
+      expect(() => backend.expectTracked({ user_id: expect.any(String) })).toThrow(
+        'matching {"user_id":"Any<String>"}'
+      );
+
+      expect(() => backend.expectTracked({ email: 'jane@example.com', user_state: 'converted' }))
+        .toThrow(/found 0\.\nTracked:\n {2}1\. \{"email":"jane@example.com"/);
+      expect(() => backend.expectTracked({ email: 'jane@example.com' }, { times: 2 }))
+        .toThrow('Expected 2 tracked payload(s)');
+    });
+
+    test('expectNotTracked() should fail when a payload matches', async () => {
+      await client.track({ email: 'jane@example.com' });
+
+      expect(() => backend.expectNotTracked({ email: 'other@example.com' })).not.toThrow();
+      expect(() => backend.expectNotTracked({ email: 'jane@example.com' })).toThrow(
+        expect.objectContaining({ name: 'AssertionError' })
+      );
+    });
+
+    test('reset() should forget everything', async () => {
+      await client.track({ email: 'jane@example.com' });
+      backend.reset();
+
+      backend.expectNotTracked();
+      expect(backend.requests).toEqual([]);
+      expect(await client.getUser('jane@example.com')).toBeNull();
+    });
+  });
+});
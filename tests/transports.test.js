@@ -0,0 +1,236 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Transport Tests
+ * Custom fetch, Node http transport with keep-alive agents, beacon and
+ * in-memory transports behind PaveKitAPI
+ */
+
+const http = require('http');
+const PaveKitAPI = require('../src/core/api.js');
+const {
+  createResponse,
+  createFetchTransport,
+  createNodeTransport,
+  createBeaconTransport,
+  createMemoryTransport,
+  createDefaultTransport
+} = PaveKitAPI.transports;
+const { PaveKitServerError, PaveKitTimeoutError } = PaveKitAPI;
+
+describe('PaveKit transports', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new PaveKitAPI();
+  });
+
+  afterEach(() => {
+    client.reset();
+  });
+
+  describe('Memory transport', () => {
+    test('should record requests and answer with success by default', async () => {
+      const transport = createMemoryTransport();
+      client.init({ apiKey: 'test-key', transport });
+
+      await client.track({ email: 'user@example.com' });
+
+      expect(transport.requests).toHaveLength(1);
+      expect(transport.requests[0]).toMatchObject({
+        url: 'http://localhost:8000/api/v1/activity',
+        method: 'POST',
+        body: { email: 'user@example.com', user_state: 'created' }
+      });
+      expect(transport.requests[0].headers['X-API-Key']).toBe('test-key');
+
+      transport.reset();
+      expect(transport.requests).toHaveLength(0);
+    });
+
+    test('should answer with the handler reply', async () => {
+      const transport = createMemoryTransport(() => ({
+        status: 500,
+        body: { error: 'down' },
+        headers: { 'X-Request-ID': 'req-1' }
+      }));
+      client.init({ apiKey: 'test-key', transport, retry: { maxAttempts: 1 } });
+
+      const error = await client.track({ email: 'user@example.com' }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(PaveKitServerError);
+      expect(error.requestId).toBe('req-1');
+      expect(error.body).toEqual({ error: 'down' });
+    });
+  });
+
+  describe('Custom fetch', () => {
+    test('should send every request through the given fetch', async () => {
+      const customFetch = jest.fn(async () => createResponse(200, '{"user_id":"u1"}'));
+      client.init({ apiKey: 'test-key', transport: createFetchTransport(customFetch) });
+
+      const result = await client.track({ email: 'user@example.com' });
+
+      expect(result).toEqual({ user_id: 'u1' });
+      expect(customFetch).toHaveBeenCalledTimes(1);
+      expect(customFetch.mock.calls[0][1].signal).toBeDefined();
+    });
+
+    test('should let a single request override the transport', async () => {
+      const shared = createMemoryTransport();
+      const once = createMemoryTransport();
+      client.init({ apiKey: 'test-key', transport: shared });
+
+      await client.track({ email: 'user@example.com' }, { transport: once });
+
+      expect(shared.requests).toHaveLength(0);
+      expect(once.requests).toHaveLength(1);
+    });
+
+    test('should default to the global fetch when available', async () => {
+      const originalFetch = global.fetch;
+      global.fetch = jest.fn(async () => createResponse(200, '{"success":true}'));
+
+      try {
+        const transport = createDefaultTransport();
+        await transport('http://example.com', { method: 'GET' });
+        expect(global.fetch).toHaveBeenCalledWith('http://example.com', { method: 'GET' });
+      } finally {
+        global.fetch = originalFetch;
+      }
+    });
+  });
+
+  describe('Node transport', () => {
+    let server;
+    let baseURL;
+    let received;
+    let respond;
+
+    beforeEach(async () => {
+      received = [];
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, user_id: 'user-1' }));
+      };
+
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+          received.push({
+            method: req.method,
+            url: req.url,
+            headers: req.headers,
+            port: req.socket.remotePort,
+            body
+          });
+          respond(req, res);
+        });
+      });
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test('should send requests through the configured agent', async () => {
+      const agent = new http.Agent({ keepAlive: true });
+      client.init({ apiKey: 'test-key', baseURL, agent });
+
+      try {
+        await client.track({ email: 'one@example.com' });
+        await client.track({ email: 'two@example.com' });
+      } finally {
+        agent.destroy();
+      }
+
+      expect(received).toHaveLength(2);
+      expect(received[0].url).toBe('/api/v1/activity');
+      expect(received[0].headers['x-api-key']).toBe('test-key');
+      expect(received[0].headers.connection).toBe('keep-alive');
+      expect(JSON.parse(received[1].body).email).toBe('two@example.com');
+      // Both requests reused one connection
+      expect(received[1].port).toBe(received[0].port);
+    });
+
+    test('should expose status and headers of failed responses', async () => {
+      respond = (req, res) => {
+        res.writeHead(503, { 'Retry-After': '0', 'X-Request-ID': 'req-9' });
+        res.end('unavailable');
+      };
+      client.init({
+        apiKey: 'test-key',
+        baseURL,
+        transport: createNodeTransport(),
+        retry: { maxAttempts: 1 }
+      });
+
+      const error = await client.track({ email: 'user@example.com' }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(PaveKitServerError);
+      expect(error.status).toBe(503);
+      expect(error.requestId).toBe('req-9');
+      expect(error.retryAfter).toBe('0');
+    });
+
+    test('should time out through the abort signal', async () => {
+      respond = () => {};
+      client.init({
+        apiKey: 'test-key',
+        baseURL,
+        timeout: 50,
+        transport: createNodeTransport(),
+        retry: { maxAttempts: 1 }
+      });
+
+      await expect(client.validate()).rejects.toBeInstanceOf(PaveKitTimeoutError);
+    });
+  });
+
+  describe('Beacon transport', () => {
+    test('should send the body and keys as form data', async () => {
+      const nav = { sendBeacon: jest.fn(() => true) };
+      const transport = createBeaconTransport({ navigator: nav });
+
+      const response = await transport('https://api.example.com/api/v1/activity', {
+        method: 'POST',
+        headers: { 'X-API-Key': 'test-key', 'Idempotency-Key': 'key-1' },
+        body: '{"email":"user@example.com"}'
+      });
+
+      expect(response.status).toBe(202);
+      expect(await response.json()).toEqual({ success: true, beacon: true });
+      const [url, form] = nav.sendBeacon.mock.calls[0];
+      expect(url).toBe('https://api.example.com/api/v1/activity');
+      expect(form).toBeInstanceOf(FormData);
+      expect(Object.fromEntries(form)).toEqual({
+        payload: '{"email":"user@example.com"}',
+        api_key: 'test-key',
+        idempotency_key: 'key-1'
+      });
+    });
+
+    test('should fail when the browser refuses the beacon', async () => {
+      const transport = createBeaconTransport({ navigator: { sendBeacon: () => false } });
+
+      await expect(
+        transport('https://api.example.com/api/v1/activity', { method: 'POST', body: '{}' })
+      ).rejects.toThrow('The browser refused to queue the beacon');
+    });
+
+    test('should only support POST', async () => {
+      const transport = createBeaconTransport({ navigator: { sendBeacon: () => true } });
+
+      await expect(
+        transport('https://api.example.com/api/v1/validate', { method: 'GET' })
+      ).rejects.toThrow('The beacon transport only supports POST requests');
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Webhook Tests
+ * Signature verification, replay window, event parsing and route adapters,
+ * using signatures generated locally with a test secret
+ */
+
+const crypto = require('crypto');
+const PaveKitAPI = require('../src/core/api.js');
+const { PaveKitWebhooks, PaveKitWebhookEvent } = require('../src/integrations/index.js');
+const {
+  PaveKitWebhookSignatureError,
+  PaveKitValidationError,
+  PaveKitConfigurationError
+} = PaveKitAPI;
+
+const SECRET = 'whsec_test';
+const NOW = Date.UTC(2024, 0, 1);
+const NOW_SECONDS = Math.floor(NOW / 1000);
+
+const payload = JSON.stringify({
+  id: 'evt_1',
+  type: 'user.converted',
+  created_at: '2024-01-01T00:00:00.000Z',
+  data: { email: 'user@example.com', campaign_id: 'cmp_1' }
+});
+
+const signWith = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+describe('PaveKit webhooks', () => {
+  let webhooks;
+
+  beforeEach(() => {
+    webhooks = new PaveKitWebhooks({ secret: SECRET, now: () => NOW });
+  });
+
+  describe('Verification', () => {
+    test('should require a signing secret', () => {
+      expect(() => new PaveKitWebhooks({})).toThrow(PaveKitConfigurationError);
+    });
+
+    test('should accept a valid signature', () => {
+      const header = `t=${NOW_SECONDS},v1=${signWith(SECRET, NOW_SECONDS, payload)}`;
+
+      expect(webhooks.verify(payload, header)).toBe(true);
+      expect(webhooks.verify(Buffer.from(payload), header)).toBe(true);
+    });
+
+    test('should produce headers it accepts', () => {
+      expect(webhooks.sign(payload)).toBe(
+        `t=${NOW_SECONDS},v1=${signWith(SECRET, NOW_SECONDS, payload)}`
+      );
+      expect(webhooks.verify(payload, webhooks.sign(payload))).toBe(true);
+    });
+
+    test('should reject a tampered payload', () => {
+      const header = webhooks.sign(payload);
+      const tampered = payload.replace('user@example.com', 'attacker@example.com');
+
+      expect(() => webhooks.verify(tampered, header)).toThrow(PaveKitWebhookSignatureError);
+    });
+
+    test('should reject a signature made with another secret', () => {
+      const header = `t=${NOW_SECONDS},v1=${signWith('other', NOW_SECONDS, payload)}`;
+
+      expect(() => webhooks.verify(payload, header)).toThrow(
+        'Webhook signature does not match the payload'
+      );
+    });
+
+    test('should reject deliveries outside the replay window', () => {
+      const old = NOW_SECONDS - 301;
+      const header = `t=${old},v1=${signWith(SECRET, old, payload)}`;
+
+      expect(() => webhooks.verify(payload, header)).toThrow(
+        'Webhook timestamp is outside the tolerance window'
+      );
+
+      const lenient = new PaveKitWebhooks({ secret: SECRET, tolerance: 600, now: () => NOW });
+      expect(lenient.verify(payload, header)).toBe(true);
+    });
+
+    test('should reject missing or malformed headers', () => {
+      expect(() => webhooks.verify(payload, undefined)).toThrow(
+        'Missing PaveKit-Signature header'
+      );
+      expect(() => webhooks.verify(payload, 'v1=abc')).toThrow(
+        'Malformed PaveKit-Signature header'
+      );
+    });
+
+    test('should accept any matching secret during rotation', () => {
+      const rotating = new PaveKitWebhooks({ secret: ['whsec_new', SECRET], now: () => NOW });
+      const header = `t=${NOW_SECONDS},v1=${signWith(SECRET, NOW_SECONDS, payload)}`;
+
+      expect(rotating.verify(payload, header)).toBe(true);
+    });
+  });
+
+  describe('Events', () => {
+    test('should parse a verified delivery into an event', () => {
+      const event = webhooks.constructEvent(payload, webhooks.sign(payload));
+
+      expect(event).toBeInstanceOf(PaveKitWebhookEvent);
+      expect(event.id).toBe('evt_1');
+      expect(event.is(PaveKitWebhooks.EVENT_TYPES.USER_CONVERTED)).toBe(true);
+      expect(event.createdAt).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+      expect(event.data.campaign_id).toBe('cmp_1');
+    });
+
+    test('should reject bodies that are not events', () => {
+      const body = JSON.stringify({ hello: 'world' });
+
+      expect(() => webhooks.constructEvent(body, webhooks.sign(body))).toThrow(
+        PaveKitValidationError
+      );
+    });
+  });
+
+  describe('Handlers', () => {
+    test('should dispatch events by type', async () => {
+      const converted = jest.fn();
+      const handle = webhooks.handler({ 'user.converted': converted });
+
+      const result = await handle({
+        body: payload,
+        headers: { 'pavekit-signature': webhooks.sign(payload) }
+      });
+
+      expect(result).toEqual({ status: 200, body: { received: true, handled: true } });
+      expect(converted).toHaveBeenCalledWith(expect.objectContaining({ id: 'evt_1' }));
+    });
+
+    test('should acknowledge events without a handler', async () => {
+      const handle = webhooks.handler({});
+
+      const result = await handle({
+        body: payload,
+        headers: { 'PaveKit-Signature': webhooks.sign(payload) }
+      });
+
+      expect(result).toEqual({ status: 200, body: { received: true, handled: false } });
+    });
+
+    test('should answer 400 for bad signatures and 500 for failing handlers', async () => {
+      const onError = jest.fn();
+      webhooks = new PaveKitWebhooks({ secret: SECRET, now: () => NOW, onError });
+      const handle = webhooks.handler({
+        '*': () => {
+          throw new Error('database down');
+        }
+      });
+
+      const rejected = await handle({ body: payload, headers: { 'pavekit-signature': 't=1,v1=00' } });
+      expect(rejected.status).toBe(400);
+
+      const failed = await handle({
+        body: payload,
+        headers: { 'pavekit-signature': webhooks.sign(payload) }
+      });
+      expect(failed).toEqual({ status: 500, body: { error: 'Webhook handler failed' } });
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'database down' }),
+        expect.any(PaveKitWebhookEvent)
+      );
+    });
+
+    test('should log handler errors without onError', async () => {
+      const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const handle = webhooks.handler({
+        '*': () => {
+          throw new Error('database down');
+        }
+      });
+
+      await handle({ body: payload, headers: { 'pavekit-signature': webhooks.sign(payload) } });
+
+      expect(log).toHaveBeenCalledWith(
+        '[PaveKit] Webhook handler for user.converted (evt_1) failed:',
+        expect.objectContaining({ message: 'database down' })
+      );
+      log.mockRestore();
+    });
+
+    test('should adapt to Express with a raw body', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const route = webhooks.express({ 'user.converted': jest.fn() });
+
+      await route(
+        { body: Buffer.from(payload), headers: { 'pavekit-signature': webhooks.sign(payload) } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ received: true, handled: true });
+    });
+
+    test('should explain when Express already parsed the body', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const route = webhooks.express({});
+
+      await route(
+        { body: JSON.parse(payload), headers: { 'pavekit-signature': webhooks.sign(payload) } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatch('express.raw');
+    });
+
+    test('should adapt to Next.js route handlers', async () => {
+      const converted = jest.fn();
+      const POST = webhooks.nextjs({ 'user.converted': converted });
+
+      const response = await POST(
+        new Request('https://app.example.com/api/webhooks/pavekit', {
+          method: 'POST',
+          headers: { 'PaveKit-Signature': webhooks.sign(payload) },
+          body: payload
+        })
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ received: true, handled: true });
+      expect(converted).toHaveBeenCalledTimes(1);
+    });
+
+    test('should adapt to Next.js Pages Router API routes', async () => {
+      const { Readable } = require('stream');
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const converted = jest.fn();
+      const route = webhooks.nextjsPages({ 'user.converted': converted });
+
+      const req = Readable.from([Buffer.from(payload.slice(0, 10)), Buffer.from(payload.slice(10))]);
+      req.headers = { 'pavekit-signature': webhooks.sign(payload) };
+      await route(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ received: true, handled: true });
+      expect(converted).toHaveBeenCalledTimes(1);
+    });
+
+    test('should explain when the Pages Router parsed the body', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const route = webhooks.nextjsPages({});
+
+      await route(
+        { body: JSON.parse(payload), headers: { 'pavekit-signature': webhooks.sign(payload) } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatch('bodyParser: false');
+    });
+  });
+});
@@ -60,6 +60,13 @@ module.exports = (env, argv) => {
         "@core": path.resolve(__dirname, "src/core"),
         "@detectors": path.resolve(__dirname, "src/detectors"),
       },
+      // Backend-only code requires these lazily; browsers never reach it
+      fallback: {
+        crypto: false,
+        fs: false,
+        http: false,
+        https: false,
+      },
     },
 
     optimization: {